@@ -0,0 +1,38 @@
+const { EventEmitter } = require('events');
+
+// A bus carries live events between the request that causes them and the open streams:
+// publish(channel, type, data) and subscribe(channel, listener(type, data)) -> unsubscribe()
+const buses = {
+    // Deliver events within this process (default, fine for a single server)
+    memory: () => {
+        const emitter = new EventEmitter();
+
+        // Every open stream is a listener, so busy channels have many of them
+        emitter.setMaxListeners(0);
+
+        return {
+            publish: async (channel, type, data) => {
+                emitter.emit(channel, type, data);
+            },
+            subscribe: (channel, listener) => {
+                emitter.on(channel, listener);
+                return () => emitter.off(channel, listener);
+            }
+        };
+    }
+};
+
+let bus = buses.memory();
+
+// Swap the bus, e.g. for Redis pub/sub so events reach streams opened on other servers
+const setBus = (newBus) => {
+    bus = newBus;
+};
+
+const getBus = () => bus;
+
+module.exports = {
+    buses,
+    setBus,
+    getBus
+};
@@ -0,0 +1,44 @@
+const crypto = require('crypto');
+const fs = require('fs/promises');
+const path = require('path');
+const dotenv = require('dotenv');
+
+dotenv.config();
+
+// A transport delivers a message { from, to, subject, text, html }
+const transports = {
+    // Write every message as a JSON file to the local outbox (default for dev and tests)
+    file: async (message) => {
+        const dir = process.env.MAIL_OUTBOX_DIR || path.join(__dirname, '..', 'outbox');
+        await fs.mkdir(dir, { recursive: true });
+
+        const file = path.join(dir, `${Date.now()}-${crypto.randomBytes(4).toString('hex')}.json`);
+        await fs.writeFile(file, JSON.stringify({ ...message, date: new Date().toISOString() }, null, 2));
+
+        return { file };
+    },
+
+    // Print every message to the console
+    console: async (message) => {
+        console.log(`Mail to ${message.to}: ${message.subject}\n${message.text}`);
+        return {};
+    }
+};
+
+let transport = transports[process.env.MAIL_TRANSPORT] || transports.file;
+
+// Swap the transport, e.g. for an SMTP/API provider in production or a stub in tests
+const setTransport = (newTransport) => {
+    transport = newTransport;
+};
+
+const sendMail = async ({ to, subject, text, html }) => {
+    const from = process.env.MAIL_FROM || 'MiddleGround <no-reply@middleground.local>';
+    return transport({ from, to, subject, text, html });
+};
+
+module.exports = {
+    sendMail,
+    setTransport,
+    transports
+};
@@ -0,0 +1,84 @@
+const dotenv = require('dotenv');
+
+dotenv.config();
+
+// A store counts hits per key in fixed windows: increment(key, windowMs) -> { count, resetAt }
+const stores = {
+    // Keep the counters in process memory (default, fine for a single server)
+    memory: () => {
+        const hits = new Map();
+
+        // Drop expired windows now and then so the map doesn't grow forever
+        const sweep = setInterval(() => {
+            const now = Date.now();
+            for (const [key, entry] of hits) {
+                if (entry.resetAt <= now) {
+                    hits.delete(key);
+                }
+            }
+        }, 60 * 1000);
+        sweep.unref();
+
+        return {
+            increment: async (key, windowMs) => {
+                const now = Date.now();
+                let entry = hits.get(key);
+
+                if (!entry || entry.resetAt <= now) {
+                    entry = { count: 0, resetAt: now + windowMs };
+                    hits.set(key, entry);
+                }
+
+                entry.count += 1;
+                return { count: entry.count, resetAt: entry.resetAt };
+            },
+            reset: async (key) => {
+                hits.delete(key);
+            }
+        };
+    }
+};
+
+let store = stores.memory();
+
+// Swap the store, e.g. for a shared Redis-backed store when running several servers
+const setStore = (newStore) => {
+    store = newStore;
+};
+
+const getStore = () => store;
+
+/**
+ * Build a limit rule; RATE_LIMIT_<NAME>_<BY>=max/windowSeconds overrides the default
+ *
+ * @param {string} name - Name of the limit, e.g. 'likes'
+ * @param {string} by - What is counted: 'user', 'ip' or 'account' (username sent to login)
+ * @param {number} max - Requests allowed per window
+ * @param {number} windowSeconds - Length of the window in seconds
+ * @returns {{by: string, max: number, windowMs: number}} Rule
+ */
+const rule = (name, by, max, windowSeconds) => {
+    const override = process.env[`RATE_LIMIT_${name.toUpperCase()}_${by.toUpperCase()}`];
+    if (override) {
+        const [overrideMax, overrideWindow] = override.split('/').map(Number);
+        max = overrideMax || max;
+        windowSeconds = overrideWindow || windowSeconds;
+    }
+
+    return { by, max, windowMs: windowSeconds * 1000 };
+};
+
+// Limits per route, every rule of a route must pass
+const limits = {
+    login: [rule('login', 'ip', 20, 15 * 60), rule('login', 'account', 10, 15 * 60)],
+    posts: [rule('posts', 'user', 5, 10 * 60), rule('posts', 'ip', 20, 10 * 60)],
+    comments: [rule('comments', 'user', 10, 60), rule('comments', 'ip', 30, 60)],
+    likes: [rule('likes', 'user', 60, 60), rule('likes', 'ip', 200, 60)]
+};
+
+module.exports = {
+    stores,
+    setStore,
+    getStore,
+    limits
+};
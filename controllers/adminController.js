@@ -0,0 +1,109 @@
+const db = require('../config/db');
+const { GRANTABLE_ROLES, getUserRoles } = require('../utils/roles');
+const { invalidateAccessTokens } = require('../utils/sessions');
+const { SERVER_ERROR, sendError } = require('../utils/errors');
+
+// Look up whether a user exists
+const userExists = async (username) => {
+    const [users] = await db.query('SELECT username FROM Users WHERE username = ?', [username]);
+    return users.length > 0;
+};
+
+// Get the roles of a user
+exports.getUserRoles = async (req, res) => {
+    try {
+        const { username } = req.params;
+
+        if (!(await userExists(username))) {
+            return sendError(res, 404, 'USER_NOT_FOUND', 'User not found');
+        }
+
+        const [grants] = await db.query(
+            'SELECT role, grantedBy, dateGranted FROM UserRoles WHERE username = ? ORDER BY dateGranted',
+            [username]
+        );
+
+        res.json({
+            success: true,
+            username,
+            roles: await getUserRoles(username),
+            grants
+        });
+    } catch (error) {
+        console.error('Get user roles error:', error);
+        sendError(res, 500, SERVER_ERROR, 'Failed to retrieve roles');
+    }
+};
+
+// Grant a role to a user
+exports.grantRole = async (req, res) => {
+    try {
+        const { username } = req.params;
+        const { role } = req.body;
+
+        if (!GRANTABLE_ROLES.includes(role)) {
+            return sendError(res, 400, 'INVALID_ROLE', `Role must be one of: ${GRANTABLE_ROLES.join(', ')}`);
+        }
+
+        if (!(await userExists(username))) {
+            return sendError(res, 404, 'USER_NOT_FOUND', 'User not found');
+        }
+
+        const [result] = await db.query(
+            'INSERT IGNORE INTO UserRoles (username, role, grantedBy) VALUES (?, ?, ?)',
+            [username, role, req.user.username]
+        );
+
+        // Existing access tokens carry the old roles; make the user refresh
+        if (result.affectedRows > 0) {
+            await invalidateAccessTokens(username);
+        }
+
+        res.status(result.affectedRows > 0 ? 201 : 200).json({
+            success: true,
+            message: result.affectedRows > 0 ? 'Role granted' : 'User already has this role',
+            username,
+            roles: await getUserRoles(username)
+        });
+    } catch (error) {
+        console.error('Grant role error:', error);
+        sendError(res, 500, SERVER_ERROR, 'Failed to grant role');
+    }
+};
+
+// Revoke a role from a user
+exports.revokeRole = async (req, res) => {
+    try {
+        const { username, role } = req.params;
+
+        if (!GRANTABLE_ROLES.includes(role)) {
+            return sendError(res, 400, 'INVALID_ROLE', `Role must be one of: ${GRANTABLE_ROLES.join(', ')}`);
+        }
+
+        // Stop the last admin from locking themselves out by accident
+        if (role === 'admin' && username === req.user.username) {
+            return sendError(res, 400, 'CANNOT_REVOKE_OWN_ADMIN', 'You cannot revoke your own admin role');
+        }
+
+        const [result] = await db.query(
+            'DELETE FROM UserRoles WHERE username = ? AND role = ?',
+            [username, role]
+        );
+
+        if (result.affectedRows === 0) {
+            return sendError(res, 404, 'ROLE_NOT_HELD', 'User does not have this role');
+        }
+
+        await invalidateAccessTokens(username);
+
+        res.json({
+            success: true,
+            message: 'Role revoked',
+            username,
+            roles: await getUserRoles(username)
+        });
+    } catch (error) {
+        console.error('Revoke role error:', error);
+        sendError(res, 500, SERVER_ERROR, 'Failed to revoke role');
+    }
+};
@@ -0,0 +1,243 @@
+const db = require('../config/db');
+const { POL_LEANS, likeReactionCondition, likeTotals } = require('../utils/likes');
+const { visibilityCondition } = require('../utils/moderation');
+const { hasPermission } = require('../utils/roles');
+const { SERVER_ERROR, sendError } = require('../utils/errors');
+
+const dotenv = require('dotenv');
+dotenv.config();
+
+// Time series bucket sizes and how a timestamp is truncated to its bucket (UTC)
+const BUCKETS = {
+    hour: (date) => `${date.toISOString().slice(0, 13)}:00:00.000Z`,
+    day: (date) => date.toISOString().slice(0, 10)
+};
+
+// A top-level comment with at least this many replies counts as a big thread
+const BIG_THREAD_MIN_REPLIES = 5;
+
+/**
+ * Counts of zero keyed by political leaning
+ *
+ * @returns {object} { FL: 0, ..., FR: 0 }
+ */
+const emptyLeanCounts = () => Object.fromEntries(POL_LEANS.map(lean => [lean, 0]));
+
+/**
+ * Balance of likes between the sides: -1 when all leaning likes are left, 1 when all are right
+ *
+ * @param {object} likes - Like counts keyed by political leaning
+ * @returns {number|null} Balance rounded to 4 decimals, null without left or right likes
+ */
+const leanBalance = (likes) => {
+    const { leftLikes, rightLikes } = likeTotals(likes);
+    if (leftLikes + rightLikes === 0) {
+        return null;
+    }
+    return Math.round((rightLikes - leftLikes) / (leftLikes + rightLikes) * 10000) / 10000;
+};
+
+/**
+ * Get engagement analytics of a post: likes and comments over time by political leaning,
+ * who took part by commenting and who only liked, and how the likes shifted after big comment threads
+ *
+ * Likes (reactions that count as a like) count with the leaning the user had when liking; comments with
+ * the leaning the author had when commenting (LeaningHistory). Deleted and hidden comments are left out.
+ * Only the author of the post and users with the analytics:view permission can see this.
+ *
+ * @route GET /feed/posts/:id/analytics
+ * @param {string} req.params.id - Post ID
+ * @param {string} [req.query.bucket=day] - Time series bucket size (hour, day)
+ * @param {number} [req.query.minReplies=5] - Replies a top-level comment needs to count as a big thread
+ * @returns {object} 200 - Time series, participation and big threads
+ * @returns {object} 400 - Invalid bucket or minReplies
+ * @returns {object} 403 - Not the author and no analytics:view permission
+ * @returns {object} 404 - Post not found
+ * @returns {object} 500 - Server error
+ */
+exports.getPostAnalytics = async (req, res) => {
+    try {
+        const postID = req.params.id;
+        // Checked by the getPostAnalytics schema (schemas/feed.js)
+        const { bucket } = req.query;
+        const minReplies = req.query.minReplies === undefined ? BIG_THREAD_MIN_REPLIES : req.query.minReplies;
+
+        const visibility = visibilityCondition('p', req.user);
+        const [posts] = await db.query(`
+            SELECT p.postID, p.title, p.username, p.datePosted
+            FROM PostsData p
+            WHERE p.postID = ? AND ${visibility.clause}
+        `, [postID, ...visibility.params]);
+
+        if (posts.length === 0) {
+            return sendError(res, 404, 'POST_NOT_FOUND', 'Post not found');
+        }
+
+        const post = posts[0];
+
+        if (post.username !== req.user.username && !hasPermission(req.user.roles, 'analytics:view')) {
+            return sendError(res, 403, 'FORBIDDEN', 'You do not have permission to do this');
+        }
+
+        // Likes on the post, with the leaning each user had when liking
+        const [postLikes] = await db.query(`
+            SELECT l.username, l.polLean, l.dateLiked
+            FROM Likes l
+            WHERE l.entityType = 'POST' AND l.entityID = ? AND ${likeReactionCondition('l')}
+            ORDER BY l.dateLiked ASC
+        `, [postID]);
+
+        // Every comment in the thread with the top-level comment it hangs under,
+        // and the leaning its author had when commenting
+        const [comments] = await db.query(`
+            WITH RECURSIVE thread AS (
+                SELECT c.commentID, c.commentID AS rootCommentID, c.username, c.datePosted, c.isDeleted, c.isHidden
+                FROM Comments c
+                WHERE c.entityType = 'POST' AND c.entityID = ?
+                UNION ALL
+                SELECT c.commentID, t.rootCommentID, c.username, c.datePosted, c.isDeleted, c.isHidden
+                FROM Comments c
+                JOIN thread t ON c.entityType = 'COMMENT' AND c.entityID = t.commentID
+            )
+            SELECT
+                t.commentID,
+                t.rootCommentID,
+                t.username,
+                t.datePosted,
+                COALESCE((
+                    SELECT lh.polLean
+                    FROM LeaningHistory lh
+                    WHERE lh.username = t.username AND lh.dateChanged <= t.datePosted
+                    ORDER BY lh.dateChanged DESC, lh.historyID DESC
+                    LIMIT 1
+                ), u.polLean) AS polLean
+            FROM thread t
+            JOIN Users u ON u.username = t.username
+            WHERE t.isDeleted = FALSE AND t.isHidden = FALSE
+            ORDER BY t.datePosted ASC, t.commentID ASC
+        `, [postID]);
+
+        // Likes on the comments count towards participation, not towards the post's time series
+        let commentLikes = [];
+        if (comments.length > 0) {
+            [commentLikes] = await db.query(`
+                SELECT DISTINCT l.username, l.polLean
+                FROM Likes l
+                WHERE l.entityType = 'COMMENT' AND l.entityID IN (?) AND ${likeReactionCondition('l')}
+            `, [comments.map(comment => comment.commentID)]);
+        }
+
+        // Time series, only buckets with activity
+        const toBucket = BUCKETS[bucket];
+        const buckets = new Map();
+        const getBucket = (date) => {
+            const key = toBucket(new Date(date));
+            if (!buckets.has(key)) {
+                buckets.set(key, { bucket: key, likes: emptyLeanCounts(), comments: emptyLeanCounts() });
+            }
+            return buckets.get(key);
+        };
+
+        const totals = { likes: emptyLeanCounts(), comments: emptyLeanCounts() };
+        postLikes.forEach(like => {
+            getBucket(like.dateLiked).likes[like.polLean]++;
+            totals.likes[like.polLean]++;
+        });
+        comments.forEach(comment => {
+            getBucket(comment.datePosted).comments[comment.polLean]++;
+            totals.comments[comment.polLean]++;
+        });
+
+        const timeline = [...buckets.values()].sort((a, b) => (a.bucket < b.bucket ? -1 : 1));
+
+        // Distinct users by leaning: commenters count under the leaning of their first comment,
+        // users who only liked the post or its comments under the leaning of their like
+        const commenters = new Map();
+        comments.forEach(comment => {
+            if (!commenters.has(comment.username)) {
+                commenters.set(comment.username, comment.polLean);
+            }
+        });
+
+        const likers = new Map();
+        [...postLikes, ...commentLikes].forEach(like => {
+            if (!commenters.has(like.username) && !likers.has(like.username)) {
+                likers.set(like.username, like.polLean);
+            }
+        });
+
+        const participation = { commented: emptyLeanCounts(), likedOnly: emptyLeanCounts() };
+        commenters.forEach(lean => {
+            participation.commented[lean]++;
+        });
+        likers.forEach(lean => {
+            participation.likedOnly[lean]++;
+        });
+
+        // Big threads and the post's likes before and after each one started
+        const threads = new Map();
+        comments.forEach(comment => {
+            if (!threads.has(comment.rootCommentID)) {
+                // Comments are ordered by date, so the first one of a thread is its top-level comment
+                threads.set(comment.rootCommentID, { root: comment, replies: 0, lastReply: null, comments: emptyLeanCounts() });
+            } else {
+                const thread = threads.get(comment.rootCommentID);
+                thread.replies++;
+                thread.lastReply = comment.datePosted;
+            }
+            threads.get(comment.rootCommentID).comments[comment.polLean]++;
+        });
+
+        const bigThreads = [...threads.values()]
+            .filter(thread => thread.root.commentID === thread.root.rootCommentID && thread.replies >= minReplies)
+            .map(thread => {
+                const started = new Date(thread.root.datePosted);
+                const before = emptyLeanCounts();
+                const after = emptyLeanCounts();
+                postLikes.forEach(like => {
+                    (new Date(like.dateLiked) < started ? before : after)[like.polLean]++;
+                });
+
+                const balanceBefore = leanBalance(before);
+                const balanceAfter = leanBalance(after);
+
+                return {
+                    commentID: thread.root.commentID,
+                    username: thread.root.username,
+                    polLean: thread.root.polLean,
+                    datePosted: thread.root.datePosted,
+                    replies: thread.replies,
+                    lastReply: thread.lastReply,
+                    comments: thread.comments,
+                    likesBefore: { likes: before, ...likeTotals(before), balance: balanceBefore },
+                    likesAfter: { likes: after, ...likeTotals(after), balance: balanceAfter },
+                    balanceShift: balanceBefore === null || balanceAfter === null
+                        ? null
+                        : Math.round((balanceAfter - balanceBefore) * 10000) / 10000
+                };
+            });
+
+        res.json({
+            success: true,
+            post: {
+                postID: post.postID,
+                title: post.title,
+                username: post.username,
+                datePosted: post.datePosted
+            },
+            bucket,
+            totals: {
+                likes: { likes: totals.likes, ...likeTotals(totals.likes), balance: leanBalance(totals.likes) },
+                comments: totals.comments
+            },
+            timeline,
+            participation,
+            bigThreads
+        });
+    } catch (error) {
+        console.error('Get post analytics error:', error);
+        sendError(res, 500, SERVER_ERROR, 'Server error while fetching post analytics');
+    }
+};
+
+module.exports = exports;
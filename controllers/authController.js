@@ -1,29 +1,58 @@
 const bcrypt = require('bcrypt');
-const jwt = require('jsonwebtoken');
 const db = require('../config/db');
+const { sendMail } = require('../config/mailer');
+const { generateToken, hashToken } = require('../utils/tokens');
+const { createSession, revokeSessions } = require('../utils/sessions');
+const { getUserRoles } = require('../utils/roles');
+const { SERVER_ERROR, sendError } = require('../utils/errors');
 const dotenv = require('dotenv');
 
 dotenv.config();
 
+const VERIFICATION_TOKEN_HOURS = 24;
+const VERIFICATION_RESEND_SECONDS = 60;
+const RESET_TOKEN_MINUTES = 60;
+const RESET_RESEND_SECONDS = 60;
+const LEANING_COOLDOWN_DAYS = parseInt(process.env.LEANING_COOLDOWN_DAYS) || 30;
+
+// Same answer whether or not the email is registered, so the endpoint can't be used to probe accounts
+const FORGOT_PASSWORD_MESSAGE = 'If an account exists for that email, a password reset link has been sent';
+
+// Create a verification token for the user and email the link to them
+const sendVerificationEmail = async (username, email, firstName) => {
+    const { token, tokenHash } = generateToken();
+
+    await db.query(
+        'INSERT INTO EmailVerifications (tokenHash, username, expiresAt) VALUES (?, ?, DATE_ADD(NOW(), INTERVAL ? HOUR))',
+        [tokenHash, username, VERIFICATION_TOKEN_HOURS]
+    );
+
+    const link = `${process.env.APP_URL || 'http://localhost:5000'}/api/auth/verify?token=${token}`;
+
+    await sendMail({
+        to: email,
+        subject: 'Verify your MiddleGround account',
+        text: `Hi ${firstName},\n\nPlease verify your email address by opening this link:\n${link}\n\n` +
+            `The link expires in ${VERIFICATION_TOKEN_HOURS} hours.`,
+        html: '<p>Welcome to MiddleGround!</p><p>Please verify your email address by opening this link:</p>' +
+            `<p><a href="${link}">${link}</a></p><p>The link expires in ${VERIFICATION_TOKEN_HOURS} hours.</p>`
+    });
+};
+
+// When the user may change their leaning again, null if they already can
+const getNextLeaningChange = async (username) => {
+    const [rows] = await db.query(
+        'SELECT DATE_ADD(MAX(dateChanged), INTERVAL ? DAY) AS nextChange FROM LeaningHistory WHERE username = ? AND previousLean IS NOT NULL',
+        [LEANING_COOLDOWN_DAYS, username]
+    );
+
+    const nextChange = rows[0].nextChange;
+    return nextChange && new Date(nextChange) > new Date() ? nextChange : null;
+};
+
 exports.register = async (req, res) => {
+    // Checked by the register schema (schemas/auth.js)
     const { username, firstName, lastName, email, password, polLean } = req.body;
-    
-    // Validate input
-    if (!username || !firstName || !lastName || !email || !password || !polLean) {
-      return res.status(400).json({ 
-        success: false, 
-        message: 'Please provide all required fields: username, firstName, lastName, email, password, and political leaning' 
-      });
-    }
-
-    // Validate political leaning
-    const validPolLeans = ['FL', 'L', 'SL', 'M', 'SR', 'R', 'FR'];
-    if (!validPolLeans.includes(polLean)) {
-        return res.status(400).json({
-            success: false,
-            message: 'Invalid political leaning. Must be one of: FL, L, SL, M, SR, R, FR'
-        });
-    }
 
     try {
         // Hash password
@@ -37,66 +66,56 @@ exports.register = async (req, res) => {
 
         // Check if user was created successfully
         if (result[0][0].message === 'User Created') {
-            // Generate JWT token
-            const token = jwt.sign(
-                { username: username },
-                process.env.JWT_SECRET,
-                { expiresIn: '1h' }
-            );
+            // Send the verification email; a mail failure shouldn't fail the registration,
+            // the user can ask for a new email later
+            let verificationSent = true;
+            try {
+                await sendVerificationEmail(username, email, firstName);
+            } catch (mailError) {
+                console.error('Verification email error:', mailError);
+                verificationSent = false;
+            }
+
+            // Start a session: short-lived access token plus refresh token
+            const { token, refreshToken, roles } = await createSession(username, req);
 
             // Return success response
             return res.status(201).json({
                 success: true,
                 message: 'Registration successful',
                 token,
+                refreshToken,
+                verificationSent,
                 user: {
                     username,
                     firstName,
                     lastName,
                     email,
-                    polLean
+                    polLean,
+                    accVerify: 0,
+                    roles
                 }
             });
         } else {
             // This shouldn't happen with the stored procedure, but just in case
-            return res.status(500).json({
-                success: false,
-                message: 'Registration failed'
-            });
+            return sendError(res, 500, SERVER_ERROR, 'Registration failed');
         }
     } catch (error) {
         console.error('Registration error:', error);
         
         // Handle specific error messages from the stored procedure
         if (error.message.includes('Username in Use')) {
-            return res.status(409).json({
-                success: false,
-                message: 'Username already in use'
-            });
+            return sendError(res, 409, 'USERNAME_TAKEN', 'Username already in use');
         } else if (error.message.includes('Email in Use')) {
-            return res.status(409).json({
-                success: false,
-                message: 'Email already in use'
-            });
+            return sendError(res, 409, 'EMAIL_TAKEN', 'Email already in use');
         }
         
-        res.status(500).json({
-            success: false,
-            message: 'Registration failed'
-        });
+        sendError(res, 500, SERVER_ERROR, 'Registration failed');
     }
 };
 
 exports.login = async (req, res) => {
     const { username, password } = req.body;
-    console.log(username + " " + password);
-    // Validate input
-    if (!username || !password) {
-        return res.status(400).json({
-            success: false,
-            message: 'Please provide username and password'
-        });
-    }
 
     try {
         // Check if user exists
@@ -106,10 +125,7 @@ exports.login = async (req, res) => {
         );
 
         if (users.length === 0) {
-            return res.status(401).json({
-                success: false,  
-                message: 'Invalid credentials'  
-            });
+            return sendError(res, 401, 'INVALID_CREDENTIALS', 'Invalid credentials');
         }
 
         const user = users[0];
@@ -118,41 +134,36 @@ exports.login = async (req, res) => {
         const validPassword = await bcrypt.compare(password, user.passHash);
 
         if (!validPassword) {       
-            return res.status(401).json({
-                success: false,
-                message: 'Invalid credentials'
-            });
+            return sendError(res, 401, 'INVALID_CREDENTIALS', 'Invalid credentials');
         }
 
-        // Generate JWT token
-        const token = jwt.sign(
-            { email: user.email,
-                username: user.username
-             },
-            process.env.JWT_SECRET,
-            { expiresIn: '1h' }
-        );
+        // Suspended users can't start a session until the suspension ends
+        if (user.suspendedUntil && new Date(user.suspendedUntil) > new Date()) {
+            return sendError(res, 403, 'ACCOUNT_SUSPENDED', 'Your account has been suspended', { suspendedUntil: user.suspendedUntil });
+        }
+
+        // Start a session: short-lived access token plus refresh token
+        const { token, refreshToken, roles } = await createSession(user.username, req);
 
         // Return success response
         res.json({
             success: true,
             message: 'Login successful',
             token,
+            refreshToken,
             user: {
                 username: user.username,
                 firstName: user.firstName,
                 lastName: user.lastName,
                 email: user.email,
                 polLean: user.polLean,
-                accVerify: user.accVerify
+                accVerify: user.accVerify,
+                roles
             }
         });
     } catch (error) {
         console.error('Login error:', error);
-        res.status(500).json({
-            success: false,
-            message: 'Login failed'
-        });
+        sendError(res, 500, SERVER_ERROR, 'Login failed');
     }
 };
 
@@ -165,22 +176,296 @@ exports.getProfile = async (req, res) => {
         );
 
         if (users.length === 0) {
-            return res.status(404).json({
-                success: false,
-                message: 'User not found'
-            });
+            return sendError(res, 404, 'USER_NOT_FOUND', 'User not found');
         }
 
+        const user = users[0];
+        user.roles = await getUserRoles(user.username);
+        user.leaningChangeAvailableAt = await getNextLeaningChange(user.username);
+
         res.json({
             success: true,
-            user: users[0]
+            user
         });
     } catch (error) {
         console.error('Get profile error:', error);
-        res.status(500).json({
-            success: false,
-            message: 'Failed to retrieve profile'
+        sendError(res, 500, SERVER_ERROR, 'Failed to retrieve profile');
+    }
+};
+
+// Update the name fields and political leaning of the current user
+exports.updateProfile = async (req, res) => {
+    // Checked by the updateProfile schema (schemas/auth.js): at least one field, names trimmed
+    const { firstName, lastName, polLean } = req.body;
+
+    try {
+        // Call the stored procedure, which records leaning changes and enforces the cooldown
+        const [result] = await db.query(
+            'CALL updateProfile(?, ?, ?, ?, ?)',
+            [
+                req.user.username,
+                firstName !== undefined ? firstName : null,
+                lastName !== undefined ? lastName : null,
+                polLean !== undefined ? polLean : null,
+                LEANING_COOLDOWN_DAYS
+            ]
+        );
+
+        if (result[0][0].message !== 'Profile Updated') {
+            return sendError(res, 500, SERVER_ERROR, 'Failed to update profile');
+        }
+
+        const [users] = await db.query(
+            'SELECT username, firstName, lastName, email, polLean, accVerify, dateCreate FROM Users WHERE username = ?',
+            [req.user.username]
+        );
+
+        const user = users[0];
+        user.roles = await getUserRoles(user.username);
+        user.leaningChangeAvailableAt = await getNextLeaningChange(user.username);
+
+        res.json({
+            success: true,
+            message: 'Profile updated',
+            leaningChanged: Boolean(result[0][0].leanChanged),
+            user
         });
+    } catch (error) {
+        if (error.message.includes('Leaning Cooldown')) {
+            const message = `Your political leaning can only be changed once every ${LEANING_COOLDOWN_DAYS} days`;
+
+            // The cooldown still applies when its end can't be looked up, the response just can't say when it ends
+            let nextChange;
+            try {
+                nextChange = await getNextLeaningChange(req.user.username);
+            } catch (lookupError) {
+                console.error('Leaning cooldown lookup error:', lookupError);
+                return sendError(res, 429, 'PROFILE_COOLDOWN', message);
+            }
+
+            const retryAfter = nextChange ? Math.max(1, Math.ceil((new Date(nextChange) - Date.now()) / 1000)) : 1;
+
+            res.set('Retry-After', String(retryAfter));
+            return sendError(res, 429, 'PROFILE_COOLDOWN', message, { leaningChangeAvailableAt: nextChange });
+        }
+
+        console.error('Update profile error:', error);
+
+        if (error.message.includes('Invalid Username')) {
+            return sendError(res, 404, 'USER_NOT_FOUND', 'User not found');
+        }
+
+        sendError(res, 500, SERVER_ERROR, 'Failed to update profile');
+    }
+};
+
+// Get the leanings the current user has had, newest first
+exports.getLeaningHistory = async (req, res) => {
+    try {
+        const [history] = await db.query(
+            'SELECT polLean, previousLean, dateChanged FROM LeaningHistory WHERE username = ? ORDER BY dateChanged DESC, historyID DESC',
+            [req.user.username]
+        );
+
+        res.json({
+            success: true,
+            polLean: history.length > 0 ? history[0].polLean : null,
+            cooldownDays: LEANING_COOLDOWN_DAYS,
+            leaningChangeAvailableAt: await getNextLeaningChange(req.user.username),
+            history
+        });
+    } catch (error) {
+        console.error('Get leaning history error:', error);
+        sendError(res, 500, SERVER_ERROR, 'Failed to retrieve leaning history');
+    }
+};
+
+// Verify an email address with the token from the verification email
+exports.verifyEmail = async (req, res) => {
+    const { token } = req.query;
+
+    try {
+        const [tokens] = await db.query(
+            'SELECT username FROM EmailVerifications WHERE tokenHash = ? AND expiresAt > NOW()',
+            [hashToken(token)]
+        );
+
+        if (tokens.length === 0) {
+            return sendError(res, 400, 'INVALID_VERIFICATION_TOKEN', 'Invalid or expired verification token');
+        }
+
+        const username = tokens[0].username;
+
+        await db.query('UPDATE Users SET accVerify = TRUE WHERE username = ?', [username]);
+
+        // Tokens are single use, drop every outstanding token of the user
+        await db.query('DELETE FROM EmailVerifications WHERE username = ?', [username]);
+
+        res.json({
+            success: true,
+            message: 'Email verified successfully',
+            username
+        });
+    } catch (error) {
+        console.error('Verify email error:', error);
+        sendError(res, 500, SERVER_ERROR, 'Email verification failed');
+    }
+};
+
+// Send a new verification email to the current user
+exports.resendVerification = async (req, res) => {
+    try {
+        const [users] = await db.query(
+            'SELECT username, firstName, email, accVerify FROM Users WHERE username = ?',
+            [req.user.username]
+        );
+
+        if (users.length === 0) {
+            return sendError(res, 404, 'USER_NOT_FOUND', 'User not found');
+        }
+
+        const user = users[0];
+
+        if (user.accVerify) {
+            return sendError(res, 400, 'ALREADY_VERIFIED', 'Account is already verified');
+        }
+
+        // Don't let the endpoint be used to flood a mailbox
+        const [recent] = await db.query(
+            'SELECT 1 FROM EmailVerifications WHERE username = ? AND dateCreated > DATE_SUB(NOW(), INTERVAL ? SECOND)',
+            [user.username, VERIFICATION_RESEND_SECONDS]
+        );
+
+        if (recent.length > 0) {
+            res.set('Retry-After', String(VERIFICATION_RESEND_SECONDS));
+            return sendError(res, 429, 'VERIFICATION_COOLDOWN', 'Please wait before requesting another verification email');
+        }
+
+        // Only the newest link stays valid
+        await db.query('DELETE FROM EmailVerifications WHERE username = ?', [user.username]);
+        await sendVerificationEmail(user.username, user.email, user.firstName);
+
+        res.json({
+            success: true,
+            message: 'Verification email sent'
+        });
+    } catch (error) {
+        console.error('Resend verification error:', error);
+        sendError(res, 500, SERVER_ERROR, 'Failed to send verification email');
+    }
+};
+
+// Create a password reset token and email the link to the user
+const sendPasswordResetEmail = async (username, email) => {
+    const { token, tokenHash } = generateToken();
+
+    // Only the newest link stays valid
+    await db.query('DELETE FROM PasswordResets WHERE username = ? AND usedAt IS NULL', [username]);
+    await db.query(
+        'INSERT INTO PasswordResets (tokenHash, username, expiresAt) VALUES (?, ?, DATE_ADD(NOW(), INTERVAL ? MINUTE))',
+        [tokenHash, username, RESET_TOKEN_MINUTES]
+    );
+
+    const link = `${process.env.APP_URL || 'http://localhost:5000'}/reset-password?token=${token}`;
+
+    await sendMail({
+        to: email,
+        subject: 'Reset your MiddleGround password',
+        text: `Someone asked to reset the password of your MiddleGround account.\n\n` +
+            `Open this link to choose a new password:\n${link}\n\n` +
+            `The link expires in ${RESET_TOKEN_MINUTES} minutes and can only be used once. ` +
+            'If you did not ask for this, you can ignore this email.',
+        html: '<p>Someone asked to reset the password of your MiddleGround account.</p>' +
+            `<p>Open this link to choose a new password:</p><p><a href="${link}">${link}</a></p>` +
+            `<p>The link expires in ${RESET_TOKEN_MINUTES} minutes and can only be used once. ` +
+            'If you did not ask for this, you can ignore this email.</p>'
+    });
+};
+
+// Request a password reset email
+exports.forgotPassword = async (req, res) => {
+    const { email } = req.body;
+
+    try {
+        const [users] = await db.query(
+            `SELECT u.username, u.email,
+                EXISTS (
+                    SELECT 1 FROM PasswordResets r
+                    WHERE r.username = u.username AND r.dateCreated > DATE_SUB(NOW(), INTERVAL ? SECOND)
+                ) AS recentlySent
+            FROM Users u
+            WHERE u.email = ?`,
+            [RESET_RESEND_SECONDS, email]
+        );
+
+        // The email is sent in the background so the response time doesn't reveal whether the account exists
+        if (users.length > 0 && !users[0].recentlySent) {
+            sendPasswordResetEmail(users[0].username, users[0].email).catch(mailError => {
+                console.error('Password reset email error:', mailError);
+            });
+        }
+
+        res.json({
+            success: true,
+            message: FORGOT_PASSWORD_MESSAGE
+        });
+    } catch (error) {
+        console.error('Forgot password error:', error);
+        sendError(res, 500, SERVER_ERROR, 'Password reset request failed');
+    }
+};
+
+// Set a new password with the token from the reset email
+exports.resetPassword = async (req, res) => {
+    const { token, password } = req.body;
+
+    try {
+        const tokenHash = hashToken(token);
+
+        // Claim the token; only one request can mark it used, so it works exactly once
+        const [claim] = await db.query(
+            'UPDATE PasswordResets SET usedAt = NOW() WHERE tokenHash = ? AND usedAt IS NULL AND expiresAt > NOW()',
+            [tokenHash]
+        );
+
+        if (claim.affectedRows === 0) {
+            return sendError(res, 400, 'INVALID_RESET_TOKEN', 'Invalid or expired reset token');
+        }
+
+        const [tokens] = await db.query(
+            'SELECT r.username, u.email FROM PasswordResets r JOIN Users u ON u.username = r.username WHERE r.tokenHash = ?',
+            [tokenHash]
+        );
+        const { username, email } = tokens[0];
+
+        // Hash password
+        const hashedPassword = await bcrypt.hash(password, 10);
+
+        await db.query('UPDATE Users SET passHash = ? WHERE username = ?', [hashedPassword, username]);
+
+        // Any other outstanding reset link is no longer needed
+        await db.query('DELETE FROM PasswordResets WHERE username = ? AND usedAt IS NULL', [username]);
+
+        // Whoever knew the old password may still be logged in, end every session
+        await revokeSessions(username, 'password_reset');
+
+        // Let the owner know, in case they didn't do it themselves
+        sendMail({
+            to: email,
+            subject: 'Your MiddleGround password was changed',
+            text: 'The password of your MiddleGround account was just changed. ' +
+                'If this wasn\'t you, reset your password again and contact us.'
+        }).catch(mailError => {
+            console.error('Password changed email error:', mailError);
+        });
+
+        res.json({
+            success: true,
+            message: 'Password has been reset'
+        });
+    } catch (error) {
+        console.error('Reset password error:', error);
+        sendError(res, 500, SERVER_ERROR, 'Password reset failed');
     }
 };
 
@@ -1,8 +1,121 @@
 const db = require('../config/db');
+const { encodeCursor, decodeCursor, keysetCondition, keysetOrderBy } = require('../utils/pagination');
+const { POL_LEANS, LIKE_REACTIONS, DEFAULT_REACTION, likeCountColumns, takeLikes, consensusScore, consensusScoreSql, likeTotals } = require('../utils/likes');
+const { savePostTopics, attachTopics } = require('../utils/topics');
+const { threadCommentsJoin, attachCommentCounts } = require('../utils/comments');
+const { visibilityCondition, getRootPostID } = require('../utils/moderation');
+const { checkForBrigade } = require('../utils/brigading');
+const { LEAN_GROUPS, RISING_MAX_AGE_HOURS, decayedLikesJoin, windowedLikesJoin, perspectiveLeans, perspectiveConditionSql, perspectiveScoreSql } = require('../utils/ranking');
+const { respectedByOtherSideSql, getReactionCounts, attachReactions, emptyReactions } = require('../utils/reactions');
+const { sourcesText, sourceCategorySql, saveSources, attachSources } = require('../utils/sources');
+const { notify, notifyMentions } = require('../utils/notifications');
+const { publishPostEvent } = require('../utils/live');
+const { attachSaved } = require('../utils/saved');
+const { SERVER_ERROR, sendError } = require('../utils/errors');
 
 const dotenv = require('dotenv');
 dotenv.config();
 
+/**
+ * Read the current like counts of a post or comment from LikeCounts
+ * 
+ * @param {string} entityType - POST or COMMENT
+ * @param {number} entityID - ID of the post or comment
+ * @returns {Promise<object>} Like counts keyed by political leaning
+ */
+const getLikeCounts = async (entityType, entityID) => {
+    const [result] = await db.query('CALL getLikes(?, ?)', [entityType, entityID]);
+
+    const likes = {};
+    POL_LEANS.forEach(lean => {
+        likes[lean] = Number(result[0][0][lean]) || 0;
+    });
+    return likes;
+};
+
+/**
+ * Read the political leaning of a user
+ * 
+ * @param {string} username - Username
+ * @returns {Promise<string|null>} Leaning, or null if the user doesn't exist
+ */
+const getUserLean = async (username) => {
+    const [users] = await db.query('SELECT polLean FROM Users WHERE username = ?', [username]);
+    return users.length > 0 ? users[0].polLean : null;
+};
+
+/**
+ * Remember that a signed-in user opened a post, so the perspective feed stops showing it
+ * 
+ * @param {number} postID - Post ID
+ * @param {object} [user] - req.user, undefined for anonymous requests
+ * @returns {Promise<void>}
+ */
+const recordView = async (postID, user) => {
+    if (!user) {
+        return;
+    }
+
+    // Recording a view never fails reading the post
+    try {
+        await db.query(
+            'INSERT INTO PostViews (username, postID) VALUES (?, ?) ON DUPLICATE KEY UPDATE dateViewed = CURRENT_TIMESTAMP',
+            [user.username, postID]
+        );
+    } catch (error) {
+        console.error('Record view error:', error);
+    }
+};
+
+/**
+ * Send the new like and reaction counts of a post or comment to the streams of its post
+ * 
+ * @param {string} entityType - POST or COMMENT
+ * @param {number} entityID - ID of the post or comment
+ * @param {object} likes - Like counts keyed by political leaning
+ * @param {object} reactions - Reaction counts keyed by reaction, then by political leaning
+ * @returns {Promise<void>}
+ */
+const publishLikes = async (entityType, entityID, likes, reactions) => {
+    // Live updates never fail the like itself
+    try {
+        const postID = entityType === 'POST' ? entityID : await getRootPostID(entityID);
+        if (postID) {
+            await publishPostEvent(postID, 'likes', {
+                entityType,
+                entityID: Number(entityID),
+                likes,
+                ...likeTotals(likes),
+                reactions
+            });
+        }
+    } catch (error) {
+        console.error('Live update error:', error);
+    }
+};
+
+/**
+ * Prepare a comment row for output: flag edits and hide the author of deleted placeholders
+ * 
+ * @param {object} comment - Comment row including dateEdited, isDeleted and isHidden
+ * @returns {object} The same comment
+ */
+const formatComment = (comment) => {
+    comment.isDeleted = Boolean(comment.isDeleted);
+    comment.isHidden = Boolean(comment.isHidden);
+    comment.edited = comment.dateEdited !== null && !comment.isDeleted;
+
+    if (comment.isDeleted) {
+        comment.body = '[deleted]';
+        comment.username = null;
+        comment.firstName = null;
+        comment.lastName = null;
+        comment.polLean = null;
+    }
+
+    return comment;
+};
+
 /**
  * Create a new post
  * 
@@ -10,178 +123,324 @@ dotenv.config();
  * @param {object} req.body - Post data
  * @param {string} req.body.title - Post title
  * @param {string} req.body.body - Post content
- * @param {string} [req.body.sources] - Optional sources/references
+ * @param {Array<string|object>|string} [req.body.sources] - Optional source links, as URLs or { url, title } (up to 10)
+ * @param {Array<string>} [req.body.topics] - Optional topic names (up to 5)
  * @param {object} req.user - User object from auth middleware
  * @returns {object} 201 - Post created successfully with postID
- * @returns {object} 400 - Missing required fields
+ * @returns {object} 400 - Missing required fields, invalid sources or invalid topics
  * @returns {object} 500 - Server error
  */
 exports.createPost = async (req, res) => {
     try {
-        const { title, body, sources } = req.body;
+        // Checked and normalized by the createPost schema (schemas/feed.js)
+        const { title, body } = req.body;
+        const sources = req.body.sources || [];
+        const topics = req.body.topics || [];
         const username = req.user.username;
 
-        // Validate required fields
-        if (!title || !body) {
-            return res.status(400).json({
-                success: false,
-                message: 'Title and body are required'
-            });
-        }
-
         // Call the stored procedure to insert post
         const [result] = await db.query(
             'CALL insertPost(?, ?, ?, ?)',
-            [username, title, body, sources || null]
+            [username, title, body, sourcesText(sources)]
         );
 
         // Check if post was created successfully
         if (result[0][0].message === 'Post Created') {
-            // Get the newly created post ID
-            const [postResult] = await db.query(
-                'SELECT LAST_INSERT_ID() as postID'
-            );
-            
-            const postID = postResult[0].postID;
+            // The procedure returns the newly created post ID
+            const postID = result[0][0].postID;
+
+            await savePostTopics(postID, topics);
+            await saveSources('POST', postID, sources);
+
+            // Notifications never hold up the post itself
+            try {
+                await notifyMentions(body, 'POST', postID, postID, username);
+            } catch (notificationError) {
+                console.error('Notification error:', notificationError);
+            }
 
             return res.status(201).json({
                 success: true,
                 message: 'Post created successfully',
-                postID
+                postID,
+                topics,
+                sourceList: sources
             });
         } else {
-            return res.status(500).json({
-                success: false,
-                message: 'Failed to create post'
-            });
+            return sendError(res, 500, SERVER_ERROR, 'Failed to create post');
         }
     } catch (error) {
         console.error('Create post error:', error);
-        res.status(500).json({
-            success: false,
-            message: 'Server error while creating post'
-        });
+        sendError(res, 500, SERVER_ERROR, 'Server error while creating post');
     }
 };
 
 /**
  * Get all posts with pagination and sorting options
  * 
+ * Pass the nextCursor/prevCursor of a previous response as `cursor` for stable infinite scrolling.
+ * Without a cursor the page/offset API is used and the totals are included.
+ * Posts hidden by a moderator are only listed for their author and moderators.
+ * Time-based sorts are evaluated as of the time of the first page, which the cursor carries along.
+ * 
  * @route GET /feed/posts
+ * @param {string} [req.query.cursor] - Cursor token from a previous response (takes precedence over page)
  * @param {number} [req.query.page=1] - Page number
- * @param {number} [req.query.limit=10] - Number of posts per page
- * @param {string} [req.query.sortBy=recent] - Sorting method (recent, balanced, controversial, right, left, moderate)
- * @returns {object} 200 - List of posts with pagination info
+ * @param {number} [req.query.limit=10] - Number of posts per page (max 50)
+ * @param {string} [req.query.sortBy=recent] - Sorting method (recent, following, perspective, hot, rising, consensus, respected, balanced, controversial, right, left, moderate)
+ * @param {string} [req.query.t=all] - Time window for controversial, right, left and moderate (day, week, month, all)
+ * @param {string} [req.query.distance=adjacent] - How far across the spectrum the perspective sort looks (adjacent, far)
+ * @param {string} [req.query.topic] - Only posts with this topic slug (comma-separated for any of several)
+ * @param {string} [req.query.sourcedBy] - Only posts citing a source of this category (primary, news, blog)
+ * @returns {object} 200 - List of posts with pagination info and cursors
+ * @returns {object} 400 - Unknown sort, time window, distance or source category, page or limit out of range, or invalid cursor
+ * @returns {object} 401 - following or perspective sort without signing in
  * @returns {object} 500 - Server error
  */
 exports.getPosts = async (req, res) => {
     try {
-        const page = parseInt(req.query.page) || 1;
-        const limit = parseInt(req.query.limit) || 10;
-        const sortBy = req.query.sortBy || 'recent'; // Default sort by recency
+        // Checked by the getPosts schema (schemas/feed.js), with defaults filled in
+        const { page, limit, sortBy, t, distance } = req.query;
         const offset = (page - 1) * limit;
 
-        let orderClause = '';
-        //check if anytin
-        
+        let sortKey = null;
+        let sortDirection = 'DESC';
+        // Leanings the perspective sort shows the viewer
+        let perspective = null;
+        // Builds the join with time-based like scores once the reference time is known
+        let likesJoin = null;
+
+        // Like-count sorts only count the likes within the time window, when one is set
+        const windowSort = (allTimeKey, leans) => (t === 'all'
+            ? { sortKey: allTimeKey, likesJoin: null }
+            : { sortKey: 'COALESCE(windowed.likes, 0)', likesJoin: (asOf) => windowedLikesJoin(leans, t, asOf) });
+
         // Determine the sorting method
         switch (sortBy) {
+            case 'hot':
+                // Sort by likes weighted by their age, halving every half-life of the liker's leaning group
+                sortKey = 'COALESCE(decayed.score, 0)';
+                likesJoin = decayedLikesJoin;
+                break;
+            case 'rising':
+                // Sort new posts by their time-weighted likes per hour since posting
+                sortKey = 'ROUND(COALESCE(decayed.score, 0) / (TIMESTAMPDIFF(SECOND, p.datePosted, ?) / 3600 + 2), 6)';
+                likesJoin = decayedLikesJoin;
+                break;
+            case 'consensus':
+                // Sort by bridging score (liked across the spectrum, smoothed for small samples)
+                sortKey = consensusScoreSql('lc');
+                break;
+            case 'respected':
+                // Sort by 'respect' reactions from the other side of the author's leaning
+                sortKey = respectedByOtherSideSql('u', 'rr');
+                break;
             case 'balanced':
                 // Sort by how balanced the post is (closest to zero difference between right and left leaning likes)
-                orderClause = `
-                    ABS(
-                        (SELECT COUNT(*) FROM Likes WHERE entityType = 'POST' AND entityID = p.postID AND polLean IN ('FR', 'R', 'SR')) - 
-                        (SELECT COUNT(*) FROM Likes WHERE entityType = 'POST' AND entityID = p.postID AND polLean IN ('FL', 'L', 'SL'))
-                    ) ASC, 
-                    p.datePosted DESC
-                `;
+                sortKey = 'ABS(COALESCE(lc.rightLikes, 0) - COALESCE(lc.leftLikes, 0))';
+                sortDirection = 'ASC';
                 break;
             case 'controversial':
                 // Sort by total likes (most engagement)
-                orderClause = `
-                    (SELECT COUNT(*) FROM Likes WHERE entityType = 'POST' AND entityID = p.postID) DESC, 
-                    p.datePosted DESC
-                `;
+                ({ sortKey, likesJoin } = windowSort('COALESCE(lc.totalLikes, 0)', null));
                 break;
             case 'right':
                 // Sort by right-leaning likes
-                orderClause = `
-                    (SELECT COUNT(*) FROM Likes WHERE entityType = 'POST' AND entityID = p.postID AND polLean IN ('FR', 'R', 'SR')) DESC, 
-                    p.datePosted DESC
-                `;
+                ({ sortKey, likesJoin } = windowSort('COALESCE(lc.rightLikes, 0)', LEAN_GROUPS.right));
                 break;
             case 'left':
                 // Sort by left-leaning likes
-                orderClause = `
-                    (SELECT COUNT(*) FROM Likes WHERE entityType = 'POST' AND entityID = p.postID AND polLean IN ('FL', 'L', 'SL')) DESC, 
-                    p.datePosted DESC
-                `;
+                ({ sortKey, likesJoin } = windowSort('COALESCE(lc.leftLikes, 0)', LEAN_GROUPS.left));
                 break;
             case 'moderate':
                 // Sort by moderate likes
-                orderClause = `
-                    (SELECT COUNT(*) FROM Likes WHERE entityType = 'POST' AND entityID = p.postID AND polLean = 'M') DESC, 
-                    p.datePosted DESC
-                `;
+                ({ sortKey, likesJoin } = windowSort('COALESCE(lc.M, 0)', LEAN_GROUPS.moderate));
+                break;
+            case 'perspective':
+                // Posts liked mainly by the other side of the viewer, ranked by those likes, discussion and sources
+                if (!req.user) {
+                    return sendError(res, 401, 'AUTH_REQUIRED', 'Sign in to see posts from the other side of the spectrum');
+                }
+                perspective = perspectiveLeans(await getUserLean(req.user.username), distance);
+                sortKey = perspectiveScoreSql('p', 'lc', 'threadComments', perspective);
+                break;
+            case 'following':
+                // Most recent posts of the users the signed-in user follows (filtered below)
+                if (!req.user) {
+                    return sendError(res, 401, 'AUTH_REQUIRED', 'Sign in to see posts from the users you follow');
+                }
                 break;
             case 'recent':
             default:
                 // Sort by most recent
-                orderClause = 'p.datePosted DESC';
                 break;
         }
 
+        // Ties are broken by date and then postID so every post has a stable position for cursors
+        const keys = [
+            { column: 'datePosted', dir: 'DESC', type: 'date' },
+            { column: 'postID', dir: 'DESC' }
+        ];
+        if (sortKey) {
+            keys.unshift({ column: 'sortKey', dir: sortDirection });
+        }
+
+        // A cursor only continues the sort, time window and distance it was issued for
+        let cursorSort = likesJoin && t !== 'all' ? `${sortBy}:${t}` : sortBy;
+        if (perspective) {
+            cursorSort = `${sortBy}:${distance}`;
+        }
+
+        let cursor = null;
+        if (req.query.cursor) {
+            cursor = decodeCursor(req.query.cursor, cursorSort, keys);
+            if (!cursor) {
+                return sendError(res, 400, 'INVALID_CURSOR', 'Invalid cursor');
+            }
+        }
+
+        // Reference time of time-based sorts, taken from the cursor so later pages rank the same way
+        let asOf = null;
+        if (likesJoin) {
+            asOf = cursor && cursor.context ? new Date(cursor.context) : new Date();
+            if (isNaN(asOf.getTime())) {
+                return sendError(res, 400, 'INVALID_CURSOR', 'Invalid cursor');
+            }
+        }
+
+        const join = likesJoin ? likesJoin(asOf) : { clause: '', params: [] };
+        const sortParams = sortBy === 'rising' ? [asOf] : [];
+
+        const direction = cursor ? cursor.direction : 'next';
+        const keyset = cursor ? keysetCondition(keys, cursor.values, direction) : null;
+
+        // Filters applied to the posts before sorting
+        const visibility = visibilityCondition('p', req.user);
+        const conditions = [visibility.clause];
+        const params = [...visibility.params];
+
+        if (sortBy === 'rising') {
+            conditions.push('p.datePosted > ? AND p.datePosted <= ?');
+            params.push(new Date(asOf.getTime() - RISING_MAX_AGE_HOURS * 60 * 60 * 1000), asOf);
+        }
+
+        if (req.query.topic) {
+            conditions.push(`p.postID IN (
+                SELECT pt.postID FROM PostTopics pt JOIN Topics t ON t.topicID = pt.topicID WHERE t.slug IN (?)
+            )`);
+            params.push(req.query.topic);
+        }
+
+        if (sortBy === 'following') {
+            conditions.push('p.username IN (SELECT followee FROM Follows WHERE follower = ?)');
+            params.push(req.user.username);
+        }
+
+        if (perspective) {
+            // Only what the viewer hasn't written, reacted to or opened yet
+            conditions.push(perspectiveConditionSql('lc', perspective));
+            conditions.push(`p.username <> ?
+                AND NOT EXISTS (SELECT 1 FROM Likes l WHERE l.username = ? AND l.entityType = 'POST' AND l.entityID = p.postID)
+                AND NOT EXISTS (SELECT 1 FROM PostViews v WHERE v.username = ? AND v.postID = p.postID)`);
+            params.push(req.user.username, req.user.username, req.user.username);
+        }
+
+        if (req.query.sourcedBy) {
+            conditions.push(`p.postID IN (
+                SELECT s.entityID FROM Sources s WHERE s.entityType = 'POST' AND ${sourceCategorySql('s.domain')} = ?
+            )`);
+            params.push(req.query.sourcedBy);
+        }
+
+        const whereClause = `WHERE ${conditions.join(' AND ')}`;
+
         // Get posts with user information
-        const [posts] = await db.query(`
-            SELECT 
-                p.postID, 
-                p.title, 
-                p.body, 
-                p.sources, 
-                p.datePosted,
-                u.username,
-                u.firstName,
-                u.lastName,
-                u.polLean,
-                (SELECT COUNT(*) FROM Comments WHERE postID = p.postID) AS commentCount
-            FROM Postsdata p
-            JOIN Users u ON p.username = u.username
-            ORDER BY ${orderClause}
-            LIMIT ? OFFSET ?
-        `, [limit, offset]);
+        const [rows] = await db.query(`
+            SELECT * FROM (
+                SELECT 
+                    p.postID, 
+                    p.title, 
+                    p.body, 
+                    p.sources, 
+                    p.datePosted,
+                    p.isHidden,
+                    p.isLocked,
+                    u.username,
+                    u.firstName,
+                    u.lastName,
+                    u.polLean,
+                    ${likeCountColumns('lc')}
+                    ${sortKey ? `, ${sortKey} AS sortKey` : ''}
+                FROM PostsData p
+                JOIN Users u ON p.username = u.username
+                LEFT JOIN LikeCounts lc ON lc.entityType = 'POST' AND lc.entityID = p.postID
+                LEFT JOIN ReactionCounts rr ON rr.entityType = 'POST' AND rr.entityID = p.postID AND rr.reaction = 'respect'
+                ${join.clause}
+                ${perspective ? threadCommentsJoin('p') : ''}
+                ${whereClause}
+            ) ranked
+            ${keyset ? `WHERE ${keyset.clause}` : ''}
+            ORDER BY ${keysetOrderBy(keys, direction)}
+            LIMIT ? ${cursor ? '' : 'OFFSET ?'}
+        `, [
+            ...sortParams,
+            ...join.params,
+            ...params,
+            ...(cursor ? [...keyset.params, limit + 1] : [limit + 1, offset])
+        ]);
 
-        // Get like counts for each post
+        // One extra row tells whether there is anything beyond this page
+        const hasMore = rows.length > limit;
+        const posts = rows.slice(0, limit);
+        if (direction === 'prev') {
+            posts.reverse();
+        }
+
+        const first = posts[0];
+        const last = posts[posts.length - 1];
+        const hasNext = direction === 'next' ? hasMore : true;
+        const hasPrev = direction === 'prev' ? hasMore : (cursor !== null || page > 1);
+        const context = asOf ? asOf.toISOString() : undefined;
+        const nextCursor = last && hasNext ? encodeCursor(cursorSort, 'next', keys, last, context) : null;
+        const prevCursor = first && hasPrev ? encodeCursor(cursorSort, 'prev', keys, first, context) : null;
+
+        // Attach like counts by political leaning and the derived metrics
         for (const post of posts) {
-            // Get like counts by political leaning
-            const [likeCounts] = await db.query(`
-                SELECT 
-                    polLean,
-                    COUNT(*) as count
-                FROM Likes
-                WHERE entityType = 'POST' AND entityID = ?
-                GROUP BY polLean
-            `, [post.postID]);
-            
-            // Initialize likes object with zeros
-            post.likes = {
-                'FL': 0, 'L': 0, 'SL': 0, 'M': 0, 'SR': 0, 'R': 0, 'FR': 0
-            };
-            
-            // Fill in actual counts
-            likeCounts.forEach(like => {
-                post.likes[like.polLean] = like.count;
+            delete post.sortKey;
+            post.isHidden = Boolean(post.isHidden);
+            post.isLocked = Boolean(post.isLocked);
+            post.likes = takeLikes(post);
+            Object.assign(post, likeTotals(post.likes));
+        }
+
+        await attachCommentCounts(posts);
+        await attachTopics(posts);
+        await attachReactions('POST', posts, 'postID');
+        await attachSources('POST', posts, 'postID');
+        await attachSaved('POST', posts, 'postID', req.user);
+
+        // Cursor requests skip the totals, they are only needed by the page/offset API
+        if (cursor) {
+            return res.json({
+                success: true,
+                postsPerPage: limit,
+                sortBy,
+                t,
+                ...(perspective ? { perspective: { distance, leanings: perspective } } : {}),
+                nextCursor,
+                prevCursor,
+                posts
             });
-            
-            // Calculate additional metrics
-            post.totalLikes = Object.values(post.likes).reduce((sum, count) => sum + count, 0);
-            post.rightLikes = post.likes['FR'] + post.likes['R'] + post.likes['SR'];
-            post.leftLikes = post.likes['FL'] + post.likes['L'] + post.likes['SL'];
-            post.moderateLikes = post.likes['M'];
-            post.polarizationScore = Math.abs(post.rightLikes - post.leftLikes);
         }
 
-        // Get total count of posts
-        const [countResult] = await db.query('SELECT COUNT(*) as total FROM PostsData');
+        // Get total count of posts matching the filters
+        const [countResult] = await db.query(`
+            SELECT COUNT(*) as total
+            FROM PostsData p
+            JOIN Users u ON p.username = u.username
+            LEFT JOIN LikeCounts lc ON lc.entityType = 'POST' AND lc.entityID = p.postID
+            ${whereClause}
+        `, params);
         const totalPosts = countResult[0].total;
         const totalPages = Math.ceil(totalPosts / limit);
 
@@ -192,24 +451,29 @@ exports.getPosts = async (req, res) => {
             totalPosts,
             postsPerPage: limit,
             sortBy,
+            t,
+            ...(perspective ? { perspective: { distance, leanings: perspective } } : {}),
+            nextCursor,
+            prevCursor,
             posts
         });
     } catch (error) {
         console.error('Get posts error:', error);
-        res.status(500).json({
-            success: false,
-            message: 'Server error while fetching posts'
-        });
+        sendError(res, 500, SERVER_ERROR, 'Server error while fetching posts');
     }
 };
 
 /**
  * Get a single post by ID with its comments
  * 
+ * Hidden posts and comments are only returned to their author and to moderators.
+ * 
  * @route GET /feed/posts/:id
  * @param {string} req.params.id - Post ID
+ * @param {object} [req.user] - User object from the optional auth middleware
  * @returns {object} 200 - Post details with comments
- * @returns {object} 404 - Post not found
+ * @returns {object} 400 - Invalid post ID
+ * @returns {object} 404 - Post not found or hidden
  * @returns {object} 500 - Server error
  */
 exports.getPostById = async (req, res) => {
@@ -219,6 +483,9 @@ exports.getPostById = async (req, res) => {
         console.log(postID);
         console.log("hrere");
 
+        const postVisibility = visibilityCondition('p', req.user);
+        const commentVisibility = visibilityCondition('c', req.user);
+
         // Get post with user information
         const [posts] = await db.query(`
             SELECT 
@@ -227,83 +494,75 @@ exports.getPostById = async (req, res) => {
                 p.body, 
                 p.sources, 
                 p.datePosted,
+                p.dateEdited,
+                p.isHidden,
+                p.isLocked,
                 u.username,
                 u.firstName,
                 u.lastName,
-                u.polLean
+                u.polLean,
+                (SELECT COUNT(*) FROM PostRevisions WHERE postID = p.postID) AS revisionCount,
+                ${likeCountColumns('lc')}
             FROM PostsData p
             JOIN Users u ON p.username = u.username
-            WHERE p.postID = ?
-        `, [postID]);
+            LEFT JOIN LikeCounts lc ON lc.entityType = 'POST' AND lc.entityID = p.postID
+            WHERE p.postID = ? AND ${postVisibility.clause}
+        `, [postID, ...postVisibility.params]);
 
         if (posts.length === 0) {
-            return res.status(404).json({
-                success: false,
-                message: 'Post not found',
-                postid : postID
-            });
+            return sendError(res, 404, 'POST_NOT_FOUND', 'Post not found', { postid: postID });
         }
 
         const post = posts[0];
 
-        // Get like counts for the post
-        const [likeCounts] = await db.query(`
-            SELECT 
-                polLean,
-                COUNT(*) as count
-            FROM Likes
-            WHERE entityType = 'POST' AND entityID = ?
-            GROUP BY polLean
-        `, [postID]);
-        
-        // Initialize likes object with zeros
-        post.likes = {
-            'FL': 0, 'L': 0, 'SL': 0, 'M': 0, 'SR': 0, 'R': 0, 'FR': 0
-        };
-        
-        // Fill in actual counts
-        likeCounts.forEach(like => {
-            post.likes[like.polLean] = like.count;
-        });
+        await recordView(post.postID, req.user);
+
+        // Flag edited posts so readers know the content changed after it was published
+        post.edited = post.dateEdited !== null;
+        post.isHidden = Boolean(post.isHidden);
+        post.isLocked = Boolean(post.isLocked);
+
+        // Like counts for the post by political leaning
+        post.likes = takeLikes(post);
+        post.consensusScore = consensusScore(post.likes);
+
+        await attachTopics([post]);
+        await attachReactions('POST', [post], 'postID');
+        await attachSources('POST', [post], 'postID');
+        await attachSaved('POST', [post], 'postID', req.user);
 
         // Get comments for the post
         const [comments] = await db.query(`
             SELECT 
+                c.commentID,
                 c.entityID, 
                 c.body, 
                 c.datePosted,
-                c.parentCommentID,
+                c.dateEdited,
+                c.isDeleted,
+                c.isHidden,
+                NULL AS parentCommentID,
                 u.username,
                 u.firstName,
                 u.lastName,
-                u.polLean
+                u.polLean,
+                (SELECT COUNT(*) FROM Comments r WHERE r.entityType = 'COMMENT' AND r.entityID = c.commentID AND r.isHidden = FALSE) AS replyCount,
+                ${likeCountColumns('lc')}
             FROM Comments c
             JOIN Users u ON c.username = u.username
-            WHERE c.entityID = ?
+            LEFT JOIN LikeCounts lc ON lc.entityType = 'COMMENT' AND lc.entityID = c.commentID
+            WHERE c.entityType = 'POST' AND c.entityID = ? AND ${commentVisibility.clause}
             ORDER BY c.datePosted ASC
-        `, [postID]);
+        `, [postID, ...commentVisibility.params]);
 
-        // Get like counts for each comment
+        // Attach like counts for each comment
         for (const comment of comments) {
-            const [commentLikeCounts] = await db.query(`
-                SELECT 
-                    polLean,
-                    COUNT(*) as count
-                FROM Likes
-                WHERE entityType = 'COMMENT' AND entityID = ?
-                GROUP BY polLean
-            `, [comment.commentID]);
-            
-            // Initialize likes object with zeros
-            comment.likes = {
-                'FL': 0, 'L': 0, 'SL': 0, 'M': 0, 'SR': 0, 'R': 0, 'FR': 0
-            };
-            
-            // Fill in actual counts
-            commentLikeCounts.forEach(like => {
-                comment.likes[like.polLean] = like.count;
-            });
+            comment.likes = takeLikes(comment);
         }
+        await attachReactions('COMMENT', comments, 'commentID');
+        await attachSources('COMMENT', comments, 'commentID');
+        await attachSaved('COMMENT', comments, 'commentID', req.user);
+        comments.forEach(formatComment);
 
         // Add comments to post
         post.comments = comments;
@@ -314,10 +573,231 @@ exports.getPostById = async (req, res) => {
         });
     } catch (error) {
         console.error('Get post error:', error);
-        res.status(500).json({
-            success: false,
-            message: 'Server error while fetching post'
+        sendError(res, 500, SERVER_ERROR, 'Server error while fetching post');
+    }
+};
+
+/**
+ * Edit a post (author only). The replaced version is stored in PostRevisions.
+ * PUT replaces the post and requires title and body, PATCH only changes the fields provided.
+ * 
+ * @route PUT /feed/posts/:id
+ * @route PATCH /feed/posts/:id
+ * @param {string} req.params.id - Post ID
+ * @param {object} req.body - Post data
+ * @param {string} [req.body.title] - New post title (required for PUT)
+ * @param {string} [req.body.body] - New post content (required for PUT)
+ * @param {Array<string|object>|string} [req.body.sources] - New source links (replaces the current sources)
+ * @param {Array<string>} [req.body.topics] - New topic names (replaces the current topics)
+ * @param {object} req.user - User object from auth middleware
+ * @returns {object} 200 - Post updated successfully with the new revision count
+ * @returns {object} 400 - Missing or empty fields, or invalid sources or topics
+ * @returns {object} 403 - Not the author of the post
+ * @returns {object} 404 - Post not found
+ * @returns {object} 500 - Server error
+ */
+exports.updatePost = async (req, res) => {
+    try {
+        const postID = req.params.id;
+        const username = req.user.username;
+        const isPatch = req.method === 'PATCH';
+
+        // The replacePost and patchPost schemas (schemas/feed.js) check the fields each method needs
+
+        // Topics are only replaced when provided
+        const topics = req.body.topics;
+
+        // PUT replaces the sources, PATCH only when provided
+        const newSources = isPatch && req.body.sources === undefined ? undefined : req.body.sources || [];
+
+        const [posts] = await db.query(
+            'SELECT postID, username, title, body, sources FROM PostsData WHERE postID = ?',
+            [postID]
+        );
+
+        if (posts.length === 0) {
+            return sendError(res, 404, 'POST_NOT_FOUND', 'Post not found', { postid: postID });
+        }
+
+        const post = posts[0];
+
+        if (post.username !== username) {
+            return sendError(res, 403, 'NOT_AUTHOR', 'You can only edit your own posts');
+        }
+
+        const title = req.body.title !== undefined ? req.body.title : post.title;
+        const body = req.body.body !== undefined ? req.body.body : post.body;
+        const sources = newSources === undefined ? post.sources : sourcesText(newSources);
+
+        const contentChanged = title !== post.title || body !== post.body || sources !== post.sources;
+
+        // The edit, the topics and the sources are saved together or not at all
+        const connection = await db.getConnection();
+        try {
+            await connection.beginTransaction();
+
+            // Unchanged content doesn't call the procedure, so no empty revision is recorded
+            if (contentChanged) {
+                // Call the stored procedure to store the old version and apply the edit
+                const [result] = await connection.query(
+                    'CALL updatePost(?, ?, ?, ?)',
+                    [postID, title, body, sources]
+                );
+
+                if (result[0][0].message !== 'Post Updated') {
+                    await connection.rollback();
+                    return sendError(res, 500, SERVER_ERROR, 'Failed to update post');
+                }
+            }
+
+            if (topics) {
+                await savePostTopics(post.postID, topics, connection);
+            }
+
+            // Source titles aren't part of the revision text, so they are saved even without a new revision
+            if (newSources) {
+                await saveSources('POST', post.postID, newSources, connection);
+            }
+
+            await connection.commit();
+        } catch (error) {
+            await connection.rollback();
+            throw error;
+        } finally {
+            connection.release();
+        }
+
+        if (!contentChanged) {
+            return res.json({
+                success: true,
+                message: topics || newSources ? 'Post updated successfully' : 'No changes to apply',
+                postID: post.postID
+            });
+        }
+
+        // Only users mentioned for the first time are notified
+        try {
+            await notifyMentions(body, 'POST', post.postID, post.postID, username);
+        } catch (notificationError) {
+            console.error('Notification error:', notificationError);
+        }
+
+        const [revisionResult] = await db.query(
+            'SELECT COUNT(*) AS revisionCount FROM PostRevisions WHERE postID = ?',
+            [postID]
+        );
+
+        res.json({
+            success: true,
+            message: 'Post updated successfully',
+            postID: post.postID,
+            revisionCount: revisionResult[0].revisionCount
+        });
+    } catch (error) {
+        console.error('Update post error:', error);
+        sendError(res, 500, SERVER_ERROR, 'Server error while updating post');
+    }
+};
+
+/**
+ * Delete a post along with its comments and likes (author only)
+ * 
+ * @route DELETE /feed/posts/:id
+ * @param {string} req.params.id - Post ID
+ * @param {object} req.user - User object from auth middleware
+ * @returns {object} 200 - Post deleted successfully
+ * @returns {object} 400 - Invalid post ID
+ * @returns {object} 403 - Not the author of the post
+ * @returns {object} 404 - Post not found
+ * @returns {object} 500 - Server error
+ */
+exports.deletePost = async (req, res) => {
+    try {
+        const postID = req.params.id;
+        const username = req.user.username;
+
+        const [posts] = await db.query(
+            'SELECT postID, username FROM PostsData WHERE postID = ?',
+            [postID]
+        );
+
+        if (posts.length === 0) {
+            return sendError(res, 404, 'POST_NOT_FOUND', 'Post not found', { postid: postID });
+        }
+
+        if (posts[0].username !== username) {
+            return sendError(res, 403, 'NOT_AUTHOR', 'You can only delete your own posts');
+        }
+
+        // Call the stored procedure to remove the post and its thread
+        const [result] = await db.query('CALL deletePost(?)', [postID]);
+
+        if (result[0][0].message === 'Post Deleted') {
+            return res.json({
+                success: true,
+                message: 'Post deleted successfully',
+                postID: posts[0].postID
+            });
+        } else {
+            return sendError(res, 500, SERVER_ERROR, 'Failed to delete post');
+        }
+    } catch (error) {
+        console.error('Delete post error:', error);
+        sendError(res, 500, SERVER_ERROR, 'Server error while deleting post');
+    }
+};
+
+/**
+ * Get the earlier versions of a post, newest first
+ * 
+ * @route GET /feed/posts/:id/revisions
+ * @param {string} req.params.id - Post ID
+ * @param {object} [req.user] - User object from the optional auth middleware
+ * @returns {object} 200 - Current version and list of earlier versions
+ * @returns {object} 400 - Invalid post ID
+ * @returns {object} 404 - Post not found or hidden
+ * @returns {object} 500 - Server error
+ */
+exports.getPostRevisions = async (req, res) => {
+    try {
+        const postID = req.params.id;
+
+        const visibility = visibilityCondition('p', req.user);
+        const [posts] = await db.query(
+            `SELECT postID, title, body, sources, datePosted, dateEdited FROM PostsData p WHERE postID = ? AND ${visibility.clause}`,
+            [postID, ...visibility.params]
+        );
+
+        if (posts.length === 0) {
+            return sendError(res, 404, 'POST_NOT_FOUND', 'Post not found', { postid: postID });
+        }
+
+        const [revisions] = await db.query(`
+            SELECT 
+                revisionNumber,
+                title,
+                body,
+                sources,
+                likesAtRevision,
+                dateRevised
+            FROM PostRevisions
+            WHERE postID = ?
+            ORDER BY revisionNumber DESC
+        `, [postID]);
+
+        const current = posts[0];
+
+        res.json({
+            success: true,
+            postID: current.postID,
+            edited: current.dateEdited !== null,
+            current,
+            revisionCount: revisions.length,
+            revisions
         });
+    } catch (error) {
+        console.error('Get post revisions error:', error);
+        sendError(res, 500, SERVER_ERROR, 'Server error while fetching post revisions');
     }
 };
 
@@ -329,34 +809,40 @@ exports.getPostById = async (req, res) => {
  * @param {number} [req.body.postID] - Post ID (required if not replying to a comment)
  * @param {string} req.body.body - Comment content
  * @param {number} [req.body.parentCommentID] - Parent comment ID (for replies)
+ * @param {Array<string|object>|string} [req.body.sources] - Optional source links, as URLs or { url, title } (up to 10)
  * @param {object} req.user - User object from auth middleware
  * @returns {object} 201 - Comment added successfully with commentID
- * @returns {object} 400 - Missing required fields
+ * @returns {object} 400 - Missing required fields, invalid sources or a parent comment under another post
+ * @returns {object} 403 - Thread locked by a moderator
+ * @returns {object} 404 - Post or parent comment not found
  * @returns {object} 500 - Server error
  */
 exports.addComment = async (req, res) => {
     try {
+        // Checked by the addComment schema (schemas/feed.js): a body and a postID or parentCommentID
         const { postID, body, parentCommentID } = req.body;
+        const sources = req.body.sources || [];
         const username = req.user.username;
 
-        // Validate required fields
-        if (!body) {
-            return res.status(400).json({
-                success: false,
-                message: 'Comment body is required'
-            });
-        }
+        // Replies are stored against the parent comment, top-level comments against the post
+        const entityType = parentCommentID ? 'COMMENT' : 'POST';
+        const entityID = parentCommentID || postID;
 
-        if (!postID && !parentCommentID) {
-            return res.status(400).json({
-                success: false,
-                message: 'Either postID or parentCommentID must be provided'
-            });
+        // A reply that also names a post must answer a comment under that post
+        const rootPostID = parentCommentID ? await getRootPostID(parentCommentID) : postID;
+        if (parentCommentID && postID && rootPostID !== null && rootPostID !== postID) {
+            return sendError(res, 400, 'PARENT_NOT_IN_POST', 'Parent comment does not belong to this post');
         }
 
-        // Determine entityType based on provided IDs
-        const entityType = 'POST' ;
-        const entityID = postID || parentCommentID;
+        // Locked threads take no new comments or replies
+        const [locked] = await db.query(
+            'SELECT postID FROM PostsData WHERE postID = ? AND isLocked = TRUE',
+            [rootPostID]
+        );
+
+        if (locked.length > 0) {
+            return sendError(res, 403, 'THREAD_LOCKED', 'This thread has been locked by a moderator');
+        }
 
         // Call the stored procedure to insert comment
         const [result] = await db.query(
@@ -366,30 +852,193 @@ exports.addComment = async (req, res) => {
 
         // Check if comment was created successfully
         if (result[0][0].message === 'Comment Created') {
-            // Get the newly created comment ID
-            const [commentResult] = await db.query(
-                'SELECT LAST_INSERT_ID() as commentID'
-            );
-            
-            const commentID = commentResult[0].commentID;
+            // The procedure returns the newly created comment ID
+            const commentID = result[0][0].commentID;
+
+            await saveSources('COMMENT', commentID, sources);
+
+            // Send the comment to the streams of the post; live updates never fail the comment itself
+            try {
+                const [created] = await db.query(`
+                    SELECT c.commentID, c.entityType, c.entityID, c.body, c.datePosted, u.username, u.firstName, u.lastName, u.polLean
+                    FROM Comments c
+                    JOIN Users u ON c.username = u.username
+                    WHERE c.commentID = ?
+                `, [commentID]);
+
+                await publishPostEvent(rootPostID, 'comment', { ...created[0], postID: Number(rootPostID), sourceList: sources });
+            } catch (liveError) {
+                console.error('Live update error:', liveError);
+            }
+
+            // Notify the author of the post or comment being answered, then anyone mentioned
+            try {
+                const [parents] = await db.query(
+                    entityType === 'POST'
+                        ? 'SELECT username FROM PostsData WHERE postID = ?'
+                        : 'SELECT username FROM Comments WHERE commentID = ? AND isDeleted = FALSE',
+                    [entityID]
+                );
+                const parentAuthor = parents.length > 0 ? parents[0].username : null;
+
+                if (parentAuthor) {
+                    await notify(parentAuthor, 'reply', 'COMMENT', commentID, rootPostID, username);
+                }
+                await notifyMentions(body, 'COMMENT', commentID, rootPostID, username, parentAuthor ? [parentAuthor] : []);
+            } catch (notificationError) {
+                console.error('Notification error:', notificationError);
+            }
 
             return res.status(201).json({
                 success: true,
                 message: 'Comment added successfully',
-                commentID
+                commentID,
+                sourceList: sources
             });
         } else {
-            return res.status(500).json({
-                success: false,
-                message: 'Failed to add comment'
-            });
+            return sendError(res, 500, SERVER_ERROR, 'Failed to add comment');
         }
     } catch (error) {
         console.error('Add comment error:', error);
-        res.status(500).json({
-            success: false,
-            message: 'Server error while adding comment'
-        });
+
+        // Handle specific error messages from the stored procedure
+        if (error.message.includes('Invalid Post ID')) {
+            return sendError(res, 404, 'POST_NOT_FOUND', 'Post not found');
+        } else if (error.message.includes('Invalid Comment ID')) {
+            return sendError(res, 404, 'PARENT_COMMENT_NOT_FOUND', 'Parent comment not found');
+        }
+
+        sendError(res, 500, SERVER_ERROR, 'Server error while adding comment');
+    }
+};
+
+/**
+ * Edit the body of a comment (author only)
+ * 
+ * @route PUT /feed/comments/:id
+ * @route PATCH /feed/comments/:id
+ * @param {string} req.params.id - Comment ID
+ * @param {string} req.body.body - New comment content
+ * @param {Array<string|object>|string} [req.body.sources] - New source links (replaces the current sources when provided)
+ * @param {object} req.user - User object from auth middleware
+ * @returns {object} 200 - Comment updated successfully
+ * @returns {object} 400 - Missing comment body or invalid sources
+ * @returns {object} 403 - Not the author of the comment, or thread locked by a moderator
+ * @returns {object} 404 - Comment not found or deleted
+ * @returns {object} 500 - Server error
+ */
+exports.updateComment = async (req, res) => {
+    try {
+        const commentID = req.params.id;
+        const { body } = req.body;
+        const username = req.user.username;
+
+        // Sources are only replaced when provided
+        const sources = req.body.sources !== undefined ? req.body.sources || [] : undefined;
+
+        const [comments] = await db.query(
+            'SELECT commentID, username FROM Comments WHERE commentID = ? AND isDeleted = FALSE',
+            [commentID]
+        );
+
+        if (comments.length === 0) {
+            return sendError(res, 404, 'COMMENT_NOT_FOUND', 'Comment not found');
+        }
+
+        if (comments[0].username !== username) {
+            return sendError(res, 403, 'NOT_AUTHOR', 'You can only edit your own comments');
+        }
+
+        // Comments in locked threads can't be rewritten either
+        const postID = await getRootPostID(comments[0].commentID);
+        const [locked] = await db.query(
+            'SELECT postID FROM PostsData WHERE postID = ? AND isLocked = TRUE',
+            [postID]
+        );
+
+        if (locked.length > 0) {
+            return sendError(res, 403, 'THREAD_LOCKED', 'This thread has been locked by a moderator');
+        }
+
+        // Call the stored procedure to update the comment
+        const [result] = await db.query(
+            'CALL updateComment(?, ?)',
+            [commentID, body]
+        );
+
+        if (result[0][0].message === 'Comment Updated') {
+            if (sources) {
+                await saveSources('COMMENT', comments[0].commentID, sources);
+            }
+
+            // Only users mentioned for the first time are notified
+            try {
+                await notifyMentions(body, 'COMMENT', comments[0].commentID, postID, username);
+            } catch (notificationError) {
+                console.error('Notification error:', notificationError);
+            }
+
+            return res.json({
+                success: true,
+                message: 'Comment updated successfully',
+                commentID: comments[0].commentID
+            });
+        } else {
+            return sendError(res, 500, SERVER_ERROR, 'Failed to update comment');
+        }
+    } catch (error) {
+        console.error('Update comment error:', error);
+        sendError(res, 500, SERVER_ERROR, 'Server error while updating comment');
+    }
+};
+
+/**
+ * Delete a comment (author only). Comments with replies are kept as a "[deleted]" placeholder
+ * so the reply thread stays intact; comments without replies are removed.
+ * 
+ * @route DELETE /feed/comments/:id
+ * @param {string} req.params.id - Comment ID
+ * @param {object} req.user - User object from auth middleware
+ * @returns {object} 200 - Comment deleted successfully, tombstone tells whether a placeholder was kept
+ * @returns {object} 400 - Invalid comment ID
+ * @returns {object} 403 - Not the author of the comment
+ * @returns {object} 404 - Comment not found or already deleted
+ * @returns {object} 500 - Server error
+ */
+exports.deleteComment = async (req, res) => {
+    try {
+        const commentID = req.params.id;
+        const username = req.user.username;
+
+        const [comments] = await db.query(
+            'SELECT commentID, username FROM Comments WHERE commentID = ? AND isDeleted = FALSE',
+            [commentID]
+        );
+
+        if (comments.length === 0) {
+            return sendError(res, 404, 'COMMENT_NOT_FOUND', 'Comment not found');
+        }
+
+        if (comments[0].username !== username) {
+            return sendError(res, 403, 'NOT_AUTHOR', 'You can only delete your own comments');
+        }
+
+        // Call the stored procedure to delete or tombstone the comment
+        const [result] = await db.query('CALL deleteComment(?)', [commentID]);
+
+        if (result[0][0].message === 'Comment Deleted') {
+            return res.json({
+                success: true,
+                message: 'Comment deleted successfully',
+                commentID: comments[0].commentID,
+                tombstone: Boolean(result[0][0].tombstone)
+            });
+        } else {
+            return sendError(res, 500, SERVER_ERROR, 'Failed to delete comment');
+        }
+    } catch (error) {
+        console.error('Delete comment error:', error);
+        sendError(res, 500, SERVER_ERROR, 'Server error while deleting comment');
     }
 };
 
@@ -398,70 +1047,79 @@ exports.addComment = async (req, res) => {
  * 
  * @route GET /feed/posts/comments
  * @param {string} req.query.id - Post ID
+ * @param {string} [req.query.cursor] - Cursor token from a previous response (takes precedence over page)
  * @param {number} [req.query.page=1] - Page number
- * @param {number} [req.query.limit=20] - Number of comments per page
- * @param {string} [req.query.sortBy=recent] - Sorting method (recent, controversial, balanced, oldest)
+ * @param {number} [req.query.limit=20] - Number of comments per page (max 50)
+ * @param {string} [req.query.sortBy=recent] - Sorting method (recent, consensus, controversial, balanced, oldest)
  * @param {number} [req.query.parentID=null] - Parent comment ID for nested replies
- * @returns {object} 200 - List of comments with pagination info
- * @returns {object} 404 - Post not found
+ * @param {object} [req.user] - User object from the optional auth middleware
+ * @returns {object} 200 - List of comments with pagination info and cursors
+ * @returns {object} 400 - Missing post ID, unknown sort, page or limit out of range, or invalid cursor
+ * @returns {object} 404 - Post not found or hidden
  * @returns {object} 500 - Server error
  */
 exports.getComments = async (req, res) => {
     try {
-        const postID = req.query.id;
-        
-        if (!postID) {
-            return res.status(400).json({
-                success: false,
-                message: 'Post ID is required'
-            });
-        }
-        
-        const page = parseInt(req.query.page) || 1;
-        const limit = parseInt(req.query.limit) || 20;
-        const sortBy = req.query.sortBy || 'recent';
+        // Checked by the getComments schema (schemas/feed.js), with defaults filled in
+        const { id: postID, page, limit, sortBy } = req.query;
         const parentCommentID = req.query.parentID || null;
         const offset = (page - 1) * limit;
 
-        // Check if post exists
-        const [posts] = await db.query('SELECT postID FROM PostsData WHERE postID = ?', [postID]);
+        // Check if post exists and is visible to the user
+        const postVisibility = visibilityCondition('p', req.user);
+        const [posts] = await db.query(
+            `SELECT postID FROM PostsData p WHERE postID = ? AND ${postVisibility.clause}`,
+            [postID, ...postVisibility.params]
+        );
         
         if (posts.length === 0) {
-            return res.status(404).json({
-                success: false,
-                message: 'Post not found',
-                postid: postID
-            });
+            return sendError(res, 404, 'POST_NOT_FOUND', 'Post not found', { postid: postID });
         }
 
-        let orderClause = '';
+        let sortKey = null;
+        let sortDirection = 'DESC';
+        let dateDirection = 'DESC';
         
         // Determine the sorting method
         switch (sortBy) {
+            case 'consensus':
+                sortKey = consensusScoreSql('lc');
+                break;
             case 'controversial':
-                orderClause = `
-                    (SELECT COUNT(*) FROM Likes WHERE entityType = 'COMMENT' AND entityID = c.commentID) DESC, 
-                    c.datePosted DESC
-                `;
+                sortKey = 'COALESCE(lc.totalLikes, 0)';
                 break;
             case 'balanced':
-                orderClause = `
-                    ABS(
-                        (SELECT COUNT(*) FROM Likes WHERE entityType = 'COMMENT' AND entityID = c.commentID AND polLean IN ('FR', 'R', 'SR')) - 
-                        (SELECT COUNT(*) FROM Likes WHERE entityType = 'COMMENT' AND entityID = c.commentID AND polLean IN ('FL', 'L', 'SL'))
-                    ) ASC, 
-                    c.datePosted DESC
-                `;
+                sortKey = 'ABS(COALESCE(lc.rightLikes, 0) - COALESCE(lc.leftLikes, 0))';
+                sortDirection = 'ASC';
                 break;
             case 'oldest':
-                orderClause = 'c.datePosted ASC';
+                dateDirection = 'ASC';
                 break;
             case 'recent':
             default:
-                orderClause = 'c.datePosted DESC';
                 break;
         }
 
+        // Ties are broken by date and then commentID so every comment has a stable position for cursors
+        const keys = [
+            { column: 'datePosted', dir: dateDirection, type: 'date' },
+            { column: 'commentID', dir: dateDirection }
+        ];
+        if (sortKey) {
+            keys.unshift({ column: 'sortKey', dir: sortDirection });
+        }
+
+        let cursor = null;
+        if (req.query.cursor) {
+            cursor = decodeCursor(req.query.cursor, sortBy, keys);
+            if (!cursor) {
+                return sendError(res, 400, 'INVALID_CURSOR', 'Invalid cursor');
+            }
+        }
+
+        const direction = cursor ? cursor.direction : 'next';
+        const keyset = cursor ? keysetCondition(keys, cursor.values, direction) : null;
+
         // Build the query based on whether we're getting top-level or nested comments
         let whereClause = '';
         let queryParams = [];
@@ -476,57 +1134,78 @@ exports.getComments = async (req, res) => {
             queryParams = [parentCommentID];
         }
 
+        // Leave out comments hidden by a moderator, unless the user wrote them
+        const commentVisibility = visibilityCondition('c', req.user);
+        whereClause += ` AND ${commentVisibility.clause}`;
+        queryParams.push(...commentVisibility.params);
+
         // Get comments
-        const [comments] = await db.query(`
-            SELECT 
-                c.commentID, 
-                c.entityID,
-                c.entityType,
-                c.body, 
-                c.datePosted,
-                u.username,
-                u.firstName,
-                u.lastName,
-                u.polLean
-            FROM Comments c
-            JOIN Users u ON c.username = u.username
-            WHERE ${whereClause}
-            ORDER BY ${orderClause}
-            LIMIT ? OFFSET ?
-        `, [...queryParams, limit, offset]);
+        const [rows] = await db.query(`
+            SELECT * FROM (
+                SELECT 
+                    c.commentID, 
+                    c.entityID,
+                    c.entityType,
+                    CASE WHEN c.entityType = 'COMMENT' THEN c.entityID ELSE NULL END AS parentCommentID,
+                    c.body, 
+                    c.datePosted,
+                    c.dateEdited,
+                    c.isDeleted,
+                    c.isHidden,
+                    u.username,
+                    u.firstName,
+                    u.lastName,
+                    u.polLean,
+                    (SELECT COUNT(*) FROM Comments r WHERE r.entityType = 'COMMENT' AND r.entityID = c.commentID AND r.isHidden = FALSE) AS replyCount,
+                    ${likeCountColumns('lc')}
+                    ${sortKey ? `, ${sortKey} AS sortKey` : ''}
+                FROM Comments c
+                JOIN Users u ON c.username = u.username
+                LEFT JOIN LikeCounts lc ON lc.entityType = 'COMMENT' AND lc.entityID = c.commentID
+                WHERE ${whereClause}
+            ) ranked
+            ${keyset ? `WHERE ${keyset.clause}` : ''}
+            ORDER BY ${keysetOrderBy(keys, direction)}
+            LIMIT ? ${cursor ? '' : 'OFFSET ?'}
+        `, cursor ? [...queryParams, ...keyset.params, limit + 1] : [...queryParams, limit + 1, offset]);
+
+        // One extra row tells whether there is anything beyond this page
+        const hasMore = rows.length > limit;
+        const comments = rows.slice(0, limit);
+        if (direction === 'prev') {
+            comments.reverse();
+        }
 
-        // Get like counts for each comment
+        const first = comments[0];
+        const last = comments[comments.length - 1];
+        const hasNext = direction === 'next' ? hasMore : true;
+        const hasPrev = direction === 'prev' ? hasMore : (cursor !== null || page > 1);
+        const nextCursor = last && hasNext ? encodeCursor(sortBy, 'next', keys, last) : null;
+        const prevCursor = first && hasPrev ? encodeCursor(sortBy, 'prev', keys, first) : null;
+
+        // Attach like counts for each comment
         for (const comment of comments) {
-            const [likeCounts] = await db.query(`
-                SELECT 
-                    polLean,
-                    COUNT(*) as count
-                FROM Likes
-                WHERE entityType = 'COMMENT' AND entityID = ?
-                GROUP BY polLean
-            `, [comment.commentID]);
-            
-            // Initialize likes object with zeros
-            comment.likes = {
-                'FL': 0, 'L': 0, 'SL': 0, 'M': 0, 'SR': 0, 'R': 0, 'FR': 0
-            };
-            
-            // Fill in actual counts
-            likeCounts.forEach(like => {
-                comment.likes[like.polLean] = like.count;
+            delete comment.sortKey;
+            comment.likes = takeLikes(comment);
+            comment.totalLikes = likeTotals(comment.likes).totalLikes;
+            comment.consensusScore = consensusScore(comment.likes);
+        }
+        await attachReactions('COMMENT', comments, 'commentID');
+        await attachSources('COMMENT', comments, 'commentID');
+        await attachSaved('COMMENT', comments, 'commentID', req.user);
+        comments.forEach(formatComment);
+
+        // Cursor requests skip the totals, they are only needed by the page/offset API
+        if (cursor) {
+            return res.json({
+                success: true,
+                commentsPerPage: limit,
+                sortBy,
+                parentCommentID,
+                nextCursor,
+                prevCursor,
+                comments
             });
-            
-            // Calculate total likes
-            comment.totalLikes = Object.values(comment.likes).reduce((sum, count) => sum + count, 0);
-            
-            // Get reply count for this comment
-            const [replyCount] = await db.query(`
-                SELECT COUNT(*) as count
-                FROM Comments
-                WHERE entityType = 'COMMENT' AND entityID = ?
-            `, [comment.commentID]);
-            
-            comment.replyCount = replyCount[0].count;
         }
 
         // Get total count of comments for this query
@@ -546,34 +1225,198 @@ exports.getComments = async (req, res) => {
             commentsPerPage: limit,
             sortBy,
             parentCommentID,
+            nextCursor,
+            prevCursor,
             comments
         });
     } catch (error) {
         console.error('Get comments error:', error);
-        res.status(500).json({
-            success: false,
-            message: 'Server error while fetching comments'
+        sendError(res, 500, SERVER_ERROR, 'Server error while fetching comments');
+    }
+};
+
+/**
+ * Get the whole discussion of a post as a nested comment tree
+ * 
+ * Replies below maxDepth, and siblings beyond the per-level limit, are not returned;
+ * the parent carries a moreReplies marker instead so the client can load them with
+ * GET /feed/posts/comments?parentID=
+ * 
+ * @route GET /feed/posts/:id/thread
+ * @param {string} req.params.id - Post ID
+ * @param {number} [req.query.depth=5] - Maximum nesting depth to return (1-10)
+ * @param {number} [req.query.limit=20] - Maximum replies returned per comment and top-level comments (1-100)
+ * @param {string} [req.query.sortBy=oldest] - Sorting of siblings (recent, oldest, consensus, respected, controversial, balanced)
+ * @param {object} [req.user] - User object from the optional auth middleware
+ * @returns {object} 200 - Nested comment tree with like breakdowns per comment
+ * @returns {object} 400 - Invalid post ID, depth, limit or sortBy
+ * @returns {object} 404 - Post not found or hidden
+ * @returns {object} 500 - Server error
+ */
+exports.getCommentTree = async (req, res) => {
+    try {
+        const postID = req.params.id;
+        const { depth: maxDepth, limit, sortBy } = req.query;
+
+        // Check if post exists and is visible to the user
+        const postVisibility = visibilityCondition('p', req.user);
+        const [posts] = await db.query(
+            `SELECT postID FROM PostsData p WHERE postID = ? AND ${postVisibility.clause}`,
+            [postID, ...postVisibility.params]
+        );
+
+        if (posts.length === 0) {
+            return sendError(res, 404, 'POST_NOT_FOUND', 'Post not found', { postid: postID });
+        }
+
+        await recordView(posts[0].postID, req.user);
+
+        // Walk the thread down to maxDepth in a single query; hidden comments are cut off with their replies
+        const visibility = visibilityCondition('c', req.user);
+        const [rows] = await db.query(`
+            WITH RECURSIVE thread AS (
+                SELECT c.commentID, 1 AS depth
+                FROM Comments c
+                WHERE c.entityType = 'POST' AND c.entityID = ? AND ${visibility.clause}
+                UNION ALL
+                SELECT c.commentID, t.depth + 1
+                FROM Comments c
+                JOIN thread t ON c.entityType = 'COMMENT' AND c.entityID = t.commentID
+                WHERE t.depth < ? AND ${visibility.clause}
+            )
+            SELECT 
+                c.commentID,
+                c.entityID,
+                c.entityType,
+                CASE WHEN c.entityType = 'COMMENT' THEN c.entityID ELSE NULL END AS parentCommentID,
+                c.body,
+                c.datePosted,
+                c.dateEdited,
+                c.isDeleted,
+                c.isHidden,
+                t.depth,
+                u.username,
+                u.firstName,
+                u.lastName,
+                u.polLean,
+                (SELECT COUNT(*) FROM Comments r WHERE r.entityType = 'COMMENT' AND r.entityID = c.commentID AND r.isHidden = FALSE) AS replyCount,
+                ${likeCountColumns('lc')}
+            FROM thread t
+            JOIN Comments c ON c.commentID = t.commentID
+            JOIN Users u ON c.username = u.username
+            LEFT JOIN LikeCounts lc ON lc.entityType = 'COMMENT' AND lc.entityID = c.commentID
+        `, [postID, ...visibility.params, maxDepth, ...visibility.params]);
+
+        await attachReactions('COMMENT', rows, 'commentID');
+        await attachSources('COMMENT', rows, 'commentID');
+        await attachSaved('COMMENT', rows, 'commentID', req.user);
+
+        // Build the nodes and group them under their parent
+        const childrenOf = { root: [] };
+        for (const row of rows) {
+            row.likes = takeLikes(row);
+            const { totalLikes, rightLikes, leftLikes } = likeTotals(row.likes);
+            Object.assign(row, { totalLikes, rightLikes, leftLikes });
+            row.consensusScore = consensusScore(row.likes);
+            row.replies = [];
+            row.moreReplies = null;
+            formatComment(row);
+
+            const parentKey = row.parentCommentID === null ? 'root' : row.parentCommentID;
+            childrenOf[parentKey] = childrenOf[parentKey] || [];
+            childrenOf[parentKey].push(row);
+        }
+
+        // Determine the sorting method for siblings
+        let compare;
+        switch (sortBy) {
+            case 'consensus':
+                compare = (a, b) => (b.consensusScore - a.consensusScore) || (b.datePosted - a.datePosted);
+                break;
+            case 'respected':
+                compare = (a, b) => (b.respectedByOtherSide - a.respectedByOtherSide) || (b.datePosted - a.datePosted);
+                break;
+            case 'controversial':
+                compare = (a, b) => (b.totalLikes - a.totalLikes) || (b.datePosted - a.datePosted);
+                break;
+            case 'balanced':
+                compare = (a, b) => (Math.abs(a.rightLikes - a.leftLikes) - Math.abs(b.rightLikes - b.leftLikes)) ||
+                    (b.datePosted - a.datePosted);
+                break;
+            case 'recent':
+                compare = (a, b) => (b.datePosted - a.datePosted) || (b.commentID - a.commentID);
+                break;
+            case 'oldest':
+            default:
+                compare = (a, b) => (a.datePosted - b.datePosted) || (a.commentID - b.commentID);
+                break;
+        }
+
+        // Attach up to `limit` replies per node; anything cut off becomes a "load more" marker
+        let loadedComments = 0;
+        const attach = (parentKey) => {
+            const children = (childrenOf[parentKey] || []).sort(compare);
+            const shown = children.slice(0, limit);
+            loadedComments += shown.length;
+
+            for (const child of shown) {
+                child.replies = attach(child.commentID);
+                if (child.replyCount > child.replies.length) {
+                    child.moreReplies = {
+                        parentCommentID: child.commentID,
+                        remaining: child.replyCount - child.replies.length
+                    };
+                }
+            }
+
+            return shown;
+        };
+
+        const comments = attach('root');
+        const topLevelCount = childrenOf.root.length;
+
+        res.json({
+            success: true,
+            postID: posts[0].postID,
+            sortBy,
+            maxDepth,
+            limit,
+            loadedComments,
+            moreComments: topLevelCount > comments.length
+                ? { remaining: topLevelCount - comments.length }
+                : null,
+            comments
         });
+    } catch (error) {
+        console.error('Get comment tree error:', error);
+        sendError(res, 500, SERVER_ERROR, 'Server error while fetching comment tree');
     }
 };
 
 /**
- * Add a like to a post or comment
+ * React to a post or comment, or change the reaction given before
+ * 
+ * Every reaction except needs_source also counts as a like, so clients that only send
+ * entityType and entityID keep working: they give the default 'agree' reaction.
  * 
  * @route POST /feed/likes
+ * @route POST /feed/reactions
  * @param {object} req.body - Like data
  * @param {string} req.body.entityType - Type of entity (POST or COMMENT)
  * @param {number} req.body.entityID - ID of the entity to like
+ * @param {string} [req.body.reaction=agree] - Reaction (agree, respect, insightful, needs_source)
  * @param {object} req.user - User object from auth middleware
- * @returns {object} 201 - Like added successfully with updated like counts
- * @returns {object} 400 - Invalid entity type
+ * @returns {object} 201 - Reaction added with updated like and reaction counts
+ * @returns {object} 200 - Reaction changed with updated like and reaction counts
+ * @returns {object} 400 - Invalid entity type or reaction
  * @returns {object} 404 - Entity not found or user not found
- * @returns {object} 409 - Already liked
+ * @returns {object} 409 - Already gave this reaction
  * @returns {object} 500 - Server error
  */
 exports.addLike = async (req, res) => {
     try {
         const { entityType, entityID } = req.body;
+        const reaction = req.body.reaction || DEFAULT_REACTION;
         const username = req.user.username;
         
         // Get user's political leaning
@@ -583,106 +1426,98 @@ exports.addLike = async (req, res) => {
         );
         
         if (users.length === 0) {
-            return res.status(404).json({
-                success: false,
-                message: 'User not found'
-            });
+            return sendError(res, 404, 'USER_NOT_FOUND', 'User not found');
         }
         
         const userPolLean = users[0].polLean;
         
-        // Validate entity type
-        if (!['POST', 'COMMENT'].includes(entityType)) {
-            return res.status(400).json({
-                success: false,
-                message: 'Entity type must be either POST or COMMENT'
-            });
-        }
-        
-        // Check if the entity exists
-        let entityExists = false;
+        // Check if the entity exists, and find its author to notify
+        let entities;
         if (entityType === 'POST') {
-            const [posts] = await db.query(
-                'SELECT postID FROM PostsData WHERE postID = ?',
+            [entities] = await db.query(
+                'SELECT postID, username FROM PostsData WHERE postID = ? AND isHidden = FALSE',
                 [entityID]
             );
-            entityExists = posts.length > 0;
         } else {
-            const [comments] = await db.query(
-                'SELECT commentID FROM Comments WHERE commentID = ?',
+            [entities] = await db.query(
+                'SELECT commentID, username FROM Comments WHERE commentID = ? AND isDeleted = FALSE AND isHidden = FALSE',
                 [entityID]
             );
-            entityExists = comments.length > 0;
         }
         
-        if (!entityExists) {
-            return res.status(404).json({
-                success: false,
-                message: `${entityType.toLowerCase()} not found`
-            });
+        if (entities.length === 0) {
+            return sendError(res, 404, `${entityType}_NOT_FOUND`, `${entityType.toLowerCase()} not found`);
         }
         
-        // Call the stored procedure to insert like
+        // Call the stored procedure to add the reaction, or change the one given before
+        let result;
         try {
-            const [result] = await db.query(
-                'CALL insertLike(?, ?, ?, ?)',
-                [username, entityType, entityID, userPolLean]
+            [result] = await db.query(
+                'CALL setReaction(?, ?, ?, ?, ?)',
+                [username, entityType, entityID, userPolLean, reaction]
             );
-            
-            if (result[0][0].message === 'Like Added') {
-                // Get updated like counts
-                const [likeCounts] = await db.query(`
-                    SELECT 
-                        polLean,
-                        COUNT(*) as count
-                    FROM Likes
-                    WHERE entityType = ? AND entityID = ?
-                    GROUP BY polLean
-                `, [entityType, entityID]);
-                
-                // Format like counts into an object
-                const likes = {
-                    'FL': 0, 'L': 0, 'SL': 0, 'M': 0, 'SR': 0, 'R': 0, 'FR': 0
-                };
-                
-                likeCounts.forEach(like => {
-                    likes[like.polLean] = like.count;
-                });
-                
-                return res.status(201).json({
-                    success: true,
-                    message: 'Like added successfully',
-                    likes
-                });
-            }
         } catch (error) {
-            // Handle duplicate like error
-            if (error.message.includes('Like Already Exists')) {
-                return res.status(409).json({
-                    success: false,
-                    message: 'You have already liked this item'
-                });
+            // Handle duplicate reaction error
+            if (error.message.includes('Reaction Already Exists')) {
+                return sendError(res, 409, 'ALREADY_REACTED', !req.body.reaction
+                    ? 'You have already liked this item'
+                    : 'You have already given this reaction');
             }
             throw error;
         }
+
+        const { message, previousReaction } = result[0][0];
+        const added = message === 'Reaction Added';
+
+        if (added) {
+            // Flag a burst of likes from new accounts of this leaning; the like itself always goes through
+            try {
+                await checkForBrigade(entityType, entityID, userPolLean);
+            } catch (brigadeError) {
+                console.error('Brigade check error:', brigadeError);
+            }
+        }
+
+        // Notify the author when the reaction becomes a like; unread likes are grouped
+        if (LIKE_REACTIONS.includes(reaction) && (added || !LIKE_REACTIONS.includes(previousReaction))) {
+            try {
+                const postID = entityType === 'POST' ? entityID : await getRootPostID(entityID);
+                await notify(entities[0].username, 'like', entityType, entityID, postID, username);
+            } catch (notificationError) {
+                console.error('Notification error:', notificationError);
+            }
+        }
+
+        // Get updated like and reaction counts
+        const likes = await getLikeCounts(entityType, entityID);
+        const reactions = (await getReactionCounts(entityType, [Number(entityID)])).get(Number(entityID)) || emptyReactions();
+
+        await publishLikes(entityType, entityID, likes, reactions);
+
+        res.status(added ? 201 : 200).json({
+            success: true,
+            message: added ? 'Like added successfully' : 'Reaction changed successfully',
+            reaction,
+            previousReaction,
+            likes,
+            reactions
+        });
     } catch (error) {
         console.error('Add like error:', error);
-        res.status(500).json({
-            success: false,
-            message: 'Server error while adding like'
-        });
+        sendError(res, 500, SERVER_ERROR, 'Server error while adding like');
     }
 };
 
 /**
- * Remove a like from a post or comment
+ * Remove a like (or any other reaction) from a post or comment
  * 
  * @route DELETE /feed/likes
+ * @route DELETE /feed/reactions
  * @param {object} req.body - Like data
  * @param {string} req.body.entityType - Type of entity (POST or COMMENT)
  * @param {number} req.body.entityID - ID of the entity to unlike
  * @param {object} req.user - User object from auth middleware
- * @returns {object} 200 - Like removed successfully with updated like counts
+ * @returns {object} 200 - Like removed successfully with updated like and reaction counts
  * @returns {object} 400 - Invalid entity type
  * @returns {object} 404 - Like not found
  * @returns {object} 500 - Server error
@@ -692,57 +1527,36 @@ exports.removeLike = async (req, res) => {
         const { entityType, entityID } = req.body;
         const username = req.user.username;
         
-        // Validate entity type
-        if (!['POST', 'COMMENT'].includes(entityType)) {
-            return res.status(400).json({
-                success: false,
-                message: 'Entity type must be either POST or COMMENT'
-            });
-        }
-        
-        // Delete the like
-        const [result] = await db.query(
-            'DELETE FROM Likes WHERE username = ? AND entityType = ? AND entityID = ?',
-            [username, entityType, entityID]
-        );
-        
-        if (result.affectedRows === 0) {
-            return res.status(404).json({
-                success: false,
-                message: 'Like not found'
-            });
+        // Call the stored procedure to delete the like and decrement its counters
+        let result;
+        try {
+            [result] = await db.query(
+                'CALL removeLike(?, ?, ?)',
+                [username, entityType, entityID]
+            );
+        } catch (error) {
+            if (error.message.includes('Like Not Found')) {
+                return sendError(res, 404, 'LIKE_NOT_FOUND', 'Like not found');
+            }
+            throw error;
         }
         
-        // Get updated like counts
-        const [likeCounts] = await db.query(`
-            SELECT 
-                polLean,
-                COUNT(*) as count
-            FROM Likes
-            WHERE entityType = ? AND entityID = ?
-            GROUP BY polLean
-        `, [entityType, entityID]);
-        
-        // Format like counts into an object
-        const likes = {
-            'FL': 0, 'L': 0, 'SL': 0, 'M': 0, 'SR': 0, 'R': 0, 'FR': 0
-        };
-        
-        likeCounts.forEach(like => {
-            likes[like.polLean] = like.count;
-        });
+        // Get updated like and reaction counts
+        const likes = await getLikeCounts(entityType, entityID);
+        const reactions = (await getReactionCounts(entityType, [Number(entityID)])).get(Number(entityID)) || emptyReactions();
+
+        await publishLikes(entityType, entityID, likes, reactions);
         
         res.json({
             success: true,
             message: 'Like removed successfully',
-            likes
+            reaction: result[0][0].reaction,
+            likes,
+            reactions
         });
     } catch (error) {
         console.error('Remove like error:', error);
-        res.status(500).json({
-            success: false,
-            message: 'Server error while removing like'
-        });
+        sendError(res, 500, SERVER_ERROR, 'Server error while removing like');
     }
 };
 
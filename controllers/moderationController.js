@@ -0,0 +1,604 @@
+const db = require('../config/db');
+const { hasPermission } = require('../utils/roles');
+const { revokeSessions } = require('../utils/sessions');
+const { REPORT_REASONS, MAX_DETAILS_LENGTH, ACTION_PERMISSIONS, LOG_ACTIONS, MAX_SUSPENSION_DAYS, getRootPostIDs } = require('../utils/moderation');
+const { SERVER_ERROR, sendError } = require('../utils/errors');
+
+const dotenv = require('dotenv');
+dotenv.config();
+
+/**
+ * Look up the author of a post or comment
+ *
+ * @param {string} entityType - POST or COMMENT
+ * @param {number} entityID - ID of the post or comment
+ * @returns {Promise<string|null>} Username of the author, or null if the content doesn't exist
+ */
+const getAuthor = async (entityType, entityID) => {
+    const [rows] = entityType === 'POST'
+        ? await db.query('SELECT username FROM PostsData WHERE postID = ?', [entityID])
+        : await db.query('SELECT username FROM Comments WHERE commentID = ? AND isDeleted = FALSE', [entityID]);
+
+    return rows.length > 0 ? rows[0].username : null;
+};
+
+/**
+ * Load the reported content for a list of queue items
+ *
+ * @param {Array<object>} items - Queue items with entityType and entityID
+ * @returns {Promise<void>} Sets `content` on every item (null if the content is gone)
+ */
+const attachContent = async (items) => {
+    const postIDs = items.filter(item => item.entityType === 'POST').map(item => item.entityID);
+    const commentIDs = items.filter(item => item.entityType === 'COMMENT').map(item => item.entityID);
+
+    const posts = {};
+    if (postIDs.length > 0) {
+        const [rows] = await db.query(
+            'SELECT postID, username, title, body, datePosted, isHidden, isLocked FROM PostsData WHERE postID IN (?)',
+            [postIDs]
+        );
+        rows.forEach(row => {
+            row.isHidden = Boolean(row.isHidden);
+            row.isLocked = Boolean(row.isLocked);
+            posts[row.postID] = row;
+        });
+    }
+
+    const comments = {};
+    if (commentIDs.length > 0) {
+        const [rows] = await db.query(
+            'SELECT commentID, username, body, datePosted, isHidden FROM Comments WHERE commentID IN (?)',
+            [commentIDs]
+        );
+        const rootPostIDs = await getRootPostIDs(rows.map(row => row.commentID));
+        rows.forEach(row => {
+            row.isHidden = Boolean(row.isHidden);
+            row.postID = rootPostIDs.get(row.commentID) || null;
+            comments[row.commentID] = row;
+        });
+    }
+
+    for (const item of items) {
+        const source = item.entityType === 'POST' ? posts : comments;
+        item.content = source[item.entityID] || null;
+    }
+};
+
+/**
+ * Report a post or comment to the moderators
+ *
+ * @route POST /feed/reports
+ * @param {object} req.body - Report data
+ * @param {string} req.body.entityType - Type of the reported content (POST or COMMENT)
+ * @param {number} req.body.entityID - ID of the post or comment
+ * @param {string} req.body.reason - Report category (misinformation, harassment, spam)
+ * @param {string} [req.body.details] - Optional explanation (up to 500 characters)
+ * @param {object} req.user - User object from auth middleware
+ * @returns {object} 201 - Report filed with reportID
+ * @returns {object} 400 - Invalid entity type, reason or details, or own content
+ * @returns {object} 404 - Content not found
+ * @returns {object} 409 - Content already reported by this user
+ * @returns {object} 500 - Server error
+ */
+exports.createReport = async (req, res) => {
+    try {
+        // Checked by the createReport schema (schemas/feed.js)
+        const { entityType, entityID, reason, details } = req.body;
+        const username = req.user.username;
+
+        const author = await getAuthor(entityType, entityID);
+
+        if (!author) {
+            return sendError(res, 404, `${entityType}_NOT_FOUND`, `${entityType.toLowerCase()} not found`);
+        }
+
+        if (author === username) {
+            return sendError(res, 400, 'CANNOT_REPORT_OWN_CONTENT', 'You cannot report your own content');
+        }
+
+        // Call the stored procedure to file the report
+        const [result] = await db.query(
+            'CALL insertReport(?, ?, ?, ?, ?)',
+            [username, entityType, entityID, reason, details || null]
+        );
+
+        if (result[0][0].message === 'Report Created') {
+            return res.status(201).json({
+                success: true,
+                message: 'Report submitted, thank you',
+                reportID: result[0][0].reportID
+            });
+        } else {
+            return sendError(res, 500, SERVER_ERROR, 'Failed to submit report');
+        }
+    } catch (error) {
+        console.error('Create report error:', error);
+
+        if (error.message.includes('Report Already Exists')) {
+            return sendError(res, 409, 'ALREADY_REPORTED', 'You have already reported this');
+        }
+
+        sendError(res, 500, SERVER_ERROR, 'Server error while submitting report');
+    }
+};
+
+/**
+ * Get the moderation queue: reported content grouped per post or comment,
+ * most reported first and oldest first among equals
+ *
+ * @route GET /moderation/reports
+ * @param {string} [req.query.status=open] - Report status (open, dismissed, actioned)
+ * @param {string} [req.query.reason] - Only reports with this reason
+ * @param {string} [req.query.entityType] - Only reported posts (POST) or comments (COMMENT)
+ * @param {number} [req.query.page=1] - Page number
+ * @param {number} [req.query.limit=20] - Number of items per page (max 50)
+ * @returns {object} 200 - Queue items with report counts by reason and the reported content
+ * @returns {object} 400 - Invalid filter
+ * @returns {object} 500 - Server error
+ */
+exports.getQueue = async (req, res) => {
+    try {
+        const status = req.query.status || 'open';
+        const page = parseInt(req.query.page) || 1;
+        const limit = Math.min(parseInt(req.query.limit) || 20, 50);
+        const offset = (page - 1) * limit;
+
+        if (!['open', 'dismissed', 'actioned'].includes(status)) {
+            return sendError(res, 400, 'INVALID_STATUS', 'Status must be one of: open, dismissed, actioned');
+        }
+
+        const conditions = ['r.status = ?'];
+        const params = [status];
+
+        if (req.query.reason) {
+            if (!REPORT_REASONS.includes(req.query.reason)) {
+                return sendError(res, 400, 'INVALID_REASON', `Reason must be one of: ${REPORT_REASONS.join(', ')}`);
+            }
+            conditions.push('r.reason = ?');
+            params.push(req.query.reason);
+        }
+
+        if (req.query.entityType) {
+            if (!['POST', 'COMMENT'].includes(req.query.entityType)) {
+                return sendError(res, 400, 'INVALID_ENTITY_TYPE', 'Entity type must be either POST or COMMENT');
+            }
+            conditions.push('r.entityType = ?');
+            params.push(req.query.entityType);
+        }
+
+        const whereClause = `WHERE ${conditions.join(' AND ')}`;
+
+        const [items] = await db.query(`
+            SELECT
+                r.entityType,
+                r.entityID,
+                COUNT(*) AS reportCount,
+                ${REPORT_REASONS.map(reason => `SUM(r.reason = '${reason}') AS ${reason}`).join(',\n                ')},
+                MIN(r.dateReported) AS firstReported,
+                MAX(r.dateReported) AS lastReported
+            FROM Reports r
+            ${whereClause}
+            GROUP BY r.entityType, r.entityID
+            ORDER BY reportCount DESC, firstReported ASC
+            LIMIT ? OFFSET ?
+        `, [...params, limit, offset]);
+
+        // Group the counts by reason
+        for (const item of items) {
+            item.reasons = {};
+            REPORT_REASONS.forEach(reason => {
+                item.reasons[reason] = Number(item[reason]) || 0;
+                delete item[reason];
+            });
+        }
+
+        await attachContent(items);
+
+        const [countResult] = await db.query(`
+            SELECT COUNT(*) AS total FROM (
+                SELECT 1 FROM Reports r ${whereClause} GROUP BY r.entityType, r.entityID
+            ) grouped
+        `, params);
+        const totalItems = countResult[0].total;
+
+        res.json({
+            success: true,
+            status,
+            currentPage: page,
+            totalPages: Math.ceil(totalItems / limit),
+            totalItems,
+            itemsPerPage: limit,
+            items
+        });
+    } catch (error) {
+        console.error('Get moderation queue error:', error);
+        sendError(res, 500, SERVER_ERROR, 'Server error while fetching moderation queue');
+    }
+};
+
+/**
+ * Get every report and moderator action for one post or comment
+ *
+ * @route GET /moderation/reports/:entityType/:entityID
+ * @param {string} req.params.entityType - POST or COMMENT
+ * @param {string} req.params.entityID - ID of the post or comment
+ * @returns {object} 200 - Reported content, its reports and its moderation history
+ * @returns {object} 400 - Invalid entity type
+ * @returns {object} 500 - Server error
+ */
+exports.getContentReports = async (req, res) => {
+    try {
+        const entityType = String(req.params.entityType).toUpperCase();
+        const entityID = req.params.entityID;
+
+        if (!['POST', 'COMMENT'].includes(entityType)) {
+            return sendError(res, 400, 'INVALID_ENTITY_TYPE', 'Entity type must be either POST or COMMENT');
+        }
+
+        const [reports] = await db.query(`
+            SELECT reportID, reporter, reason, details, status, reviewedBy, dateReported, dateReviewed
+            FROM Reports
+            WHERE entityType = ? AND entityID = ?
+            ORDER BY dateReported DESC
+        `, [entityType, entityID]);
+
+        const [history] = await db.query(`
+            SELECT logID, moderator, action, targetUser, reason, suspendedUntil, reportsResolved, dateActioned
+            FROM ModerationLog
+            WHERE entityType = ? AND entityID = ?
+            ORDER BY dateActioned DESC, logID DESC
+        `, [entityType, entityID]);
+
+        const item = { entityType, entityID: Number(entityID) };
+        await attachContent([item]);
+
+        res.json({
+            success: true,
+            ...item,
+            reports,
+            history
+        });
+    } catch (error) {
+        console.error('Get content reports error:', error);
+        sendError(res, 500, SERVER_ERROR, 'Server error while fetching reports');
+    }
+};
+
+/**
+ * Take a moderator action. Actions on a post or comment close its open reports
+ * (dismissed for 'dismiss', actioned otherwise). Every action is written to the audit log.
+ *
+ * Suspending a user signs them out of every session and blocks logging in until the suspension ends.
+ *
+ * @route POST /moderation/actions
+ * @param {object} req.body - Action data
+ * @param {string} req.body.action - dismiss, hide, unhide, lock, unlock, suspend or unsuspend
+ * @param {string} [req.body.entityType] - POST or COMMENT (required for every action except suspend/unsuspend by username)
+ * @param {number} [req.body.entityID] - ID of the post or comment
+ * @param {string} [req.body.username] - User to (un)suspend; defaults to the author of the content
+ * @param {string} [req.body.reason] - Note for the audit log (up to 500 characters)
+ * @param {number} [req.body.days=7] - Length of a suspension in days (1-365)
+ * @param {object} req.user - User object from auth middleware
+ * @returns {object} 200 - Action applied with the audit log ID and the number of reports closed
+ * @returns {object} 400 - Invalid action, target or duration
+ * @returns {object} 403 - Missing permission for the action
+ * @returns {object} 404 - Content or user not found
+ * @returns {object} 500 - Server error
+ */
+exports.takeAction = async (req, res) => {
+    try {
+        const { action, entityType, entityID, reason } = req.body;
+        const moderator = req.user.username;
+
+        if (!ACTION_PERMISSIONS[action]) {
+            return sendError(res, 400, 'INVALID_ACTION', `Action must be one of: ${Object.keys(ACTION_PERMISSIONS).join(', ')}`);
+        }
+
+        if (!hasPermission(req.user.roles, ACTION_PERMISSIONS[action])) {
+            return sendError(res, 403, 'FORBIDDEN', 'You do not have permission to do this');
+        }
+
+        if (reason !== undefined && reason !== null &&
+            (typeof reason !== 'string' || reason.length > MAX_DETAILS_LENGTH)) {
+            return sendError(res, 400, 'INVALID_REASON', `Reason must be text of up to ${MAX_DETAILS_LENGTH} characters`);
+        }
+
+        const isUserAction = ['suspend', 'unsuspend'].includes(action);
+        const hasContent = entityType !== undefined || entityID !== undefined;
+
+        if (hasContent && (!['POST', 'COMMENT'].includes(entityType) || !entityID)) {
+            return sendError(res, 400, 'INVALID_ENTITY', 'Entity type must be either POST or COMMENT and entityID is required');
+        }
+
+        if (!isUserAction && !hasContent) {
+            return sendError(res, 400, 'ENTITY_REQUIRED', 'entityType and entityID are required for this action');
+        }
+
+        if (['lock', 'unlock'].includes(action) && entityType !== 'POST') {
+            return sendError(res, 400, 'NOT_LOCKABLE', 'Only posts can be locked');
+        }
+
+        // The author of the content is the target of the action
+        let targetUser = null;
+        if (hasContent) {
+            targetUser = await getAuthor(entityType, entityID);
+
+            if (!targetUser) {
+                return sendError(res, 404, `${entityType}_NOT_FOUND`, `${entityType.toLowerCase()} not found`);
+            }
+        }
+
+        let suspendedUntil = null;
+        if (isUserAction) {
+            targetUser = req.body.username || targetUser;
+
+            if (!targetUser) {
+                return sendError(res, 400, 'SUSPEND_TARGET_REQUIRED', 'Provide a username or the content whose author to suspend');
+            }
+
+            if (targetUser === moderator) {
+                return sendError(res, 400, 'CANNOT_SUSPEND_SELF', 'You cannot suspend yourself');
+            }
+
+            const [users] = await db.query('SELECT username FROM Users WHERE username = ?', [targetUser]);
+
+            if (users.length === 0) {
+                return sendError(res, 404, 'USER_NOT_FOUND', 'User not found');
+            }
+
+            if (action === 'suspend') {
+                const days = req.body.days === undefined ? 7 : parseInt(req.body.days);
+
+                if (isNaN(days) || days < 1 || days > MAX_SUSPENSION_DAYS) {
+                    return sendError(res, 400, 'INVALID_DURATION', `Suspension must be between 1 and ${MAX_SUSPENSION_DAYS} days`);
+                }
+
+                suspendedUntil = new Date(Date.now() + days * 24 * 60 * 60 * 1000);
+            }
+        }
+
+        // Call the stored procedure to apply the action, close the reports and write the audit log
+        const [result] = await db.query(
+            'CALL moderate(?, ?, ?, ?, ?, ?, ?)',
+            [
+                moderator,
+                action,
+                hasContent ? entityType : null,
+                hasContent ? entityID : null,
+                targetUser,
+                reason || null,
+                suspendedUntil
+            ]
+        );
+
+        if (result[0][0].message !== 'Moderation Done') {
+            return sendError(res, 500, SERVER_ERROR, 'Failed to apply moderation action');
+        }
+
+        // End the suspended user's sessions right away instead of when their tokens expire
+        if (action === 'suspend') {
+            await revokeSessions(targetUser, 'suspended');
+        }
+
+        res.json({
+            success: true,
+            message: 'Moderation action applied',
+            action,
+            entityType: hasContent ? entityType : null,
+            entityID: hasContent ? Number(entityID) : null,
+            targetUser,
+            suspendedUntil,
+            logID: result[0][0].logID,
+            reportsResolved: result[0][0].reportsResolved
+        });
+    } catch (error) {
+        console.error('Moderation action error:', error);
+        sendError(res, 500, SERVER_ERROR, 'Server error while applying moderation action');
+    }
+};
+
+/**
+ * Get the moderation audit log, newest first
+ *
+ * @route GET /moderation/log
+ * @param {string} [req.query.moderator] - Only actions taken by this moderator
+ * @param {string} [req.query.action] - Only this action
+ * @param {string} [req.query.username] - Only actions targeting this user
+ * @param {string} [req.query.entityType] - Only actions on this type of content (with entityID)
+ * @param {number} [req.query.entityID] - Only actions on this post or comment
+ * @param {number} [req.query.page=1] - Page number
+ * @param {number} [req.query.limit=50] - Number of entries per page (max 100)
+ * @returns {object} 200 - Audit log entries with pagination info
+ * @returns {object} 400 - Invalid action filter
+ * @returns {object} 500 - Server error
+ */
+exports.getLog = async (req, res) => {
+    try {
+        const page = parseInt(req.query.page) || 1;
+        const limit = Math.min(parseInt(req.query.limit) || 50, 100);
+        const offset = (page - 1) * limit;
+
+        const conditions = [];
+        const params = [];
+
+        if (req.query.action) {
+            if (!LOG_ACTIONS.includes(req.query.action)) {
+                return sendError(res, 400, 'INVALID_ACTION', `Action must be one of: ${LOG_ACTIONS.join(', ')}`);
+            }
+            conditions.push('action = ?');
+            params.push(req.query.action);
+        }
+
+        if (req.query.moderator) {
+            conditions.push('moderator = ?');
+            params.push(req.query.moderator);
+        }
+
+        if (req.query.username) {
+            conditions.push('targetUser = ?');
+            params.push(req.query.username);
+        }
+
+        if (req.query.entityType && req.query.entityID) {
+            conditions.push('entityType = ? AND entityID = ?');
+            params.push(String(req.query.entityType).toUpperCase(), req.query.entityID);
+        }
+
+        const whereClause = conditions.length > 0 ? `WHERE ${conditions.join(' AND ')}` : '';
+
+        const [entries] = await db.query(`
+            SELECT logID, moderator, action, entityType, entityID, targetUser, reason, suspendedUntil, reportsResolved, dateActioned
+            FROM ModerationLog
+            ${whereClause}
+            ORDER BY dateActioned DESC, logID DESC
+            LIMIT ? OFFSET ?
+        `, [...params, limit, offset]);
+
+        const [countResult] = await db.query(
+            `SELECT COUNT(*) AS total FROM ModerationLog ${whereClause}`,
+            params
+        );
+        const totalEntries = countResult[0].total;
+
+        res.json({
+            success: true,
+            currentPage: page,
+            totalPages: Math.ceil(totalEntries / limit),
+            totalEntries,
+            entriesPerPage: limit,
+            entries
+        });
+    } catch (error) {
+        console.error('Get moderation log error:', error);
+        sendError(res, 500, SERVER_ERROR, 'Server error while fetching moderation log');
+    }
+};
+
+/**
+ * Get brigade alerts: bursts of likes from new accounts of one leaning on the same content
+ *
+ * @route GET /moderation/brigades
+ * @param {string} [req.query.status=open] - Alert status (open, dismissed, removed)
+ * @param {number} [req.query.page=1] - Page number
+ * @param {number} [req.query.limit=20] - Number of alerts per page (max 50)
+ * @returns {object} 200 - Alerts with the liked content and the flagged likes
+ * @returns {object} 400 - Invalid status
+ * @returns {object} 500 - Server error
+ */
+exports.getBrigades = async (req, res) => {
+    try {
+        const status = req.query.status || 'open';
+        const page = parseInt(req.query.page) || 1;
+        const limit = Math.min(parseInt(req.query.limit) || 20, 50);
+        const offset = (page - 1) * limit;
+
+        if (!['open', 'dismissed', 'removed'].includes(status)) {
+            return sendError(res, 400, 'INVALID_STATUS', 'Status must be one of: open, dismissed, removed');
+        }
+
+        const [alerts] = await db.query(`
+            SELECT alertID, entityType, entityID, polLean, likeCount, status, reviewedBy, dateDetected, lastFlagged, dateReviewed
+            FROM BrigadeAlerts
+            WHERE status = ?
+            ORDER BY likeCount DESC, dateDetected ASC
+            LIMIT ? OFFSET ?
+        `, [status, limit, offset]);
+
+        await attachContent(alerts);
+
+        // The flagged likes with the age of each account
+        if (alerts.length > 0) {
+            const [likes] = await db.query(`
+                SELECT l.brigadeAlertID, l.username, l.reaction, l.dateLiked, u.dateCreate
+                FROM Likes l
+                JOIN Users u ON u.username = l.username
+                WHERE l.brigadeAlertID IN (?)
+                ORDER BY l.dateLiked ASC
+            `, [alerts.map(alert => alert.alertID)]);
+
+            for (const alert of alerts) {
+                alert.likes = likes
+                    .filter(like => like.brigadeAlertID === alert.alertID)
+                    .map(({ username, reaction, dateLiked, dateCreate }) => ({ username, reaction, dateLiked, accountCreated: dateCreate }));
+            }
+        }
+
+        const [countResult] = await db.query(
+            'SELECT COUNT(*) AS total FROM BrigadeAlerts WHERE status = ?',
+            [status]
+        );
+        const totalAlerts = countResult[0].total;
+
+        res.json({
+            success: true,
+            status,
+            currentPage: page,
+            totalPages: Math.ceil(totalAlerts / limit),
+            totalAlerts,
+            alertsPerPage: limit,
+            alerts
+        });
+    } catch (error) {
+        console.error('Get brigade alerts error:', error);
+        sendError(res, 500, SERVER_ERROR, 'Server error while fetching brigade alerts');
+    }
+};
+
+/**
+ * Review a brigade alert: dismiss it (the likes stay) or remove the flagged likes
+ *
+ * @route POST /moderation/brigades/:id
+ * @param {string} req.params.id - Alert ID
+ * @param {string} req.body.action - dismiss or remove
+ * @param {string} [req.body.reason] - Note for the audit log (up to 500 characters)
+ * @param {object} req.user - User object from auth middleware
+ * @returns {object} 200 - Alert reviewed with the number of likes removed
+ * @returns {object} 400 - Invalid action or reason
+ * @returns {object} 404 - Alert not found
+ * @returns {object} 409 - Alert already reviewed
+ * @returns {object} 500 - Server error
+ */
+exports.reviewBrigade = async (req, res) => {
+    try {
+        const alertID = req.params.id;
+        const { action, reason } = req.body;
+
+        if (!['dismiss', 'remove'].includes(action)) {
+            return sendError(res, 400, 'INVALID_ACTION', 'Action must be one of: dismiss, remove');
+        }
+
+        if (reason !== undefined && reason !== null &&
+            (typeof reason !== 'string' || reason.length > MAX_DETAILS_LENGTH)) {
+            return sendError(res, 400, 'INVALID_REASON', `Reason must be text of up to ${MAX_DETAILS_LENGTH} characters`);
+        }
+
+        // Call the stored procedure to close the alert and write the audit log
+        const [result] = await db.query(
+            'CALL reviewBrigade(?, ?, ?, ?)',
+            [req.user.username, alertID, action, reason || null]
+        );
+
+        if (result[0][0].message === 'Brigade Reviewed') {
+            return res.json({
+                success: true,
+                message: action === 'remove' ? 'Flagged likes removed' : 'Alert dismissed',
+                alertID: Number(alertID),
+                likesRemoved: result[0][0].likesRemoved,
+                logID: result[0][0].logID
+            });
+        } else {
+            return sendError(res, 500, SERVER_ERROR, 'Failed to review brigade alert');
+        }
+    } catch (error) {
+        console.error('Review brigade error:', error);
+
+        if (error.message.includes('Invalid Alert ID')) {
+            return sendError(res, 404, 'ALERT_NOT_FOUND', 'Alert not found');
+        } else if (error.message.includes('Alert Already Reviewed')) {
+            return sendError(res, 409, 'ALERT_ALREADY_REVIEWED', 'This alert has already been reviewed');
+        }
+
+        sendError(res, 500, SERVER_ERROR, 'Server error while reviewing brigade alert');
+    }
+};
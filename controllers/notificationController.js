@@ -0,0 +1,271 @@
+const db = require('../config/db');
+const { NOTIFICATION_TYPES, attachActors, describeNotification } = require('../utils/notifications');
+const { canSeeHidden } = require('../utils/moderation');
+const { publishUserEvent } = require('../utils/live');
+const { SERVER_ERROR, sendError } = require('../utils/errors');
+
+const dotenv = require('dotenv');
+dotenv.config();
+
+// Length of the preview of the post or comment a notification is about
+const PREVIEW_LENGTH = 100;
+
+/**
+ * Build the FROM and WHERE clauses for the notifications of a user. Notifications about content
+ * a moderator hid from the user are left out.
+ *
+ * @param {object} user - req.user
+ * @param {boolean} unreadOnly - Only unread notifications
+ * @returns {{from: string, params: Array}} SQL and its parameters
+ */
+const notificationsQuery = (user, unreadOnly) => {
+    const conditions = ['n.recipient = ?'];
+
+    if (!canSeeHidden(user)) {
+        // The recipient always sees their own content, e.g. a liked post that was hidden
+        conditions.push(`(
+            (n.entityType = 'POST' AND (p.isHidden = FALSE OR p.username = n.recipient))
+            OR (n.entityType = 'COMMENT' AND (c.isHidden = FALSE OR c.username = n.recipient))
+        )`);
+    }
+
+    if (unreadOnly) {
+        conditions.push('n.isRead = FALSE');
+    }
+
+    return {
+        from: `
+            FROM Notifications n
+            LEFT JOIN PostsData p ON n.entityType = 'POST' AND p.postID = n.entityID
+            LEFT JOIN Comments c ON n.entityType = 'COMMENT' AND c.commentID = n.entityID
+            WHERE ${conditions.join(' AND ')}`,
+        params: [user.username]
+    };
+};
+
+/**
+ * Count the unread notifications of a user
+ *
+ * @param {object} user - req.user
+ * @returns {Promise<number>} Unread notifications
+ */
+const countUnread = async (user) => {
+    const { from, params } = notificationsQuery(user, true);
+    const [result] = await db.query(`SELECT COUNT(*) AS unreadCount ${from}`, params);
+    return result[0].unreadCount;
+};
+
+/**
+ * Get the notifications of the signed-in user, most recent activity first. Likes on the same
+ * post or comment are grouped into one notification while it is unread.
+ *
+ * @route GET /notifications
+ * @param {number} [req.query.page=1] - Page number
+ * @param {number} [req.query.limit=20] - Notifications per page (max 50)
+ * @param {string} [req.query.unread] - 'true' for unread notifications only
+ * @param {object} req.user - User object from auth middleware
+ * @returns {object} 200 - Notifications with pagination info and the unread count
+ * @returns {object} 500 - Server error
+ */
+exports.getNotifications = async (req, res) => {
+    try {
+        const page = Math.max(parseInt(req.query.page) || 1, 1);
+        const limit = Math.min(Math.max(parseInt(req.query.limit) || 20, 1), 50);
+        const offset = (page - 1) * limit;
+        const { from, params } = notificationsQuery(req.user, req.query.unread === 'true');
+
+        const [notifications] = await db.query(`
+            SELECT
+                n.notificationID,
+                n.type,
+                n.entityType,
+                n.entityID,
+                n.postID,
+                n.actor,
+                n.isRead,
+                n.dateCreated,
+                n.dateUpdated,
+                c.entityType AS replyTo,
+                LEFT(COALESCE(c.body, p.title), ?) AS preview
+            ${from}
+            ORDER BY n.dateUpdated DESC, n.notificationID DESC
+            LIMIT ? OFFSET ?
+        `, [PREVIEW_LENGTH, ...params, limit, offset]);
+
+        const [users] = await db.query('SELECT polLean FROM Users WHERE username = ?', [req.user.username]);
+        await attachActors(notifications, users.length > 0 ? users[0].polLean : 'M');
+
+        for (const notification of notifications) {
+            notification.isRead = Boolean(notification.isRead);
+            notification.message = describeNotification(notification);
+
+            // Only replies need to say what they answer
+            if (notification.type !== 'reply') {
+                delete notification.replyTo;
+            }
+        }
+
+        const [countResult] = await db.query(`SELECT COUNT(*) AS total ${from}`, params);
+        const totalNotifications = countResult[0].total;
+
+        res.json({
+            success: true,
+            currentPage: page,
+            totalPages: Math.ceil(totalNotifications / limit),
+            totalNotifications,
+            notificationsPerPage: limit,
+            unreadCount: await countUnread(req.user),
+            notifications
+        });
+    } catch (error) {
+        console.error('Get notifications error:', error);
+        sendError(res, 500, SERVER_ERROR, 'Server error while fetching notifications');
+    }
+};
+
+/**
+ * Get the number of unread notifications of the signed-in user
+ *
+ * @route GET /notifications/unread-count
+ * @param {object} req.user - User object from auth middleware
+ * @returns {object} 200 - Unread count
+ * @returns {object} 500 - Server error
+ */
+exports.getUnreadCount = async (req, res) => {
+    try {
+        res.json({
+            success: true,
+            unreadCount: await countUnread(req.user)
+        });
+    } catch (error) {
+        console.error('Get unread count error:', error);
+        sendError(res, 500, SERVER_ERROR, 'Server error while counting notifications');
+    }
+};
+
+/**
+ * Mark notifications of the signed-in user as read: the given ones, or all of them
+ *
+ * @route POST /notifications/read
+ * @param {Array<number>} [req.body.notificationIDs] - Notifications to mark as read (all when left out)
+ * @param {object} req.user - User object from auth middleware
+ * @returns {object} 200 - Number of notifications marked as read and the new unread count
+ * @returns {object} 400 - Invalid notification IDs
+ * @returns {object} 500 - Server error
+ */
+exports.markRead = async (req, res) => {
+    try {
+        const { notificationIDs } = req.body;
+
+        if (notificationIDs !== undefined && (
+            !Array.isArray(notificationIDs) || notificationIDs.length === 0 ||
+            !notificationIDs.every(id => Number.isInteger(id) && id > 0)
+        )) {
+            return sendError(res, 400, 'INVALID_NOTIFICATION_IDS', 'notificationIDs must be a non-empty list of notification IDs');
+        }
+
+        const [result] = await db.query(`
+            UPDATE Notifications
+            SET isRead = TRUE
+            WHERE recipient = ? AND isRead = FALSE
+            ${notificationIDs ? 'AND notificationID IN (?)' : ''}
+        `, notificationIDs ? [req.user.username, notificationIDs] : [req.user.username]);
+
+        const unreadCount = await countUnread(req.user);
+
+        // Other open tabs and devices update their badge
+        await publishUserEvent(req.user.username, 'unread-count', { unreadCount });
+
+        res.json({
+            success: true,
+            message: 'Notifications marked as read',
+            marked: result.affectedRows,
+            unreadCount
+        });
+    } catch (error) {
+        console.error('Mark notifications read error:', error);
+        sendError(res, 500, SERVER_ERROR, 'Server error while marking notifications as read');
+    }
+};
+
+/**
+ * Get which notification types a user receives; types without a stored setting are on
+ *
+ * @param {string} username - Username
+ * @returns {Promise<object>} true or false for each type
+ */
+const getPreferenceMap = async (username) => {
+    const [rows] = await db.query(
+        'SELECT type, enabled FROM NotificationPreferences WHERE username = ?',
+        [username]
+    );
+
+    const preferences = Object.fromEntries(NOTIFICATION_TYPES.map(type => [type, true]));
+    rows.forEach(row => {
+        preferences[row.type] = Boolean(row.enabled);
+    });
+
+    return preferences;
+};
+
+/**
+ * Get which notification types the signed-in user receives
+ *
+ * @route GET /notifications/preferences
+ * @param {object} req.user - User object from auth middleware
+ * @returns {object} 200 - true for each type that is on
+ * @returns {object} 500 - Server error
+ */
+exports.getPreferences = async (req, res) => {
+    try {
+        res.json({
+            success: true,
+            preferences: await getPreferenceMap(req.user.username)
+        });
+    } catch (error) {
+        console.error('Get notification preferences error:', error);
+        sendError(res, 500, SERVER_ERROR, 'Server error while fetching notification preferences');
+    }
+};
+
+/**
+ * Turn notification types on or off for the signed-in user. Types left out keep their setting;
+ * turning a type off stops new notifications of that type.
+ *
+ * @route PUT /notifications/preferences
+ * @param {boolean} [req.body.reply] - Notify about replies to your posts and comments
+ * @param {boolean} [req.body.like] - Notify about likes on your posts and comments
+ * @param {boolean} [req.body.mention] - Notify about @mentions
+ * @param {object} req.user - User object from auth middleware
+ * @returns {object} 200 - Updated preferences
+ * @returns {object} 400 - Unknown type or a value that isn't a boolean
+ * @returns {object} 500 - Server error
+ */
+exports.updatePreferences = async (req, res) => {
+    try {
+        const changes = Object.entries(req.body);
+
+        if (changes.length === 0 || !changes.every(([type, enabled]) =>
+            NOTIFICATION_TYPES.includes(type) && typeof enabled === 'boolean'
+        )) {
+            return sendError(res, 400, 'INVALID_PREFERENCES', `Provide true or false for any of: ${NOTIFICATION_TYPES.join(', ')}`);
+        }
+
+        await db.query(`
+            INSERT INTO NotificationPreferences (username, type, enabled)
+            VALUES ?
+            ON DUPLICATE KEY UPDATE enabled = VALUES(enabled)
+        `, [changes.map(([type, enabled]) => [req.user.username, type, enabled])]);
+
+        res.json({
+            success: true,
+            message: 'Notification preferences updated',
+            preferences: await getPreferenceMap(req.user.username)
+        });
+    } catch (error) {
+        console.error('Update notification preferences error:', error);
+        sendError(res, 500, SERVER_ERROR, 'Server error while updating notification preferences');
+    }
+};
+
+module.exports = exports;
@@ -0,0 +1,496 @@
+const db = require('../config/db');
+const { encodeCursor, decodeCursor, keysetCondition, keysetOrderBy } = require('../utils/pagination');
+const { likeCountColumns, takeLikes, likeTotals, consensusScore } = require('../utils/likes');
+const { attachTopics } = require('../utils/topics');
+const { attachCommentCounts } = require('../utils/comments');
+const { visibilityCondition, getRootPostIDs } = require('../utils/moderation');
+const { attachReactions } = require('../utils/reactions');
+const { attachSources } = require('../utils/sources');
+const { SERVER_ERROR, sendError } = require('../utils/errors');
+
+const dotenv = require('dotenv');
+dotenv.config();
+
+/**
+ * Find a collection of a user
+ *
+ * @param {number} collectionID - Collection ID
+ * @param {string} username - Owner
+ * @returns {Promise<object|null>} Collection, or null if it doesn't exist or belongs to someone else
+ */
+const getOwnCollection = async (collectionID, username) => {
+    const [collections] = await db.query(
+        'SELECT collectionID, name, dateCreated FROM Collections WHERE collectionID = ? AND username = ?',
+        [collectionID, username]
+    );
+    return collections.length > 0 ? collections[0] : null;
+};
+
+/**
+ * Save a post or comment, optionally into a collection. Saving it again with another
+ * collection moves it there.
+ *
+ * @route POST /feed/saved
+ * @param {string} req.body.entityType - POST or COMMENT
+ * @param {number} req.body.entityID - ID of the post or comment
+ * @param {number|null} [req.body.collectionID] - Collection to save it in (null for none)
+ * @param {object} req.user - User object from auth middleware
+ * @returns {object} 201 - Saved
+ * @returns {object} 200 - Moved to another collection
+ * @returns {object} 400 - Invalid entity type or collection ID
+ * @returns {object} 404 - Post, comment or collection not found
+ * @returns {object} 409 - Already saved in this collection
+ * @returns {object} 500 - Server error
+ */
+exports.save = async (req, res) => {
+    try {
+        // Checked by the save schema (schemas/feed.js)
+        const { entityType, entityID } = req.body;
+        const collectionID = req.body.collectionID === undefined ? null : req.body.collectionID;
+        const username = req.user.username;
+
+        if (collectionID !== null && !(await getOwnCollection(collectionID, username))) {
+            return sendError(res, 404, 'COLLECTION_NOT_FOUND', 'Collection not found');
+        }
+
+        // Only content the user can see can be saved
+        let entities;
+        if (entityType === 'POST') {
+            const visibility = visibilityCondition('p', req.user);
+            [entities] = await db.query(
+                `SELECT p.postID FROM PostsData p WHERE p.postID = ? AND ${visibility.clause}`,
+                [entityID, ...visibility.params]
+            );
+        } else {
+            const visibility = visibilityCondition('c', req.user);
+            [entities] = await db.query(
+                `SELECT c.commentID FROM Comments c WHERE c.commentID = ? AND c.isDeleted = FALSE AND ${visibility.clause}`,
+                [entityID, ...visibility.params]
+            );
+        }
+
+        if (entities.length === 0) {
+            return sendError(res, 404, `${entityType}_NOT_FOUND`, `${entityType.toLowerCase()} not found`);
+        }
+
+        const [existing] = await db.query(
+            'SELECT collectionID FROM SavedItems WHERE username = ? AND entityType = ? AND entityID = ?',
+            [username, entityType, entityID]
+        );
+
+        if (existing.length > 0) {
+            if (existing[0].collectionID === collectionID) {
+                const message = collectionID === null ? 'You have already saved this item' : 'This item is already in this collection';
+                return sendError(res, 409, 'ALREADY_SAVED', message);
+            }
+
+            await db.query(
+                'UPDATE SavedItems SET collectionID = ? WHERE username = ? AND entityType = ? AND entityID = ?',
+                [collectionID, username, entityType, entityID]
+            );
+
+            return res.json({
+                success: true,
+                message: 'Saved item moved',
+                entityType,
+                entityID: Number(entityID),
+                collectionID
+            });
+        }
+
+        await db.query(
+            'INSERT INTO SavedItems (username, entityType, entityID, collectionID) VALUES (?, ?, ?, ?)',
+            [username, entityType, entityID, collectionID]
+        );
+
+        res.status(201).json({
+            success: true,
+            message: 'Saved successfully',
+            entityType,
+            entityID: Number(entityID),
+            collectionID
+        });
+    } catch (error) {
+        console.error('Save item error:', error);
+        sendError(res, 500, SERVER_ERROR, 'Server error while saving item');
+    }
+};
+
+/**
+ * Unsave a post or comment
+ *
+ * @route DELETE /feed/saved
+ * @param {string} req.body.entityType - POST or COMMENT
+ * @param {number} req.body.entityID - ID of the post or comment
+ * @param {object} req.user - User object from auth middleware
+ * @returns {object} 200 - Unsaved
+ * @returns {object} 400 - Invalid entity type
+ * @returns {object} 404 - Item not saved
+ * @returns {object} 500 - Server error
+ */
+exports.unsave = async (req, res) => {
+    try {
+        const { entityType, entityID } = req.body;
+
+        const [result] = await db.query(
+            'DELETE FROM SavedItems WHERE username = ? AND entityType = ? AND entityID = ?',
+            [req.user.username, entityType, entityID]
+        );
+
+        if (result.affectedRows === 0) {
+            return sendError(res, 404, 'SAVED_ITEM_NOT_FOUND', 'Saved item not found');
+        }
+
+        res.json({
+            success: true,
+            message: 'Unsaved successfully',
+            entityType,
+            entityID: Number(entityID)
+        });
+    } catch (error) {
+        console.error('Unsave item error:', error);
+        sendError(res, 500, SERVER_ERROR, 'Server error while unsaving item');
+    }
+};
+
+/**
+ * Get the saved posts (or comments) of the signed-in user, most recently saved first.
+ * Posts come in the same shape as GET /feed/posts, comments as GET /feed/posts/comments,
+ * with the time they were saved and their collection.
+ *
+ * @route GET /feed/saved
+ * @param {string} [req.query.type=posts] - posts or comments
+ * @param {string} [req.query.collection] - Only items in this collection ID, or 'none' for items outside any collection
+ * @param {string} [req.query.cursor] - Cursor token from a previous response (takes precedence over page)
+ * @param {number} [req.query.page=1] - Page number
+ * @param {number} [req.query.limit=10] - Items per page (max 50)
+ * @param {object} req.user - User object from auth middleware
+ * @returns {object} 200 - Saved posts or comments with pagination info and cursors
+ * @returns {object} 400 - Invalid type, collection or cursor
+ * @returns {object} 404 - Collection not found
+ * @returns {object} 500 - Server error
+ */
+exports.getSaved = async (req, res) => {
+    try {
+        // Checked by the getSaved schema (schemas/feed.js), with defaults filled in
+        const { type, page, limit } = req.query;
+        const offset = (page - 1) * limit;
+        const username = req.user.username;
+
+        const entityType = type === 'posts' ? 'POST' : 'COMMENT';
+        const idKey = type === 'posts' ? 'postID' : 'commentID';
+        const conditions = ['si.username = ?', 'si.entityType = ?'];
+        const params = [username, entityType];
+
+        if (req.query.collection !== undefined) {
+            const collectionID = req.query.collection === 'none' ? null : Number(req.query.collection);
+
+            if (collectionID === null) {
+                conditions.push('si.collectionID IS NULL');
+            } else {
+                if (!(await getOwnCollection(collectionID, username))) {
+                    return sendError(res, 404, 'COLLECTION_NOT_FOUND', 'Collection not found');
+                }
+                conditions.push('si.collectionID = ?');
+                params.push(collectionID);
+            }
+        }
+
+        // Content hidden by a moderator after it was saved drops out, like everywhere else
+        const visibility = visibilityCondition(type === 'posts' ? 'p' : 'c', req.user);
+        conditions.push(visibility.clause);
+        params.push(...visibility.params);
+        if (type === 'comments') {
+            conditions.push('c.isDeleted = FALSE');
+        }
+
+        const keys = [
+            { column: 'dateSaved', dir: 'DESC', type: 'date' },
+            { column: idKey, dir: 'DESC' }
+        ];
+        const cursorSort = `saved:${type}`;
+
+        let cursor = null;
+        if (req.query.cursor) {
+            cursor = decodeCursor(req.query.cursor, cursorSort, keys);
+            if (!cursor) {
+                return sendError(res, 400, 'INVALID_CURSOR', 'Invalid cursor');
+            }
+        }
+
+        const direction = cursor ? cursor.direction : 'next';
+        const keyset = cursor ? keysetCondition(keys, cursor.values, direction) : null;
+
+        const from = type === 'posts'
+            ? `FROM SavedItems si
+                JOIN PostsData p ON p.postID = si.entityID
+                JOIN Users u ON p.username = u.username
+                LEFT JOIN LikeCounts lc ON lc.entityType = 'POST' AND lc.entityID = p.postID`
+            : `FROM SavedItems si
+                JOIN Comments c ON c.commentID = si.entityID
+                JOIN Users u ON c.username = u.username
+                LEFT JOIN LikeCounts lc ON lc.entityType = 'COMMENT' AND lc.entityID = c.commentID`;
+
+        const columns = type === 'posts'
+            ? `p.postID,
+                p.title,
+                p.body,
+                p.sources,
+                p.datePosted,
+                p.isHidden,
+                p.isLocked,
+                u.username,
+                u.firstName,
+                u.lastName,
+                u.polLean`
+            : `c.commentID,
+                c.entityID,
+                c.entityType,
+                CASE WHEN c.entityType = 'COMMENT' THEN c.entityID ELSE NULL END AS parentCommentID,
+                c.body,
+                c.datePosted,
+                c.dateEdited,
+                c.isHidden,
+                u.username,
+                u.firstName,
+                u.lastName,
+                u.polLean,
+                (SELECT COUNT(*) FROM Comments r WHERE r.entityType = 'COMMENT' AND r.entityID = c.commentID AND r.isHidden = FALSE) AS replyCount`;
+
+        const whereClause = `WHERE ${conditions.join(' AND ')}`;
+
+        const [rows] = await db.query(`
+            SELECT * FROM (
+                SELECT
+                    ${columns},
+                    ${likeCountColumns('lc')},
+                    si.dateSaved,
+                    si.collectionID
+                ${from}
+                ${whereClause}
+            ) saved
+            ${keyset ? `WHERE ${keyset.clause}` : ''}
+            ORDER BY ${keysetOrderBy(keys, direction)}
+            LIMIT ? ${cursor ? '' : 'OFFSET ?'}
+        `, [...params, ...(cursor ? [...keyset.params, limit + 1] : [limit + 1, offset])]);
+
+        // One extra row tells whether there is anything beyond this page
+        const hasMore = rows.length > limit;
+        const items = rows.slice(0, limit);
+        if (direction === 'prev') {
+            items.reverse();
+        }
+
+        const first = items[0];
+        const last = items[items.length - 1];
+        const hasNext = direction === 'next' ? hasMore : true;
+        const hasPrev = direction === 'prev' ? hasMore : (cursor !== null || page > 1);
+        const nextCursor = last && hasNext ? encodeCursor(cursorSort, 'next', keys, last) : null;
+        const prevCursor = first && hasPrev ? encodeCursor(cursorSort, 'prev', keys, first) : null;
+
+        for (const item of items) {
+            item.isHidden = Boolean(item.isHidden);
+            item.likes = takeLikes(item);
+            item.saved = true;
+
+            if (type === 'posts') {
+                item.isLocked = Boolean(item.isLocked);
+                Object.assign(item, likeTotals(item.likes));
+            } else {
+                item.edited = item.dateEdited !== null;
+                item.totalLikes = likeTotals(item.likes).totalLikes;
+                item.consensusScore = consensusScore(item.likes);
+            }
+        }
+
+        if (type === 'posts') {
+            await attachCommentCounts(items);
+            await attachTopics(items);
+        } else {
+            // Saved comments link back to the post of their thread
+            const postIDs = await getRootPostIDs(items.map(item => item.commentID));
+            items.forEach(item => {
+                item.postID = postIDs.get(item.commentID) || null;
+            });
+        }
+        await attachReactions(entityType, items, idKey);
+        await attachSources(entityType, items, idKey);
+
+        const perPageKey = `${type}PerPage`;
+
+        // Cursor requests skip the totals, they are only needed by the page/offset API
+        if (cursor) {
+            return res.json({
+                success: true,
+                [perPageKey]: limit,
+                type,
+                nextCursor,
+                prevCursor,
+                [type]: items
+            });
+        }
+
+        const [countResult] = await db.query(`SELECT COUNT(*) AS total ${from} ${whereClause}`, params);
+        const total = countResult[0].total;
+
+        res.json({
+            success: true,
+            currentPage: page,
+            totalPages: Math.ceil(total / limit),
+            [type === 'posts' ? 'totalPosts' : 'totalComments']: total,
+            [perPageKey]: limit,
+            type,
+            nextCursor,
+            prevCursor,
+            [type]: items
+        });
+    } catch (error) {
+        console.error('Get saved items error:', error);
+        sendError(res, 500, SERVER_ERROR, 'Server error while fetching saved items');
+    }
+};
+
+/**
+ * List the collections of the signed-in user with the number of items in each
+ *
+ * @route GET /feed/collections
+ * @param {object} req.user - User object from auth middleware
+ * @returns {object} 200 - Collections ordered by name, and the number of items outside any collection
+ * @returns {object} 500 - Server error
+ */
+exports.getCollections = async (req, res) => {
+    try {
+        const [collections] = await db.query(`
+            SELECT
+                col.collectionID,
+                col.name,
+                col.dateCreated,
+                (SELECT COUNT(*) FROM SavedItems si WHERE si.collectionID = col.collectionID) AS itemCount
+            FROM Collections col
+            WHERE col.username = ?
+            ORDER BY col.name ASC
+        `, [req.user.username]);
+
+        const [uncollected] = await db.query(
+            'SELECT COUNT(*) AS itemCount FROM SavedItems WHERE username = ? AND collectionID IS NULL',
+            [req.user.username]
+        );
+
+        res.json({
+            success: true,
+            collections,
+            uncollectedCount: uncollected[0].itemCount
+        });
+    } catch (error) {
+        console.error('Get collections error:', error);
+        sendError(res, 500, SERVER_ERROR, 'Server error while fetching collections');
+    }
+};
+
+/**
+ * Create a collection
+ *
+ * @route POST /feed/collections
+ * @param {string} req.body.name - Collection name (unique per user)
+ * @param {object} req.user - User object from auth middleware
+ * @returns {object} 201 - Collection created
+ * @returns {object} 400 - Missing or too long name
+ * @returns {object} 409 - The user already has a collection with this name
+ * @returns {object} 500 - Server error
+ */
+exports.createCollection = async (req, res) => {
+    try {
+        // Normalized by the createCollection schema (schemas/feed.js)
+        const { name } = req.body;
+
+        const [result] = await db.query(
+            'INSERT INTO Collections (username, name) VALUES (?, ?)',
+            [req.user.username, name]
+        );
+
+        res.status(201).json({
+            success: true,
+            message: 'Collection created',
+            collection: { collectionID: result.insertId, name, itemCount: 0 }
+        });
+    } catch (error) {
+        if (error.code === 'ER_DUP_ENTRY') {
+            return sendError(res, 409, 'COLLECTION_NAME_TAKEN', 'You already have a collection with this name');
+        }
+
+        console.error('Create collection error:', error);
+        sendError(res, 500, SERVER_ERROR, 'Server error while creating collection');
+    }
+};
+
+/**
+ * Rename a collection
+ *
+ * @route PATCH /feed/collections/:id
+ * @param {string} req.params.id - Collection ID
+ * @param {string} req.body.name - New name
+ * @param {object} req.user - User object from auth middleware
+ * @returns {object} 200 - Collection renamed
+ * @returns {object} 400 - Missing or too long name
+ * @returns {object} 404 - Collection not found
+ * @returns {object} 409 - The user already has a collection with this name
+ * @returns {object} 500 - Server error
+ */
+exports.renameCollection = async (req, res) => {
+    try {
+        const { name } = req.body;
+
+        const collection = await getOwnCollection(req.params.id, req.user.username);
+        if (!collection) {
+            return sendError(res, 404, 'COLLECTION_NOT_FOUND', 'Collection not found');
+        }
+
+        await db.query('UPDATE Collections SET name = ? WHERE collectionID = ?', [name, collection.collectionID]);
+
+        res.json({
+            success: true,
+            message: 'Collection renamed',
+            collection: { collectionID: collection.collectionID, name }
+        });
+    } catch (error) {
+        if (error.code === 'ER_DUP_ENTRY') {
+            return sendError(res, 409, 'COLLECTION_NAME_TAKEN', 'You already have a collection with this name');
+        }
+
+        console.error('Rename collection error:', error);
+        sendError(res, 500, SERVER_ERROR, 'Server error while renaming collection');
+    }
+};
+
+/**
+ * Delete a collection. Its items stay saved, outside any collection.
+ *
+ * @route DELETE /feed/collections/:id
+ * @param {string} req.params.id - Collection ID
+ * @param {object} req.user - User object from auth middleware
+ * @returns {object} 200 - Collection deleted
+ * @returns {object} 404 - Collection not found
+ * @returns {object} 500 - Server error
+ */
+exports.deleteCollection = async (req, res) => {
+    try {
+        const [result] = await db.query(
+            'DELETE FROM Collections WHERE collectionID = ? AND username = ?',
+            [req.params.id, req.user.username]
+        );
+
+        if (result.affectedRows === 0) {
+            return sendError(res, 404, 'COLLECTION_NOT_FOUND', 'Collection not found');
+        }
+
+        res.json({
+            success: true,
+            message: 'Collection deleted, its items are still saved'
+        });
+    } catch (error) {
+        console.error('Delete collection error:', error);
+        sendError(res, 500, SERVER_ERROR, 'Server error while deleting collection');
+    }
+};
+
+module.exports = exports;
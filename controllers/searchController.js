@@ -0,0 +1,245 @@
+const db = require('../config/db');
+const { POL_LEANS, likeCountColumns, takeLikes, likeTotals } = require('../utils/likes');
+const { SERVER_ERROR, sendError } = require('../utils/errors');
+
+const dotenv = require('dotenv');
+dotenv.config();
+
+// LikeCounts column used for each `likesFrom` value of the minimum likes filter
+const LIKE_SIDES = {
+    total: 'lc.totalLikes',
+    left: 'lc.leftLikes',
+    right: 'lc.rightLikes',
+    moderate: 'lc.M',
+    ...Object.fromEntries(POL_LEANS.map(lean => [lean, `lc.${lean}`]))
+};
+
+const SNIPPET_LENGTH = 160;
+
+/**
+ * Escape text for safe use inside HTML
+ * 
+ * @param {string} text - Raw text
+ * @returns {string} Escaped text
+ */
+const escapeHtml = (text) => text
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&#39;');
+
+/**
+ * Wrap every occurrence of the search terms in <mark> tags. The raw text is split on the terms
+ * and each part is HTML-escaped on its own, so terms never match inside an escaped entity.
+ * 
+ * @param {string} text - Text to highlight
+ * @param {Array<string>} terms - Search terms
+ * @returns {string} Escaped text with highlighted terms
+ */
+const highlight = (text, terms) => {
+    if (terms.length === 0) {
+        return escapeHtml(text);
+    }
+
+    // With a capturing group, split puts the matched terms at the odd indexes
+    const pattern = new RegExp(`(${terms.map(term => term.replace(/[.*+?^${}()|[\]\\-]/g, '\\$&')).join('|')})`, 'gi');
+    return text.split(pattern)
+        .map((part, index) => (index % 2 === 1 ? `<mark>${escapeHtml(part)}</mark>` : escapeHtml(part)))
+        .join('');
+};
+
+/**
+ * Cut a window of text around the first matching term and highlight it
+ * 
+ * @param {string} text - Full text
+ * @param {Array<string>} terms - Search terms
+ * @returns {string} Highlighted snippet, with ellipses where the text was cut
+ */
+const snippet = (text, terms) => {
+    if (!text) {
+        return '';
+    }
+
+    const lower = text.toLowerCase();
+    const positions = terms.map(term => lower.indexOf(term.toLowerCase())).filter(index => index >= 0);
+    const firstMatch = positions.length > 0 ? Math.min(...positions) : 0;
+
+    const start = Math.max(0, firstMatch - Math.floor(SNIPPET_LENGTH / 3));
+    const end = Math.min(text.length, start + SNIPPET_LENGTH);
+
+    return (start > 0 ? '…' : '') +
+        highlight(text.slice(start, end), terms) +
+        (end < text.length ? '…' : '');
+};
+
+/**
+ * Search posts and comments by relevance
+ * 
+ * @route GET /feed/search
+ * @param {string} req.query.q - Search text (matched against post title, body, sources and comment body)
+ * @param {string} [req.query.type=all] - What to search (all, posts, comments)
+ * @param {string} [req.query.authorLean] - Comma-separated author leanings to include (e.g. FL,L)
+ * @param {string} [req.query.from] - Only content posted on or after this date (ISO 8601)
+ * @param {string} [req.query.to] - Only content posted on or before this date (ISO 8601)
+ * @param {number} [req.query.minLikes] - Minimum number of likes from the `likesFrom` side
+ * @param {string} [req.query.likesFrom=total] - Side counted by minLikes (total, left, right, moderate, FL, L, SL, M, SR, R, FR)
+ * @param {number} [req.query.page=1] - Page number
+ * @param {number} [req.query.limit=10] - Number of results per page (max 50)
+ * @returns {object} 200 - Ranked results with like breakdowns and highlighted snippets
+ * @returns {object} 400 - Missing query or invalid filter
+ * @returns {object} 500 - Server error
+ */
+exports.search = async (req, res) => {
+    try {
+        // Checked by the search schema (schemas/feed.js): q is trimmed, dates parsed, defaults filled in
+        const { q, type, page, limit } = req.query;
+        const offset = (page - 1) * limit;
+
+        // Words used for highlighting the snippets
+        const terms = q.split(/\s+/)
+            .map(term => term.replace(/[^\p{L}\p{N}'-]/gu, ''))
+            .filter(term => term.length >= 2);
+
+        // Build the filters shared by posts and comments, content hidden by a moderator is never found
+        const conditions = ['x.isHidden = FALSE'];
+        const params = [];
+
+        if (req.query.authorLean) {
+            conditions.push('u.polLean IN (?)');
+            params.push(req.query.authorLean);
+        }
+
+        for (const [param, operator] of [['from', '>='], ['to', '<=']]) {
+            if (req.query[param]) {
+                conditions.push(`x.datePosted ${operator} ?`);
+                params.push(req.query[param]);
+            }
+        }
+
+        if (req.query.minLikes !== undefined) {
+            conditions.push(`COALESCE(${LIKE_SIDES[req.query.likesFrom]}, 0) >= ?`);
+            params.push(req.query.minLikes);
+        }
+
+        const filters = `AND ${conditions.join(' AND ')}`;
+
+        // Each side of the search returns the same columns so they can be ranked together
+        const postsQuery = `
+            SELECT 
+                'POST' AS type,
+                x.postID,
+                NULL AS commentID,
+                NULL AS parentCommentID,
+                x.title,
+                x.body,
+                x.sources,
+                x.datePosted,
+                u.username,
+                u.firstName,
+                u.lastName,
+                u.polLean,
+                ${likeCountColumns('lc')},
+                MATCH(x.title, x.body, x.sources) AGAINST (? IN NATURAL LANGUAGE MODE) AS relevance
+            FROM PostsData x
+            JOIN Users u ON x.username = u.username
+            LEFT JOIN LikeCounts lc ON lc.entityType = 'POST' AND lc.entityID = x.postID
+            WHERE MATCH(x.title, x.body, x.sources) AGAINST (? IN NATURAL LANGUAGE MODE)
+            ${filters}
+        `;
+
+        // Comments only match while the post of their thread is visible, so walk up from each
+        // matching comment to its post, which also gives replies their postID
+        const commentPosts = `
+            WITH RECURSIVE ancestry AS (
+                SELECT commentID AS startID, entityType, entityID
+                FROM Comments
+                WHERE MATCH(body) AGAINST (? IN NATURAL LANGUAGE MODE)
+                UNION ALL
+                SELECT a.startID, c.entityType, c.entityID
+                FROM ancestry a
+                JOIN Comments c ON a.entityType = 'COMMENT' AND c.commentID = a.entityID
+            ),
+            commentPosts AS (
+                SELECT startID AS commentID, entityID AS postID
+                FROM ancestry
+                WHERE entityType = 'POST'
+            )
+        `;
+        const commentsQuery = `
+            SELECT 
+                'COMMENT' AS type,
+                p.postID,
+                x.commentID,
+                CASE WHEN x.entityType = 'COMMENT' THEN x.entityID ELSE NULL END AS parentCommentID,
+                NULL AS title,
+                x.body,
+                NULL AS sources,
+                x.datePosted,
+                u.username,
+                u.firstName,
+                u.lastName,
+                u.polLean,
+                ${likeCountColumns('lc')},
+                MATCH(x.body) AGAINST (? IN NATURAL LANGUAGE MODE) AS relevance
+            FROM commentPosts cp
+            JOIN Comments x ON x.commentID = cp.commentID
+            JOIN PostsData p ON p.postID = cp.postID AND p.isHidden = FALSE
+            JOIN Users u ON x.username = u.username
+            LEFT JOIN LikeCounts lc ON lc.entityType = 'COMMENT' AND lc.entityID = x.commentID
+            WHERE x.isDeleted = FALSE
+            ${filters}
+        `;
+
+        const parts = [];
+        const queryParams = [];
+        let withClause = '';
+        let withParams = [];
+        if (type !== 'comments') {
+            parts.push(postsQuery);
+            queryParams.push(q, q, ...params);
+        }
+        if (type !== 'posts') {
+            withClause = commentPosts;
+            withParams = [q];
+            parts.push(commentsQuery);
+            queryParams.push(q, ...params);
+        }
+
+        // Fetch one extra row to know whether there is another page
+        const [rows] = await db.query(`
+            ${withClause}
+            SELECT * FROM (${parts.join(' UNION ALL ')}) results
+            ORDER BY relevance DESC, datePosted DESC
+            LIMIT ? OFFSET ?
+        `, [...withParams, ...queryParams, limit + 1, offset]);
+
+        const hasMore = rows.length > limit;
+        const results = rows.slice(0, limit);
+
+        for (const result of results) {
+            result.likes = takeLikes(result);
+            Object.assign(result, likeTotals(result.likes));
+            result.relevance = Number(result.relevance);
+            result.highlight = {
+                title: result.title ? highlight(result.title, terms) : null,
+                snippet: snippet(result.body, terms)
+            };
+        }
+
+        res.json({
+            success: true,
+            query: q,
+            type,
+            currentPage: page,
+            resultsPerPage: limit,
+            hasMore,
+            results
+        });
+    } catch (error) {
+        console.error('Search error:', error);
+        sendError(res, 500, SERVER_ERROR, 'Server error while searching');
+    }
+};
+
+module.exports = exports;
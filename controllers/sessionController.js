@@ -0,0 +1,156 @@
+const db = require('../config/db');
+const { hashToken } = require('../utils/tokens');
+const { getUserRoles } = require('../utils/roles');
+const { SESSION_DAYS, signAccessToken, issueRefreshToken, revokeSessions } = require('../utils/sessions');
+const { SERVER_ERROR, sendError } = require('../utils/errors');
+const dotenv = require('dotenv');
+
+dotenv.config();
+
+// Exchange a refresh token for a new access token and refresh token
+exports.refresh = async (req, res) => {
+    const { refreshToken } = req.body;
+
+    try {
+        const tokenHash = hashToken(refreshToken);
+
+        const [tokens] = await db.query(`
+            SELECT 
+                t.sessionID,
+                t.usedAt,
+                s.username,
+                s.generation,
+                s.revokedAt,
+                s.expiresAt > NOW() AS active
+            FROM RefreshTokens t
+            JOIN Sessions s ON s.sessionID = t.sessionID
+            WHERE t.tokenHash = ?
+        `, [tokenHash]);
+
+        if (tokens.length === 0) {
+            return sendError(res, 401, 'INVALID_REFRESH_TOKEN', 'Invalid refresh token');
+        }
+
+        const session = tokens[0];
+
+        // A rotated token coming back means it was copied: end the session for everyone holding it
+        if (session.usedAt !== null) {
+            await revokeSessions(session.username, 'token_reuse', session.sessionID);
+            return sendError(res, 401, 'REFRESH_TOKEN_REUSED', 'Refresh token was already used, session has been revoked');
+        }
+
+        if (session.revokedAt !== null || !session.active) {
+            return sendError(res, 401, 'SESSION_EXPIRED', 'Session has expired or was revoked');
+        }
+
+        // Claim the token; if another request rotated it first, treat it as reuse
+        const [claim] = await db.query(
+            'UPDATE RefreshTokens SET usedAt = NOW() WHERE tokenHash = ? AND usedAt IS NULL',
+            [tokenHash]
+        );
+
+        if (claim.affectedRows === 0) {
+            await revokeSessions(session.username, 'token_reuse', session.sessionID);
+            return sendError(res, 401, 'REFRESH_TOKEN_REUSED', 'Refresh token was already used, session has been revoked');
+        }
+
+        // New generation: access tokens issued before this refresh stop working
+        const generation = session.generation + 1;
+        await db.query(`
+            UPDATE Sessions
+            SET generation = ?, lastUsed = NOW(), expiresAt = DATE_ADD(NOW(), INTERVAL ? DAY)
+            WHERE sessionID = ?
+        `, [generation, SESSION_DAYS, session.sessionID]);
+
+        const newRefreshToken = await issueRefreshToken(session.sessionID);
+
+        // Roles are read again so role changes show up in the new token
+        const roles = await getUserRoles(session.username);
+
+        res.json({
+            success: true,
+            message: 'Token refreshed',
+            token: signAccessToken(session.username, session.sessionID, generation, roles),
+            refreshToken: newRefreshToken
+        });
+    } catch (error) {
+        console.error('Refresh token error:', error);
+        sendError(res, 500, SERVER_ERROR, 'Token refresh failed');
+    }
+};
+
+// Log out of the current session
+exports.logout = async (req, res) => {
+    try {
+        await revokeSessions(req.user.username, 'logout', req.user.sessionID);
+
+        res.json({
+            success: true,
+            message: 'Logged out'
+        });
+    } catch (error) {
+        console.error('Logout error:', error);
+        sendError(res, 500, SERVER_ERROR, 'Logout failed');
+    }
+};
+
+// Log out of every session of the current user
+exports.logoutAll = async (req, res) => {
+    try {
+        const revoked = await revokeSessions(req.user.username, 'logout_all');
+
+        res.json({
+            success: true,
+            message: 'Logged out everywhere',
+            revokedSessions: revoked
+        });
+    } catch (error) {
+        console.error('Logout everywhere error:', error);
+        sendError(res, 500, SERVER_ERROR, 'Logout failed');
+    }
+};
+
+// List the active sessions of the current user
+exports.getSessions = async (req, res) => {
+    try {
+        const [sessions] = await db.query(`
+            SELECT sessionID, userAgent, ipAddress, dateCreated, lastUsed, expiresAt
+            FROM Sessions
+            WHERE username = ? AND revokedAt IS NULL AND expiresAt > NOW()
+            ORDER BY lastUsed DESC
+        `, [req.user.username]);
+
+        sessions.forEach(session => {
+            session.current = session.sessionID === req.user.sessionID;
+        });
+
+        res.json({
+            success: true,
+            sessions
+        });
+    } catch (error) {
+        console.error('Get sessions error:', error);
+        sendError(res, 500, SERVER_ERROR, 'Failed to retrieve sessions');
+    }
+};
+
+// Revoke one session of the current user, e.g. a lost device
+exports.revokeSession = async (req, res) => {
+    try {
+        const revoked = await revokeSessions(req.user.username, 'logout', req.params.id);
+
+        if (revoked === 0) {
+            return sendError(res, 404, 'SESSION_NOT_FOUND', 'Session not found');
+        }
+
+        res.json({
+            success: true,
+            message: 'Session revoked'
+        });
+    } catch (error) {
+        console.error('Revoke session error:', error);
+        sendError(res, 500, SERVER_ERROR, 'Failed to revoke session');
+    }
+};
+
+module.exports = exports;
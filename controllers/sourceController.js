@@ -0,0 +1,126 @@
+const db = require('../config/db');
+const { SOURCE_CATEGORIES, normalizeDomain, isValidDomain } = require('../utils/sources');
+const { SERVER_ERROR, sendError } = require('../utils/errors');
+
+const dotenv = require('dotenv');
+dotenv.config();
+
+/**
+ * List the source domain registry with the number of sources citing each entry
+ *
+ * @route GET /feed/source-domains
+ * @param {string} [req.query.category] - Only entries of this category (primary, news, blog)
+ * @returns {object} 200 - Registry entries ordered by domain
+ * @returns {object} 400 - Invalid category
+ * @returns {object} 500 - Server error
+ */
+exports.getDomains = async (req, res) => {
+    try {
+        const { category } = req.query;
+
+        const [domains] = await db.query(`
+            SELECT
+                d.domain,
+                d.category,
+                d.name,
+                d.dateUpdated,
+                (SELECT COUNT(*) FROM Sources s WHERE s.domain = d.domain OR s.domain LIKE CONCAT('%.', d.domain)) AS sourceCount
+            FROM SourceDomains d
+            ${category ? 'WHERE d.category = ?' : ''}
+            ORDER BY d.domain ASC
+        `, category ? [category] : []);
+
+        res.json({
+            success: true,
+            categories: SOURCE_CATEGORIES,
+            domains
+        });
+    } catch (error) {
+        console.error('Get source domains error:', error);
+        sendError(res, 500, SERVER_ERROR, 'Server error while fetching source domains');
+    }
+};
+
+/**
+ * Add a domain to the registry or change its entry. The entry also covers every subdomain.
+ *
+ * @route PUT /admin/source-domains/:domain
+ * @param {string} req.params.domain - Domain or domain suffix, e.g. census.gov or gov
+ * @param {string} req.body.category - primary, news or blog
+ * @param {string} [req.body.name] - Display name
+ * @param {object} req.user - User object from auth middleware
+ * @returns {object} 201 - Entry added
+ * @returns {object} 200 - Entry updated
+ * @returns {object} 400 - Invalid domain, category or name
+ * @returns {object} 500 - Server error
+ */
+exports.setDomain = async (req, res) => {
+    try {
+        const domain = normalizeDomain(req.params.domain);
+        const { category } = req.body;
+        const name = typeof req.body.name === 'string' && req.body.name.trim() ? req.body.name.trim() : null;
+
+        if (!isValidDomain(domain)) {
+            return sendError(res, 400, 'INVALID_DOMAIN', 'Invalid domain');
+        }
+
+        if (!SOURCE_CATEGORIES.includes(category)) {
+            return sendError(res, 400, 'INVALID_CATEGORY', `Category must be one of: ${SOURCE_CATEGORIES.join(', ')}`);
+        }
+
+        if (name && name.length > 100) {
+            return sendError(res, 400, 'NAME_TOO_LONG', 'Name must be at most 100 characters');
+        }
+
+        // affectedRows can't tell an insert from an unchanged row (mysql2 reports found rows), so look first
+        const [existing] = await db.query('SELECT domain FROM SourceDomains WHERE domain = ?', [domain]);
+        const added = existing.length === 0;
+
+        await db.query(`
+            INSERT INTO SourceDomains (domain, category, name, updatedBy)
+            VALUES (?, ?, ?, ?)
+            ON DUPLICATE KEY UPDATE category = VALUES(category), name = VALUES(name), updatedBy = VALUES(updatedBy)
+        `, [domain, category, name, req.user.username]);
+
+        res.status(added ? 201 : 200).json({
+            success: true,
+            message: added ? 'Source domain added' : 'Source domain updated',
+            domain: { domain, category, name }
+        });
+    } catch (error) {
+        console.error('Set source domain error:', error);
+        sendError(res, 500, SERVER_ERROR, 'Server error while saving source domain');
+    }
+};
+
+/**
+ * Remove a domain from the registry; its sources become 'unknown' unless a broader entry covers them
+ *
+ * @route DELETE /admin/source-domains/:domain
+ * @param {string} req.params.domain - Domain or domain suffix
+ * @returns {object} 200 - Entry removed
+ * @returns {object} 404 - Domain not in the registry
+ * @returns {object} 500 - Server error
+ */
+exports.removeDomain = async (req, res) => {
+    try {
+        const domain = normalizeDomain(req.params.domain);
+
+        const [result] = await db.query('DELETE FROM SourceDomains WHERE domain = ?', [domain]);
+
+        if (result.affectedRows === 0) {
+            return sendError(res, 404, 'SOURCE_DOMAIN_NOT_FOUND', 'Source domain not found');
+        }
+
+        res.json({
+            success: true,
+            message: 'Source domain removed',
+            domain
+        });
+    } catch (error) {
+        console.error('Remove source domain error:', error);
+        sendError(res, 500, SERVER_ERROR, 'Server error while removing source domain');
+    }
+};
+
+module.exports = exports;
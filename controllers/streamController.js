@@ -0,0 +1,55 @@
+const db = require('../config/db');
+const { visibilityCondition } = require('../utils/moderation');
+const { postChannel, userChannel, openStream } = require('../utils/live');
+const { SERVER_ERROR, sendError } = require('../utils/errors');
+
+const dotenv = require('dotenv');
+dotenv.config();
+
+/**
+ * Stream live updates of a post as Server-Sent Events: `comment` for every new comment or reply
+ * in the thread and `likes` with the new like and reaction counts of the post or its comments
+ *
+ * @route GET /feed/posts/:id/stream
+ * @param {string} req.params.id - Post ID
+ * @param {string} [req.query.token] - JWT, for clients that can't send x-auth-token
+ * @param {object} [req.user] - User object from the optional auth middleware
+ * @returns {object} 200 - text/event-stream, open until the client disconnects
+ * @returns {object} 400 - Invalid post ID
+ * @returns {object} 404 - Post not found
+ * @returns {object} 500 - Server error
+ */
+exports.streamPost = async (req, res) => {
+    try {
+        const visibility = visibilityCondition('p', req.user);
+
+        const [posts] = await db.query(
+            `SELECT p.postID FROM PostsData p WHERE p.postID = ? AND ${visibility.clause}`,
+            [req.params.id, ...visibility.params]
+        );
+
+        if (posts.length === 0) {
+            return sendError(res, 404, 'POST_NOT_FOUND', 'Post not found');
+        }
+
+        openStream(req, res, postChannel(posts[0].postID));
+    } catch (error) {
+        console.error('Stream post error:', error);
+        sendError(res, 500, SERVER_ERROR, 'Server error while opening stream');
+    }
+};
+
+/**
+ * Stream the notifications of the signed-in user as Server-Sent Events: `notification` for every
+ * new or grouped notification and `unread-count` when notifications are marked as read
+ *
+ * @route GET /notifications/stream
+ * @param {string} [req.query.token] - JWT, for clients that can't send x-auth-token
+ * @param {object} req.user - User object from auth middleware
+ * @returns {object} 200 - text/event-stream, open until the client disconnects
+ */
+exports.streamNotifications = (req, res) => {
+    openStream(req, res, userChannel(req.user.username));
+};
+
+module.exports = exports;
@@ -0,0 +1,155 @@
+const db = require('../config/db');
+const { POL_LEANS, takeLikes, likeTotals } = require('../utils/likes');
+const { visibilityCondition } = require('../utils/moderation');
+const { SERVER_ERROR, sendError } = require('../utils/errors');
+
+const dotenv = require('dotenv');
+dotenv.config();
+
+/**
+ * Turn rows of { polLean, count } into an object keyed by political leaning
+ * 
+ * @param {Array<object>} rows - Grouped query rows
+ * @returns {object} Counts keyed by political leaning, zero for missing leanings
+ */
+const countsByLean = (rows) => {
+    const counts = {};
+    POL_LEANS.forEach(lean => {
+        counts[lean] = 0;
+    });
+    rows.forEach(row => {
+        counts[row.polLean] = Number(row.count);
+    });
+    return counts;
+};
+
+/**
+ * List all topics with their post counts, posts hidden by a moderator are not counted
+ * 
+ * @route GET /feed/topics
+ * @returns {object} 200 - Topics ordered by number of posts
+ * @returns {object} 500 - Server error
+ */
+exports.getTopics = async (req, res) => {
+    try {
+        const visibility = visibilityCondition('p', req.user);
+
+        const [topics] = await db.query(`
+            SELECT 
+                t.topicID,
+                t.name,
+                t.slug,
+                COUNT(p.postID) AS postCount,
+                MAX(p.datePosted) AS lastPosted
+            FROM Topics t
+            LEFT JOIN PostTopics pt ON pt.topicID = t.topicID
+            LEFT JOIN PostsData p ON p.postID = pt.postID AND ${visibility.clause}
+            GROUP BY t.topicID, t.name, t.slug
+            ORDER BY postCount DESC, t.name ASC
+        `, visibility.params);
+
+        res.json({
+            success: true,
+            topics
+        });
+    } catch (error) {
+        console.error('Get topics error:', error);
+        sendError(res, 500, SERVER_ERROR, 'Server error while fetching topics');
+    }
+};
+
+/**
+ * Get a topic with its leaning breakdown: who posts about it, who comments on it
+ * and who likes its posts. Posts and comments hidden by a moderator are left out.
+ * 
+ * @route GET /feed/topics/:slug
+ * @param {string} req.params.slug - Topic slug
+ * @returns {object} 200 - Topic details with engagement by political leaning
+ * @returns {object} 404 - Topic not found
+ * @returns {object} 500 - Server error
+ */
+exports.getTopic = async (req, res) => {
+    try {
+        const postVisibility = visibilityCondition('p', req.user);
+        const commentVisibility = visibilityCondition('t', req.user);
+
+        const [topics] = await db.query(`
+            SELECT 
+                t.topicID,
+                t.name,
+                t.slug,
+                COUNT(p.postID) AS postCount
+            FROM Topics t
+            LEFT JOIN PostTopics pt ON pt.topicID = t.topicID
+            LEFT JOIN PostsData p ON p.postID = pt.postID AND ${postVisibility.clause}
+            WHERE t.slug = ?
+            GROUP BY t.topicID, t.name, t.slug
+        `, [...postVisibility.params, req.params.slug]);
+
+        if (topics.length === 0) {
+            return sendError(res, 404, 'TOPIC_NOT_FOUND', 'Topic not found');
+        }
+
+        const topic = topics[0];
+
+        // Likes on the topic's posts, summed per leaning
+        const [likeRows] = await db.query(`
+            SELECT ${POL_LEANS.map(lean => `COALESCE(SUM(lc.${lean}), 0) AS like${lean}`).join(', ')}
+            FROM PostTopics pt
+            JOIN PostsData p ON p.postID = pt.postID
+            JOIN LikeCounts lc ON lc.entityType = 'POST' AND lc.entityID = pt.postID
+            WHERE pt.topicID = ? AND ${postVisibility.clause}
+        `, [topic.topicID, ...postVisibility.params]);
+
+        // Authors of the topic's posts by leaning
+        const [authorRows] = await db.query(`
+            SELECT u.polLean, COUNT(*) AS count
+            FROM PostTopics pt
+            JOIN PostsData p ON p.postID = pt.postID
+            JOIN Users u ON u.username = p.username
+            WHERE pt.topicID = ? AND ${postVisibility.clause}
+            GROUP BY u.polLean
+        `, [topic.topicID, ...postVisibility.params]);
+
+        // Comments anywhere in the topic's threads by leaning of the commenter. The walk goes through
+        // deleted comments, which are only left out of the count, so their replies still count.
+        const [commentRows] = await db.query(`
+            WITH RECURSIVE thread AS (
+                SELECT c.commentID, c.username, c.isDeleted, c.isHidden
+                FROM PostTopics pt
+                JOIN PostsData p ON p.postID = pt.postID
+                JOIN Comments c ON c.entityType = 'POST' AND c.entityID = pt.postID
+                WHERE pt.topicID = ? AND ${postVisibility.clause}
+                UNION ALL
+                SELECT c.commentID, c.username, c.isDeleted, c.isHidden
+                FROM Comments c
+                JOIN thread t ON c.entityType = 'COMMENT' AND c.entityID = t.commentID
+            )
+            SELECT u.polLean, COUNT(*) AS count
+            FROM thread t
+            JOIN Users u ON u.username = t.username
+            WHERE t.isDeleted = FALSE AND ${commentVisibility.clause}
+            GROUP BY u.polLean
+        `, [topic.topicID, ...postVisibility.params, ...commentVisibility.params]);
+
+        const likes = takeLikes(likeRows[0]);
+
+        res.json({
+            success: true,
+            topic: {
+                ...topic,
+                engagement: {
+                    likes,
+                    ...likeTotals(likes),
+                    posts: countsByLean(authorRows),
+                    comments: countsByLean(commentRows)
+                }
+            }
+        });
+    } catch (error) {
+        console.error('Get topic error:', error);
+        sendError(res, 500, SERVER_ERROR, 'Server error while fetching topic');
+    }
+};
+
+module.exports = exports;
@@ -0,0 +1,469 @@
+const db = require('../config/db');
+const { POL_LEANS, REACTIONS, likeCountColumns, takeLikes, likeTotals, likedMostlyBy } = require('../utils/likes');
+const { attachTopics } = require('../utils/topics');
+const { attachCommentCounts } = require('../utils/comments');
+const { visibilityCondition } = require('../utils/moderation');
+const { emptyReactions, respectedByOtherSide, attachReactions } = require('../utils/reactions');
+const { attachSources } = require('../utils/sources');
+const { attachSaved } = require('../utils/saved');
+const { SERVER_ERROR, sendError } = require('../utils/errors');
+
+const dotenv = require('dotenv');
+dotenv.config();
+
+/**
+ * Get the public fields of a user
+ *
+ * @param {string} username - Username
+ * @returns {Promise<object|null>} User, or null if the user doesn't exist
+ */
+const getPublicUser = async (username) => {
+    const [users] = await db.query(
+        'SELECT username, firstName, lastName, polLean, dateCreate FROM Users WHERE username = ?',
+        [username]
+    );
+    return users.length > 0 ? users[0] : null;
+};
+
+/**
+ * Read page and limit from the query string
+ *
+ * @param {object} query - req.query
+ * @returns {{page: number, limit: number, offset: number}} Paging values, limit capped at 50
+ */
+const paging = (query) => {
+    const page = Math.max(parseInt(query.page) || 1, 1);
+    const limit = Math.min(Math.max(parseInt(query.limit) || 10, 1), 50);
+    return { page, limit, offset: (page - 1) * limit };
+};
+
+/**
+ * Get the public profile of a user with follower counts and how their content is received
+ * across the leaning spectrum. Reception only counts content everyone can see.
+ *
+ * @route GET /users/:username
+ * @param {string} req.params.username - Username
+ * @param {object} [req.user] - User object from the optional auth middleware
+ * @returns {object} 200 - Public profile
+ * @returns {object} 404 - User not found
+ * @returns {object} 500 - Server error
+ */
+exports.getUser = async (req, res) => {
+    try {
+        const user = await getPublicUser(req.params.username);
+
+        if (!user) {
+            return sendError(res, 404, 'USER_NOT_FOUND', 'User not found');
+        }
+
+        const postVisibility = visibilityCondition('p', req.user);
+        const commentVisibility = visibilityCondition('c', req.user);
+
+        const [counts] = await db.query(`
+            SELECT
+                (SELECT COUNT(*) FROM PostsData p WHERE p.username = ? AND ${postVisibility.clause}) AS postCount,
+                (SELECT COUNT(*) FROM Comments c WHERE c.username = ? AND c.isDeleted = FALSE AND ${commentVisibility.clause}) AS commentCount,
+                (SELECT COUNT(*) FROM Follows WHERE followee = ?) AS followerCount,
+                (SELECT COUNT(*) FROM Follows WHERE follower = ?) AS followingCount
+        `, [
+            user.username, ...postVisibility.params,
+            user.username, ...commentVisibility.params,
+            user.username,
+            user.username
+        ]);
+
+        // Reactions to the user's visible posts and comments, by reaction and leaning
+        const [reactionRows] = await db.query(`
+            SELECT rc.reaction, ${POL_LEANS.map(lean => `SUM(rc.${lean}) AS ${lean}`).join(', ')}
+            FROM ReactionCounts rc
+            WHERE (rc.entityType = 'POST' AND rc.entityID IN (
+                    SELECT postID FROM PostsData WHERE username = ? AND isHidden = FALSE
+                ))
+                OR (rc.entityType = 'COMMENT' AND rc.entityID IN (
+                    SELECT commentID FROM Comments WHERE username = ? AND isDeleted = FALSE AND isHidden = FALSE
+                ))
+            GROUP BY rc.reaction
+        `, [user.username, user.username]);
+
+        // Likes by leaning, from the same content
+        const [likeRows] = await db.query(`
+            SELECT ${POL_LEANS.map(lean => `COALESCE(SUM(lc.${lean}), 0) AS like${lean}`).join(', ')}
+            FROM LikeCounts lc
+            WHERE (lc.entityType = 'POST' AND lc.entityID IN (
+                    SELECT postID FROM PostsData WHERE username = ? AND isHidden = FALSE
+                ))
+                OR (lc.entityType = 'COMMENT' AND lc.entityID IN (
+                    SELECT commentID FROM Comments WHERE username = ? AND isDeleted = FALSE AND isHidden = FALSE
+                ))
+        `, [user.username, user.username]);
+
+        const reactions = emptyReactions();
+        reactionRows.forEach(row => {
+            POL_LEANS.forEach(lean => {
+                reactions[row.reaction][lean] = Number(row[lean]) || 0;
+            });
+        });
+
+        const likes = takeLikes(likeRows[0]);
+
+        let isFollowing = null;
+        if (req.user) {
+            const [follows] = await db.query(
+                'SELECT 1 FROM Follows WHERE follower = ? AND followee = ?',
+                [req.user.username, user.username]
+            );
+            isFollowing = follows.length > 0;
+        }
+
+        res.json({
+            success: true,
+            user: {
+                ...user,
+                ...counts[0],
+                isFollowing,
+                reception: {
+                    likes,
+                    ...likeTotals(likes),
+                    likedMostlyBy: likedMostlyBy(likes),
+                    reactions,
+                    reactionTotals: Object.fromEntries(REACTIONS.map(reaction => [
+                        reaction,
+                        Object.values(reactions[reaction]).reduce((sum, count) => sum + count, 0)
+                    ])),
+                    respectedByOtherSide: respectedByOtherSide(user.polLean, reactions)
+                }
+            }
+        });
+    } catch (error) {
+        console.error('Get user error:', error);
+        sendError(res, 500, SERVER_ERROR, 'Server error while fetching user');
+    }
+};
+
+/**
+ * Get the posts of a user, newest first
+ *
+ * @route GET /users/:username/posts
+ * @param {string} req.params.username - Username
+ * @param {number} [req.query.page=1] - Page number
+ * @param {number} [req.query.limit=10] - Posts per page (max 50)
+ * @param {object} [req.user] - User object from the optional auth middleware
+ * @returns {object} 200 - Posts with pagination info
+ * @returns {object} 404 - User not found
+ * @returns {object} 500 - Server error
+ */
+exports.getUserPosts = async (req, res) => {
+    try {
+        const { page, limit, offset } = paging(req.query);
+        const user = await getPublicUser(req.params.username);
+
+        if (!user) {
+            return sendError(res, 404, 'USER_NOT_FOUND', 'User not found');
+        }
+
+        const visibility = visibilityCondition('p', req.user);
+
+        const [posts] = await db.query(`
+            SELECT
+                p.postID,
+                p.title,
+                p.body,
+                p.sources,
+                p.datePosted,
+                p.dateEdited,
+                p.isHidden,
+                p.isLocked,
+                u.username,
+                u.polLean,
+                ${likeCountColumns('lc')}
+            FROM PostsData p
+            JOIN Users u ON p.username = u.username
+            LEFT JOIN LikeCounts lc ON lc.entityType = 'POST' AND lc.entityID = p.postID
+            WHERE p.username = ? AND ${visibility.clause}
+            ORDER BY p.datePosted DESC, p.postID DESC
+            LIMIT ? OFFSET ?
+        `, [user.username, ...visibility.params, limit, offset]);
+
+        for (const post of posts) {
+            post.edited = post.dateEdited !== null;
+            post.isHidden = Boolean(post.isHidden);
+            post.isLocked = Boolean(post.isLocked);
+            post.likes = takeLikes(post);
+            Object.assign(post, likeTotals(post.likes));
+        }
+
+        await attachCommentCounts(posts);
+        await attachTopics(posts);
+        await attachReactions('POST', posts, 'postID');
+        await attachSources('POST', posts, 'postID');
+        await attachSaved('POST', posts, 'postID', req.user);
+
+        const [countResult] = await db.query(
+            `SELECT COUNT(*) AS total FROM PostsData p WHERE p.username = ? AND ${visibility.clause}`,
+            [user.username, ...visibility.params]
+        );
+        const totalPosts = countResult[0].total;
+
+        res.json({
+            success: true,
+            username: user.username,
+            currentPage: page,
+            totalPages: Math.ceil(totalPosts / limit),
+            totalPosts,
+            postsPerPage: limit,
+            posts
+        });
+    } catch (error) {
+        console.error('Get user posts error:', error);
+        sendError(res, 500, SERVER_ERROR, 'Server error while fetching user posts');
+    }
+};
+
+/**
+ * Get the comments of a user, newest first, each with the post it belongs to.
+ * Comments under posts the requester can't see are left out.
+ *
+ * @route GET /users/:username/comments
+ * @param {string} req.params.username - Username
+ * @param {number} [req.query.page=1] - Page number
+ * @param {number} [req.query.limit=10] - Comments per page (max 50)
+ * @param {object} [req.user] - User object from the optional auth middleware
+ * @returns {object} 200 - Comments with pagination info
+ * @returns {object} 404 - User not found
+ * @returns {object} 500 - Server error
+ */
+exports.getUserComments = async (req, res) => {
+    try {
+        const { page, limit, offset } = paging(req.query);
+        const user = await getPublicUser(req.params.username);
+
+        if (!user) {
+            return sendError(res, 404, 'USER_NOT_FOUND', 'User not found');
+        }
+
+        const commentVisibility = visibilityCondition('c', req.user);
+        const postVisibility = visibilityCondition('p', req.user);
+
+        // Walk up from each of the user's comments to the post of its thread
+        const userComments = `
+            WITH RECURSIVE ancestry AS (
+                SELECT c.commentID AS startID, c.entityType, c.entityID
+                FROM Comments c
+                WHERE c.username = ? AND c.isDeleted = FALSE AND ${commentVisibility.clause}
+                UNION ALL
+                SELECT a.startID, parent.entityType, parent.entityID
+                FROM ancestry a
+                JOIN Comments parent ON a.entityType = 'COMMENT' AND parent.commentID = a.entityID
+            ),
+            userComments AS (
+                SELECT a.startID AS commentID, p.postID, p.title AS postTitle
+                FROM ancestry a
+                JOIN PostsData p ON a.entityType = 'POST' AND p.postID = a.entityID
+                WHERE ${postVisibility.clause}
+            )`;
+        const params = [user.username, ...commentVisibility.params, ...postVisibility.params];
+
+        const [comments] = await db.query(`
+            ${userComments}
+            SELECT
+                c.commentID,
+                c.entityType,
+                c.entityID,
+                uc.postID,
+                uc.postTitle,
+                c.body,
+                c.datePosted,
+                c.dateEdited,
+                c.isHidden,
+                u.username,
+                u.polLean,
+                ${likeCountColumns('lc')}
+            FROM userComments uc
+            JOIN Comments c ON c.commentID = uc.commentID
+            JOIN Users u ON u.username = c.username
+            LEFT JOIN LikeCounts lc ON lc.entityType = 'COMMENT' AND lc.entityID = c.commentID
+            ORDER BY c.datePosted DESC, c.commentID DESC
+            LIMIT ? OFFSET ?
+        `, [...params, limit, offset]);
+
+        for (const comment of comments) {
+            comment.edited = comment.dateEdited !== null;
+            comment.isHidden = Boolean(comment.isHidden);
+            comment.likes = takeLikes(comment);
+            comment.totalLikes = likeTotals(comment.likes).totalLikes;
+        }
+
+        await attachReactions('COMMENT', comments, 'commentID');
+        await attachSources('COMMENT', comments, 'commentID');
+        await attachSaved('COMMENT', comments, 'commentID', req.user);
+
+        const [countResult] = await db.query(`
+            ${userComments}
+            SELECT COUNT(*) AS total FROM userComments
+        `, params);
+        const totalComments = countResult[0].total;
+
+        res.json({
+            success: true,
+            username: user.username,
+            currentPage: page,
+            totalPages: Math.ceil(totalComments / limit),
+            totalComments,
+            commentsPerPage: limit,
+            comments
+        });
+    } catch (error) {
+        console.error('Get user comments error:', error);
+        sendError(res, 500, SERVER_ERROR, 'Server error while fetching user comments');
+    }
+};
+
+/**
+ * List the followers of a user, or the users they follow, most recent first
+ *
+ * @param {string} direction - 'followers' or 'following'
+ * @returns {Function} Express handler
+ */
+const listFollows = (direction) => async (req, res) => {
+    try {
+        const { page, limit, offset } = paging(req.query);
+        const user = await getPublicUser(req.params.username);
+
+        if (!user) {
+            return sendError(res, 404, 'USER_NOT_FOUND', 'User not found');
+        }
+
+        // followers: rows where the user is followed, listing the follower; following: the other way round
+        const [matchColumn, listColumn] = direction === 'followers' ? ['followee', 'follower'] : ['follower', 'followee'];
+
+        const [users] = await db.query(`
+            SELECT u.username, u.firstName, u.lastName, u.polLean, f.dateFollowed
+            FROM Follows f
+            JOIN Users u ON u.username = f.${listColumn}
+            WHERE f.${matchColumn} = ?
+            ORDER BY f.dateFollowed DESC, u.username ASC
+            LIMIT ? OFFSET ?
+        `, [user.username, limit, offset]);
+
+        const [countResult] = await db.query(
+            `SELECT COUNT(*) AS total FROM Follows WHERE ${matchColumn} = ?`,
+            [user.username]
+        );
+        const totalUsers = countResult[0].total;
+
+        res.json({
+            success: true,
+            username: user.username,
+            currentPage: page,
+            totalPages: Math.ceil(totalUsers / limit),
+            totalUsers,
+            usersPerPage: limit,
+            [direction]: users
+        });
+    } catch (error) {
+        console.error(`Get ${direction} error:`, error);
+        sendError(res, 500, SERVER_ERROR, `Server error while fetching ${direction}`);
+    }
+};
+
+/**
+ * List the followers of a user
+ *
+ * @route GET /users/:username/followers
+ * @param {string} req.params.username - Username
+ * @param {number} [req.query.page=1] - Page number
+ * @param {number} [req.query.limit=10] - Users per page (max 50)
+ * @returns {object} 200 - Followers with pagination info
+ * @returns {object} 404 - User not found
+ * @returns {object} 500 - Server error
+ */
+exports.getFollowers = listFollows('followers');
+
+/**
+ * List the users a user follows
+ *
+ * @route GET /users/:username/following
+ * @param {string} req.params.username - Username
+ * @param {number} [req.query.page=1] - Page number
+ * @param {number} [req.query.limit=10] - Users per page (max 50)
+ * @returns {object} 200 - Followed users with pagination info
+ * @returns {object} 404 - User not found
+ * @returns {object} 500 - Server error
+ */
+exports.getFollowing = listFollows('following');
+
+/**
+ * Follow a user
+ *
+ * @route POST /users/:username/follow
+ * @param {string} req.params.username - User to follow
+ * @param {object} req.user - User object from auth middleware
+ * @returns {object} 201 - Following the user, with their new follower count
+ * @returns {object} 400 - Trying to follow yourself
+ * @returns {object} 404 - User not found
+ * @returns {object} 409 - Already following
+ * @returns {object} 500 - Server error
+ */
+exports.follow = async (req, res) => {
+    try {
+        const [result] = await db.query(
+            'CALL followUser(?, ?)',
+            [req.user.username, req.params.username]
+        );
+
+        res.status(201).json({
+            success: true,
+            message: 'You are now following this user',
+            username: req.params.username,
+            followerCount: result[0][0].followerCount
+        });
+    } catch (error) {
+        if (error.message.includes('Invalid Username')) {
+            return sendError(res, 404, 'USER_NOT_FOUND', 'User not found');
+        }
+        if (error.message.includes('Cannot Follow Yourself')) {
+            return sendError(res, 400, 'CANNOT_FOLLOW_SELF', 'You cannot follow yourself');
+        }
+        if (error.message.includes('Already Following')) {
+            return sendError(res, 409, 'ALREADY_FOLLOWING', 'You are already following this user');
+        }
+
+        console.error('Follow user error:', error);
+        sendError(res, 500, SERVER_ERROR, 'Server error while following user');
+    }
+};
+
+/**
+ * Stop following a user
+ *
+ * @route DELETE /users/:username/follow
+ * @param {string} req.params.username - User to unfollow
+ * @param {object} req.user - User object from auth middleware
+ * @returns {object} 200 - No longer following the user, with their new follower count
+ * @returns {object} 404 - Not following the user
+ * @returns {object} 500 - Server error
+ */
+exports.unfollow = async (req, res) => {
+    try {
+        const [result] = await db.query(
+            'CALL unfollowUser(?, ?)',
+            [req.user.username, req.params.username]
+        );
+
+        res.json({
+            success: true,
+            message: 'You are no longer following this user',
+            username: req.params.username,
+            followerCount: result[0][0].followerCount
+        });
+    } catch (error) {
+        if (error.message.includes('Not Following')) {
+            return sendError(res, 404, 'NOT_FOLLOWING', 'You are not following this user');
+        }
+
+        console.error('Unfollow user error:', error);
+        sendError(res, 500, SERVER_ERROR, 'Server error while unfollowing user');
+    }
+};
+
+module.exports = exports;
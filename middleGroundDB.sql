@@ -12,6 +12,7 @@ CREATE TABLE Users (
     passHash VARCHAR(255) NOT NULL, -- Hashed password for security
     polLean ENUM('FL', 'L', 'SL', 'M', 'SR', 'R', 'FR') NOT NULL, -- Political leaning of the user
     accVerify BOOLEAN DEFAULT FALSE, -- Account verification status
+    suspendedUntil TIMESTAMP NULL DEFAULT NULL, -- Set by a moderator, the user can't log in before this time
     dateCreate TIMESTAMP DEFAULT CURRENT_TIMESTAMP
 );
 
@@ -21,8 +22,11 @@ CREATE TABLE PostsData (
     username VARCHAR(50) NOT NULL, -- Username of the user who created the post
     title VARCHAR(255) NOT NULL, -- Title of the post
     body TEXT NOT NULL, -- Content of the post
-    sources TEXT NULL, -- Optional sources for the post
+    sources TEXT NULL, -- Optional sources for the post, the URLs of its Sources rows as comma-separated text
     datePosted TIMESTAMP DEFAULT CURRENT_TIMESTAMP, 
+    dateEdited TIMESTAMP NULL DEFAULT NULL, -- Set when the author edits the post, NULL if never edited
+    isHidden BOOLEAN DEFAULT FALSE, -- TRUE when a moderator hid the post, only its author and moderators still see it
+    isLocked BOOLEAN DEFAULT FALSE, -- TRUE when a moderator locked the thread, no new comments or replies
     FOREIGN KEY (username) REFERENCES Users(username) ON DELETE CASCADE -- links the posts username to the Users table
 );
 
@@ -34,6 +38,9 @@ CREATE TABLE Comments (
     username VARCHAR(50) NOT NULL, -- Username of the user who created the comment
     body TEXT NOT NULL, -- Content of the comment
     datePosted TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    dateEdited TIMESTAMP NULL DEFAULT NULL, -- Set when the author edits the comment, NULL if never edited
+    isDeleted BOOLEAN DEFAULT FALSE, -- TRUE when the comment was deleted but kept as a placeholder for its replies
+    isHidden BOOLEAN DEFAULT FALSE, -- TRUE when a moderator hid the comment, only its author and moderators still see it
     FOREIGN KEY (username) REFERENCES Users(username) ON DELETE CASCADE, -- links the comments username to the Users table
     CHECK (entityType = 'POST' AND entityID IN (SELECT postID FROM PostsData) OR entityType = 'COMMENT' AND entityID IN (SELECT commentID FROM Comments)), -- Ensure entityID exists in the corresponding table
 );
@@ -45,7 +52,9 @@ CREATE TABLE Likes (
     entityType ENUM('POST', 'COMMENT') NOT NULL, -- Type of entity being liked (post or comment)
     entityID INT NOT NULL, -- ID of the post or comment being liked *CANNOT GO BASED ON THIS, MUST USE BOTH ENTITY TYPE AND ENTITY ID*
     polLean ENUM('FL', 'L', 'SL', 'M', 'SR', 'R', 'FR') NOT NULL, -- Political leaning of the user who liked the post or comment
+    reaction ENUM('agree', 'respect', 'insightful', 'needs_source') NOT NULL DEFAULT 'agree', -- Kind of reaction, the user can change it; every kind but needs_source counts as a like
     dateLiked TIMESTAMP DEFAULT CURRENT_TIMESTAMP, -- Timestamp of when the like was made
+    brigadeAlertID INT NULL DEFAULT NULL, -- Set when the like was flagged as part of a suspected brigade (BrigadeAlerts)
     UNIQUE KEY unique_like (username, entityType, entityID), -- Prevent duplicate likes
     FOREIGN KEY (username) REFERENCES Users(username) ON DELETE CASCADE
 );
@@ -56,6 +65,333 @@ CREATE INDEX idx_datePosted_comments ON Comments(datePosted); -- Index for faste
 CREATE INDEX idx_likes_entity ON Likes(entityType, entityID); -- Index for faster retrieval of likes by entity type and ID
 CREATE INDEX idx_likes_user ON Likes(username); -- Index for faster retrieval of likes by user
 
+-- Step 7: Create the PostRevisions table
+-- Every edit stores the version it replaced, so readers can see what a post said when it was liked
+CREATE TABLE PostRevisions (
+    revisionID INT AUTO_INCREMENT PRIMARY KEY, -- default Unique identifier for each revision
+    postID INT NOT NULL, -- ID of the post this revision belongs to
+    revisionNumber INT NOT NULL, -- 1 for the original version, incremented with every edit
+    title VARCHAR(255) NOT NULL, -- Title as it was before the edit
+    body TEXT NOT NULL, -- Content as it was before the edit
+    sources TEXT NULL, -- Sources as they were before the edit
+    likesAtRevision INT NOT NULL DEFAULT 0, -- Total likes the post had when this version was replaced
+    dateRevised TIMESTAMP DEFAULT CURRENT_TIMESTAMP, -- When this version was replaced
+    UNIQUE KEY unique_revision (postID, revisionNumber), -- One row per version of a post
+    FOREIGN KEY (postID) REFERENCES PostsData(postID) ON DELETE CASCADE
+);
+
+-- Step 8: Create the LikeCounts table
+-- Precomputed like counts per entity and political leaning, kept in sync by setReaction/removeLike
+-- Only reactions that count as a like are counted (every reaction but needs_source), see ReactionCounts for all of them
+-- Rebuild from Likes with: CALL rebuildLikeCounts(FALSE); (or npm run likes:rebuild)
+CREATE TABLE LikeCounts (
+    entityType ENUM('POST', 'COMMENT') NOT NULL, -- Type of entity the counts belong to
+    entityID INT NOT NULL, -- ID of the post or comment
+    FL INT NOT NULL DEFAULT 0, -- Likes from Far Left users
+    L INT NOT NULL DEFAULT 0, -- Likes from Left users
+    SL INT NOT NULL DEFAULT 0, -- Likes from Slightly Left users
+    M INT NOT NULL DEFAULT 0, -- Likes from Middle users
+    SR INT NOT NULL DEFAULT 0, -- Likes from Slightly Right users
+    R INT NOT NULL DEFAULT 0, -- Likes from Right users
+    FR INT NOT NULL DEFAULT 0, -- Likes from Far Right users
+    leftLikes INT AS (FL + L + SL) STORED, -- Likes from the left side of the spectrum
+    rightLikes INT AS (SR + R + FR) STORED, -- Likes from the right side of the spectrum
+    totalLikes INT AS (FL + L + SL + M + SR + R + FR) STORED, -- All likes
+    PRIMARY KEY (entityType, entityID)
+);
+
+CREATE INDEX idx_likecounts_total ON LikeCounts(entityType, totalLikes); -- Index for sorting by engagement
+
+-- Step 9: Add Full-Text Indexes for Search
+CREATE FULLTEXT INDEX ft_posts ON PostsData(title, body, sources); -- Index for searching post titles, bodies and sources
+CREATE FULLTEXT INDEX ft_comments ON Comments(body); -- Index for searching comment bodies
+
+-- Step 10: Create the Topics and PostTopics tables
+CREATE TABLE Topics (
+    topicID INT AUTO_INCREMENT PRIMARY KEY, -- default Unique identifier for each topic
+    name VARCHAR(50) NOT NULL, -- Display name of the topic, e.g. 'Green Energy'
+    slug VARCHAR(60) NOT NULL UNIQUE, -- URL-friendly name used in filters, e.g. 'green-energy'
+    dateCreated TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE TABLE PostTopics (
+    postID INT NOT NULL, -- ID of the post
+    topicID INT NOT NULL, -- ID of the topic the post is about
+    PRIMARY KEY (postID, topicID), -- A post carries each topic once
+    FOREIGN KEY (postID) REFERENCES PostsData(postID) ON DELETE CASCADE,
+    FOREIGN KEY (topicID) REFERENCES Topics(topicID) ON DELETE CASCADE
+);
+
+CREATE INDEX idx_posttopics_topic ON PostTopics(topicID); -- Index for faster retrieval of posts by topic
+
+-- Step 11: Create the EmailVerifications table
+CREATE TABLE EmailVerifications (
+    tokenHash CHAR(64) PRIMARY KEY, -- SHA-256 hash of the token sent by email, the raw token is never stored
+    username VARCHAR(50) NOT NULL, -- User the token verifies
+    expiresAt TIMESTAMP NOT NULL, -- Token can't be used after this time
+    dateCreated TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    FOREIGN KEY (username) REFERENCES Users(username) ON DELETE CASCADE
+);
+
+CREATE INDEX idx_emailverifications_user ON EmailVerifications(username); -- Index for finding a user's tokens
+
+-- Step 12: Create the PasswordResets table
+CREATE TABLE PasswordResets (
+    tokenHash CHAR(64) PRIMARY KEY, -- SHA-256 hash of the token sent by email, the raw token is never stored
+    username VARCHAR(50) NOT NULL, -- User whose password the token resets
+    expiresAt TIMESTAMP NOT NULL, -- Token can't be used after this time
+    usedAt TIMESTAMP NULL DEFAULT NULL, -- Set when the token is used, tokens are single use
+    dateCreated TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    FOREIGN KEY (username) REFERENCES Users(username) ON DELETE CASCADE
+);
+
+CREATE INDEX idx_passwordresets_user ON PasswordResets(username); -- Index for finding a user's tokens
+
+-- Step 13: Create the Sessions and RefreshTokens tables
+-- A session is one login on one device; access tokens carry its ID and generation
+CREATE TABLE Sessions (
+    sessionID CHAR(36) PRIMARY KEY, -- Random UUID, stored in the access token as 'sid'
+    username VARCHAR(50) NOT NULL, -- User the session belongs to
+    generation INT NOT NULL DEFAULT 1, -- Bumped on every refresh, access tokens from older generations are rejected
+    userAgent VARCHAR(255) NULL, -- Client that created the session, shown in the session list
+    ipAddress VARCHAR(45) NULL, -- IP address that created the session
+    dateCreated TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    lastUsed TIMESTAMP DEFAULT CURRENT_TIMESTAMP, -- Last login or refresh
+    expiresAt TIMESTAMP NOT NULL, -- Session can't be refreshed after this time, extended on every refresh
+    revokedAt TIMESTAMP NULL DEFAULT NULL, -- Set on logout, password reset or refresh token reuse
+    revokeReason VARCHAR(30) NULL, -- Why the session was revoked (logout, logout_all, password_reset, token_reuse, suspended)
+    FOREIGN KEY (username) REFERENCES Users(username) ON DELETE CASCADE
+);
+
+CREATE INDEX idx_sessions_user ON Sessions(username); -- Index for listing a user's sessions
+
+CREATE TABLE RefreshTokens (
+    tokenHash CHAR(64) PRIMARY KEY, -- SHA-256 hash of the refresh token, the raw token is never stored
+    sessionID CHAR(36) NOT NULL, -- Session the token refreshes
+    usedAt TIMESTAMP NULL DEFAULT NULL, -- Set when the token is rotated; presenting it again revokes the session
+    dateCreated TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    FOREIGN KEY (sessionID) REFERENCES Sessions(sessionID) ON DELETE CASCADE
+);
+
+-- Step 14: Create the UserRoles table
+-- Every user implicitly has the 'user' role, only extra roles are stored
+CREATE TABLE UserRoles (
+    username VARCHAR(50) NOT NULL, -- User holding the role
+    role ENUM('researcher', 'moderator', 'admin') NOT NULL, -- Granted role
+    grantedBy VARCHAR(50) NULL, -- Admin who granted the role, NULL when seeded
+    dateGranted TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    PRIMARY KEY (username, role), -- A user holds each role once
+    FOREIGN KEY (username) REFERENCES Users(username) ON DELETE CASCADE
+);
+
+-- Step 15: Create the Reports table
+-- Users flag posts and comments; open reports form the moderation queue
+CREATE TABLE Reports (
+    reportID INT AUTO_INCREMENT PRIMARY KEY,
+    reporter VARCHAR(50) NOT NULL, -- User who filed the report
+    entityType ENUM('POST', 'COMMENT') NOT NULL, -- Type of the reported content
+    entityID INT NOT NULL, -- ID of the reported post or comment
+    reason ENUM('misinformation', 'harassment', 'spam') NOT NULL, -- Report category
+    details VARCHAR(500) NULL, -- Optional explanation from the reporter
+    status ENUM('open', 'dismissed', 'actioned') NOT NULL DEFAULT 'open', -- Set when a moderator handles the content
+    reviewedBy VARCHAR(50) NULL, -- Moderator who handled the report
+    dateReported TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    dateReviewed TIMESTAMP NULL DEFAULT NULL,
+    UNIQUE (reporter, entityType, entityID), -- A user reports the same content once
+    FOREIGN KEY (reporter) REFERENCES Users(username) ON DELETE CASCADE
+);
+
+CREATE INDEX idx_reports_queue ON Reports(status, entityType, entityID); -- Index for grouping the open queue
+
+-- Step 16: Create the ModerationLog table
+-- Audit log of every moderator action, entries are never updated or removed
+CREATE TABLE ModerationLog (
+    logID INT AUTO_INCREMENT PRIMARY KEY,
+    moderator VARCHAR(50) NOT NULL, -- Moderator who took the action
+    action ENUM('dismiss', 'hide', 'unhide', 'lock', 'unlock', 'suspend', 'unsuspend', 'dismiss_brigade', 'remove_likes') NOT NULL,
+    entityType ENUM('POST', 'COMMENT') NULL, -- Content the action was taken on, NULL for actions on a user only
+    entityID INT NULL,
+    targetUser VARCHAR(50) NULL, -- Author of the content, or the suspended user
+    reason VARCHAR(500) NULL, -- Note from the moderator
+    suspendedUntil TIMESTAMP NULL DEFAULT NULL, -- End of the suspension for 'suspend'
+    reportsResolved INT NOT NULL DEFAULT 0, -- Number of open reports closed by the action
+    dateActioned TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE INDEX idx_moderationlog_entity ON ModerationLog(entityType, entityID); -- Index for the history of a post or comment
+CREATE INDEX idx_moderationlog_user ON ModerationLog(targetUser); -- Index for the history of a user
+
+-- Step 17: Create the BrigadeAlerts table
+-- A burst of likes from new accounts of one leaning on the same post or comment; the likes are flagged for review
+CREATE TABLE BrigadeAlerts (
+    alertID INT AUTO_INCREMENT PRIMARY KEY,
+    entityType ENUM('POST', 'COMMENT') NOT NULL, -- Type of the liked content
+    entityID INT NOT NULL, -- ID of the liked post or comment
+    polLean ENUM('FL', 'L', 'SL', 'M', 'SR', 'R', 'FR') NOT NULL, -- Leaning of the flagged likes
+    likeCount INT NOT NULL DEFAULT 0, -- Number of flagged likes
+    status ENUM('open', 'dismissed', 'removed') NOT NULL DEFAULT 'open', -- 'removed' when a moderator deleted the flagged likes
+    reviewedBy VARCHAR(50) NULL, -- Moderator who reviewed the alert
+    dateDetected TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    lastFlagged TIMESTAMP DEFAULT CURRENT_TIMESTAMP, -- Last time likes were added to the alert
+    dateReviewed TIMESTAMP NULL DEFAULT NULL
+);
+
+CREATE INDEX idx_brigadealerts_entity ON BrigadeAlerts(entityType, entityID, polLean, status); -- Index for finding the open alert of a burst
+CREATE INDEX idx_likes_brigade ON Likes(brigadeAlertID); -- Index for the likes of an alert
+
+-- Step 18: Create the LeaningHistory table
+-- One row per leaning a user has had; likes keep the leaning from when they were made (Likes.polLean)
+CREATE TABLE LeaningHistory (
+    historyID INT AUTO_INCREMENT PRIMARY KEY,
+    username VARCHAR(50) NOT NULL, -- User whose leaning changed
+    polLean ENUM('FL', 'L', 'SL', 'M', 'SR', 'R', 'FR') NOT NULL, -- Leaning from dateChanged on
+    previousLean ENUM('FL', 'L', 'SL', 'M', 'SR', 'R', 'FR') NULL, -- Leaning before the change, NULL for the one chosen at registration
+    dateChanged TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    FOREIGN KEY (username) REFERENCES Users(username) ON DELETE CASCADE
+);
+
+CREATE INDEX idx_leaninghistory_user ON LeaningHistory(username, dateChanged); -- Index for a user's history and cooldown
+
+-- Step 19: Create the ReactionCounts table
+-- Precomputed reaction counts per entity, reaction and political leaning, kept in sync with Likes like LikeCounts
+CREATE TABLE ReactionCounts (
+    entityType ENUM('POST', 'COMMENT') NOT NULL, -- Type of entity the counts belong to
+    entityID INT NOT NULL, -- ID of the post or comment
+    reaction ENUM('agree', 'respect', 'insightful', 'needs_source') NOT NULL, -- Kind of reaction counted
+    FL INT NOT NULL DEFAULT 0, -- Reactions from Far Left users
+    L INT NOT NULL DEFAULT 0, -- Reactions from Left users
+    SL INT NOT NULL DEFAULT 0, -- Reactions from Slightly Left users
+    M INT NOT NULL DEFAULT 0, -- Reactions from Middle users
+    SR INT NOT NULL DEFAULT 0, -- Reactions from Slightly Right users
+    R INT NOT NULL DEFAULT 0, -- Reactions from Right users
+    FR INT NOT NULL DEFAULT 0, -- Reactions from Far Right users
+    leftCount INT AS (FL + L + SL) STORED, -- Reactions from the left side of the spectrum
+    rightCount INT AS (SR + R + FR) STORED, -- Reactions from the right side of the spectrum
+    total INT AS (FL + L + SL + M + SR + R + FR) STORED, -- All reactions of this kind
+    PRIMARY KEY (entityType, entityID, reaction)
+);
+
+-- Step 20: Create the Sources table
+-- Sources cited by posts and comments, one row per link; PostsData.sources keeps the URLs as text for search
+CREATE TABLE Sources (
+    sourceID INT AUTO_INCREMENT PRIMARY KEY,
+    entityType ENUM('POST', 'COMMENT') NOT NULL, -- Type of the citing content
+    entityID INT NOT NULL, -- ID of the citing post or comment
+    position TINYINT NOT NULL, -- Order in which the author listed the source, from 1
+    url VARCHAR(2048) NOT NULL, -- Validated http(s) link
+    domain VARCHAR(255) NOT NULL, -- Host of the link, lowercase without "www."
+    title VARCHAR(200) NULL -- Optional title given by the author
+);
+
+CREATE INDEX idx_sources_entity ON Sources(entityType, entityID, position); -- Index for the sources of a post or comment
+CREATE INDEX idx_sources_domain ON Sources(domain); -- Index for finding content citing a domain
+
+-- Step 21: Create the SourceDomains table
+-- Locally maintained registry rating the domains sources link to; domains not listed are 'unknown'.
+-- An entry also covers every subdomain ("gov" covers "census.gov"), the most specific entry wins
+CREATE TABLE SourceDomains (
+    domain VARCHAR(255) PRIMARY KEY, -- Domain or domain suffix, lowercase without "www."
+    category ENUM('primary', 'news', 'blog') NOT NULL, -- primary: government and other original sources
+    name VARCHAR(100) NULL, -- Display name, e.g. "U.S. Census Bureau"
+    updatedBy VARCHAR(50) NULL, -- Admin who last changed the entry, NULL when seeded
+    dateUpdated TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP
+);
+
+-- Step 22: Create the Follows table
+-- Users following other users, for the "following" feed
+CREATE TABLE Follows (
+    follower VARCHAR(50) NOT NULL, -- User who follows
+    followee VARCHAR(50) NOT NULL, -- User being followed
+    dateFollowed TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    PRIMARY KEY (follower, followee), -- A user follows another user once
+    FOREIGN KEY (follower) REFERENCES Users(username) ON DELETE CASCADE,
+    FOREIGN KEY (followee) REFERENCES Users(username) ON DELETE CASCADE
+);
+
+CREATE INDEX idx_follows_followee ON Follows(followee, dateFollowed); -- Index for listing and counting followers
+
+-- Step 23: Create the Notifications table
+-- Replies, likes and mentions for a user. Likes on the same post or comment are grouped
+-- into one notification while it is unread.
+CREATE TABLE Notifications (
+    notificationID INT AUTO_INCREMENT PRIMARY KEY,
+    recipient VARCHAR(50) NOT NULL, -- User who is notified
+    type ENUM('reply', 'like', 'mention') NOT NULL,
+    entityType ENUM('POST', 'COMMENT') NOT NULL, -- The reply, the liked content or the content with the mention
+    entityID INT NOT NULL,
+    postID INT NOT NULL, -- Post of the thread, for linking to it
+    actor VARCHAR(50) NOT NULL, -- Latest user who acted, the others are in NotificationActors
+    isRead BOOLEAN NOT NULL DEFAULT FALSE,
+    dateCreated TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    dateUpdated TIMESTAMP DEFAULT CURRENT_TIMESTAMP, -- Time of the latest like in a group
+    FOREIGN KEY (recipient) REFERENCES Users(username) ON DELETE CASCADE,
+    FOREIGN KEY (actor) REFERENCES Users(username) ON DELETE CASCADE,
+    FOREIGN KEY (postID) REFERENCES PostsData(postID) ON DELETE CASCADE
+);
+
+CREATE INDEX idx_notifications_recipient ON Notifications(recipient, isRead, dateUpdated); -- Index for listing and counting unread notifications
+CREATE INDEX idx_notifications_entity ON Notifications(entityType, entityID); -- Index for grouping likes and cleaning up deleted content
+
+-- Step 24: Create the NotificationActors table
+-- Every user behind a notification with their leaning, so grouped likes can be summarized
+CREATE TABLE NotificationActors (
+    notificationID INT NOT NULL,
+    username VARCHAR(50) NOT NULL,
+    polLean ENUM('FL', 'L', 'SL', 'M', 'SR', 'R', 'FR') NOT NULL, -- Leaning of the user when they acted
+    dateAdded TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    PRIMARY KEY (notificationID, username), -- A user counts once per notification
+    FOREIGN KEY (notificationID) REFERENCES Notifications(notificationID) ON DELETE CASCADE,
+    FOREIGN KEY (username) REFERENCES Users(username) ON DELETE CASCADE
+);
+
+-- Step 25: Create the NotificationPreferences table
+-- Notification types a user turned off; types without a row are on
+CREATE TABLE NotificationPreferences (
+    username VARCHAR(50) NOT NULL,
+    type ENUM('reply', 'like', 'mention') NOT NULL,
+    enabled BOOLEAN NOT NULL DEFAULT TRUE,
+    PRIMARY KEY (username, type),
+    FOREIGN KEY (username) REFERENCES Users(username) ON DELETE CASCADE
+);
+
+-- Step 26: Create the Collections table
+-- Named collections a user organizes saved posts and comments in
+CREATE TABLE Collections (
+    collectionID INT AUTO_INCREMENT PRIMARY KEY,
+    username VARCHAR(50) NOT NULL, -- Owner of the collection
+    name VARCHAR(50) NOT NULL,
+    dateCreated TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    UNIQUE (username, name), -- Names are unique per user
+    FOREIGN KEY (username) REFERENCES Users(username) ON DELETE CASCADE
+);
+
+-- Step 27: Create the SavedItems table
+-- Posts and comments a user saved to come back to, optionally in one of their collections
+CREATE TABLE SavedItems (
+    username VARCHAR(50) NOT NULL,
+    entityType ENUM('POST', 'COMMENT') NOT NULL,
+    entityID INT NOT NULL,
+    collectionID INT NULL, -- NULL when saved outside any collection
+    dateSaved TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    PRIMARY KEY (username, entityType, entityID), -- A user saves an item once
+    FOREIGN KEY (username) REFERENCES Users(username) ON DELETE CASCADE,
+    FOREIGN KEY (collectionID) REFERENCES Collections(collectionID) ON DELETE SET NULL -- Deleting a collection keeps its items saved
+);
+
+CREATE INDEX idx_saveditems_user_date ON SavedItems(username, entityType, dateSaved); -- Index for listing saved items
+CREATE INDEX idx_saveditems_entity ON SavedItems(entityType, entityID); -- Index for cleaning up deleted content
+
+-- Step 28: Create the PostViews table
+-- Posts a signed-in user opened, so the perspective feed can skip what they have already seen
+CREATE TABLE PostViews (
+    username VARCHAR(50) NOT NULL,
+    postID INT NOT NULL,
+    dateViewed TIMESTAMP DEFAULT CURRENT_TIMESTAMP, -- Latest time the user opened the post
+    PRIMARY KEY (username, postID),
+    FOREIGN KEY (username) REFERENCES Users(username) ON DELETE CASCADE,
+    FOREIGN KEY (postID) REFERENCES PostsData(postID) ON DELETE CASCADE
+);
+
 
 -- PROCEDURES:
 
@@ -83,6 +419,10 @@ BEGIN
     ELSE    -- Insert new user
         INSERT INTO Users (username, firstName, lastName, email, passHash, polLean, accVerify)
         VALUES (p_username, p_firstName, p_lastName, p_email, p_passHash, p_polLean, FALSE);
+
+        -- Start the leaning history with the leaning chosen at registration
+        INSERT INTO LeaningHistory (username, polLean)
+        VALUES (p_username, p_polLean);
         
         -- Return success message
         SELECT 'User Created' AS message;
@@ -107,8 +447,8 @@ BEGIN
     INSERT INTO PostsData (username, title, body, sources)
     VALUES (p_username, p_title, p_body, p_sources);
 
-    -- Return success message
-    SELECT 'Post Created' AS message;
+    -- Return success message with the new post ID (LAST_INSERT_ID is per connection)
+    SELECT 'Post Created' AS message, LAST_INSERT_ID() AS postID;
 END $$
 
 DELIMITER ;
@@ -138,42 +478,288 @@ BEGIN
         INSERT INTO Comments (entityType, entityID, username, body)
         VALUES (p_entityType, p_entityID, p_username, p_body);
 
-        -- Return success message
-        SELECT 'Comment Created' AS message;
+        -- Return success message with the new comment ID (LAST_INSERT_ID is per connection)
+        SELECT 'Comment Created' AS message, LAST_INSERT_ID() AS commentID;
     END IF;
 END $$
 
 DELIMITER ;
 
 
--- PROCEDURE: Insert a like
--- Example: CALL insertLike('johndoe', 'POST', 5, 'M'); -- JohnDoe likes post with ID 5
+-- PROCEDURE: React to a post or comment, or change the reaction
+-- A changed reaction keeps the leaning the user had when first reacting
+-- Example: CALL setReaction('johndoe', 'POST', 5, 'M', 'respect'); -- JohnDoe disagrees with post 5 but respects it
 DELIMITER $$
 
-CREATE PROCEDURE insertLike(
+CREATE PROCEDURE setReaction(
     IN p_username VARCHAR(50),
     IN p_entityType ENUM('POST', 'COMMENT'),
     IN p_entityID INT,
-    IN p_polLean ENUM('FL', 'L', 'SL', 'M', 'SR', 'R', 'FR')
+    IN p_polLean ENUM('FL', 'L', 'SL', 'M', 'SR', 'R', 'FR'),
+    IN p_reaction ENUM('agree', 'respect', 'insightful', 'needs_source')
 )
 BEGIN
-    -- Check if the like already exists
-    IF EXISTS (
-        SELECT 1 FROM Likes 
-        WHERE username = p_username 
-        AND entityType = p_entityType 
-        AND entityID = p_entityID
-    ) THEN
+    DECLARE v_current VARCHAR(20) DEFAULT NULL;
+    DECLARE v_polLean ENUM('FL', 'L', 'SL', 'M', 'SR', 'R', 'FR') DEFAULT NULL;
+    DECLARE v_exists BOOLEAN DEFAULT FALSE;
+    DECLARE CONTINUE HANDLER FOR 1062 SET v_exists = TRUE;
+
+    START TRANSACTION;
+
+    -- Insert the reaction straight away so the unique key settles two first reactions sent at
+    -- once: the second one finds the row of the first instead of failing
+    INSERT INTO Likes (username, entityType, entityID, polLean, reaction)
+    VALUES (p_username, p_entityType, p_entityID, p_polLean, p_reaction);
+
+    IF v_exists THEN
+        -- Current reaction of the user, locked until the change is committed
+        SELECT reaction, polLean INTO v_current, v_polLean
+        FROM Likes
+        WHERE username = p_username AND entityType = p_entityType AND entityID = p_entityID
+        FOR UPDATE;
+    ELSE
+        SET v_polLean = p_polLean;
+    END IF;
+
+    IF v_current = p_reaction THEN
+        ROLLBACK;
+
         SIGNAL SQLSTATE '45000'
-        SET MESSAGE_TEXT = 'Like Already Exists';
+        SET MESSAGE_TEXT = 'Reaction Already Exists';
     ELSE
-        -- Insert new like
-        INSERT INTO Likes (username, entityType, entityID, polLean)
-        VALUES (p_username, p_entityType, p_entityID, p_polLean);
+        IF v_current IS NOT NULL THEN
+            UPDATE Likes
+            SET reaction = p_reaction
+            WHERE username = p_username AND entityType = p_entityType AND entityID = p_entityID;
 
-        -- Return success message
-        SELECT 'Like Added' AS message;
+            -- Take the old reaction off its counter
+            UPDATE ReactionCounts
+            SET
+                FL = FL - (v_polLean = 'FL'),
+                L = L - (v_polLean = 'L'),
+                SL = SL - (v_polLean = 'SL'),
+                M = M - (v_polLean = 'M'),
+                SR = SR - (v_polLean = 'SR'),
+                R = R - (v_polLean = 'R'),
+                FR = FR - (v_polLean = 'FR')
+            WHERE entityType = p_entityType AND entityID = p_entityID AND reaction = v_current;
+        END IF;
+
+        -- Bump the counter of the new reaction for the user's leaning
+        INSERT INTO ReactionCounts (entityType, entityID, reaction, FL, L, SL, M, SR, R, FR)
+        VALUES (
+            p_entityType, p_entityID, p_reaction,
+            v_polLean = 'FL', v_polLean = 'L', v_polLean = 'SL', v_polLean = 'M',
+            v_polLean = 'SR', v_polLean = 'R', v_polLean = 'FR'
+        )
+        ON DUPLICATE KEY UPDATE
+            FL = FL + (v_polLean = 'FL'),
+            L = L + (v_polLean = 'L'),
+            SL = SL + (v_polLean = 'SL'),
+            M = M + (v_polLean = 'M'),
+            SR = SR + (v_polLean = 'SR'),
+            R = R + (v_polLean = 'R'),
+            FR = FR + (v_polLean = 'FR');
+
+        -- The like counter only changes when the reaction starts or stops counting as a like
+        IF p_reaction <> 'needs_source' AND (v_current IS NULL OR v_current = 'needs_source') THEN
+            INSERT INTO LikeCounts (entityType, entityID, FL, L, SL, M, SR, R, FR)
+            VALUES (
+                p_entityType, p_entityID,
+                v_polLean = 'FL', v_polLean = 'L', v_polLean = 'SL', v_polLean = 'M',
+                v_polLean = 'SR', v_polLean = 'R', v_polLean = 'FR'
+            )
+            ON DUPLICATE KEY UPDATE
+                FL = FL + (v_polLean = 'FL'),
+                L = L + (v_polLean = 'L'),
+                SL = SL + (v_polLean = 'SL'),
+                M = M + (v_polLean = 'M'),
+                SR = SR + (v_polLean = 'SR'),
+                R = R + (v_polLean = 'R'),
+                FR = FR + (v_polLean = 'FR');
+        ELSEIF p_reaction = 'needs_source' AND v_current IS NOT NULL THEN
+            UPDATE LikeCounts
+            SET
+                FL = FL - (v_polLean = 'FL'),
+                L = L - (v_polLean = 'L'),
+                SL = SL - (v_polLean = 'SL'),
+                M = M - (v_polLean = 'M'),
+                SR = SR - (v_polLean = 'SR'),
+                R = R - (v_polLean = 'R'),
+                FR = FR - (v_polLean = 'FR')
+            WHERE entityType = p_entityType AND entityID = p_entityID;
+        END IF;
+
+        COMMIT;
+
+        -- Return success message with the reaction that was replaced
+        SELECT IF(v_current IS NULL, 'Reaction Added', 'Reaction Changed') AS message, v_current AS previousReaction;
+    END IF;
+END $$
+
+DELIMITER ;
+
+
+-- PROCEDURE: Remove a like, whatever the reaction
+-- Example: CALL removeLike('johndoe', 'POST', 5); -- JohnDoe unlikes post with ID 5
+DELIMITER $$
+
+CREATE PROCEDURE removeLike(
+    IN p_username VARCHAR(50),
+    IN p_entityType ENUM('POST', 'COMMENT'),
+    IN p_entityID INT
+)
+BEGIN
+    DECLARE v_polLean ENUM('FL', 'L', 'SL', 'M', 'SR', 'R', 'FR') DEFAULT NULL;
+    DECLARE v_reaction VARCHAR(20) DEFAULT NULL;
+
+    -- Leaning and reaction recorded on the like, which are the counters to decrement
+    SELECT polLean, reaction INTO v_polLean, v_reaction
+    FROM Likes
+    WHERE username = p_username AND entityType = p_entityType AND entityID = p_entityID;
+
+    IF v_polLean IS NULL THEN
+        SIGNAL SQLSTATE '45000'
+        SET MESSAGE_TEXT = 'Like Not Found';
+    ELSE
+        START TRANSACTION;
+
+        DELETE FROM Likes
+        WHERE username = p_username AND entityType = p_entityType AND entityID = p_entityID;
+
+        IF v_reaction <> 'needs_source' THEN
+            UPDATE LikeCounts
+            SET
+                FL = FL - (v_polLean = 'FL'),
+                L = L - (v_polLean = 'L'),
+                SL = SL - (v_polLean = 'SL'),
+                M = M - (v_polLean = 'M'),
+                SR = SR - (v_polLean = 'SR'),
+                R = R - (v_polLean = 'R'),
+                FR = FR - (v_polLean = 'FR')
+            WHERE entityType = p_entityType AND entityID = p_entityID;
+        END IF;
+
+        UPDATE ReactionCounts
+        SET
+            FL = FL - (v_polLean = 'FL'),
+            L = L - (v_polLean = 'L'),
+            SL = SL - (v_polLean = 'SL'),
+            M = M - (v_polLean = 'M'),
+            SR = SR - (v_polLean = 'SR'),
+            R = R - (v_polLean = 'R'),
+            FR = FR - (v_polLean = 'FR')
+        WHERE entityType = p_entityType AND entityID = p_entityID AND reaction = v_reaction;
+
+        COMMIT;
+
+        -- Return success message with the reaction that was removed
+        SELECT 'Like Removed' AS message, v_reaction AS reaction;
+    END IF;
+END $$
+
+DELIMITER ;
+
+
+-- PROCEDURE: Rebuild LikeCounts and ReactionCounts from the Likes table
+-- Reports how many entities had drifted counters; with p_dryRun = TRUE nothing is changed
+-- Example: CALL rebuildLikeCounts(TRUE); -- Only report drift
+DELIMITER $$
+
+CREATE PROCEDURE rebuildLikeCounts(
+    IN p_dryRun BOOLEAN
+)
+BEGIN
+    DECLARE v_drifted INT DEFAULT 0;
+
+    -- Entities whose stored counters differ from the actual likes and reactions
+    WITH actual AS (
+        SELECT
+            entityType,
+            entityID,
+            SUM(polLean = 'FL') AS FL, SUM(polLean = 'L') AS L, SUM(polLean = 'SL') AS SL,
+            SUM(polLean = 'M') AS M,
+            SUM(polLean = 'SR') AS SR, SUM(polLean = 'R') AS R, SUM(polLean = 'FR') AS FR
+        FROM Likes
+        WHERE reaction <> 'needs_source'
+        GROUP BY entityType, entityID
+    ),
+    actualReactions AS (
+        SELECT
+            entityType,
+            entityID,
+            reaction,
+            SUM(polLean = 'FL') AS FL, SUM(polLean = 'L') AS L, SUM(polLean = 'SL') AS SL,
+            SUM(polLean = 'M') AS M,
+            SUM(polLean = 'SR') AS SR, SUM(polLean = 'R') AS R, SUM(polLean = 'FR') AS FR
+        FROM Likes
+        GROUP BY entityType, entityID, reaction
+    )
+    SELECT COUNT(DISTINCT entityType, entityID) INTO v_drifted
+    FROM (
+        SELECT a.entityType, a.entityID
+        FROM actual a
+        LEFT JOIN LikeCounts lc ON lc.entityType = a.entityType AND lc.entityID = a.entityID
+        WHERE lc.entityID IS NULL
+            OR lc.FL <> a.FL OR lc.L <> a.L OR lc.SL <> a.SL OR lc.M <> a.M
+            OR lc.SR <> a.SR OR lc.R <> a.R OR lc.FR <> a.FR
+        UNION ALL
+        SELECT lc.entityType, lc.entityID
+        FROM LikeCounts lc
+        LEFT JOIN actual a ON a.entityType = lc.entityType AND a.entityID = lc.entityID
+        WHERE a.entityID IS NULL AND lc.totalLikes <> 0
+        UNION ALL
+        SELECT a.entityType, a.entityID
+        FROM actualReactions a
+        LEFT JOIN ReactionCounts rc
+            ON rc.entityType = a.entityType AND rc.entityID = a.entityID AND rc.reaction = a.reaction
+        WHERE rc.entityID IS NULL
+            OR rc.FL <> a.FL OR rc.L <> a.L OR rc.SL <> a.SL OR rc.M <> a.M
+            OR rc.SR <> a.SR OR rc.R <> a.R OR rc.FR <> a.FR
+        UNION ALL
+        SELECT rc.entityType, rc.entityID
+        FROM ReactionCounts rc
+        LEFT JOIN actualReactions a
+            ON a.entityType = rc.entityType AND a.entityID = rc.entityID AND a.reaction = rc.reaction
+        WHERE a.entityID IS NULL AND rc.total <> 0
+    ) drift;
+
+    IF NOT p_dryRun THEN
+        START TRANSACTION;
+
+        DELETE FROM LikeCounts;
+
+        INSERT INTO LikeCounts (entityType, entityID, FL, L, SL, M, SR, R, FR)
+        SELECT
+            entityType,
+            entityID,
+            SUM(polLean = 'FL'), SUM(polLean = 'L'), SUM(polLean = 'SL'),
+            SUM(polLean = 'M'),
+            SUM(polLean = 'SR'), SUM(polLean = 'R'), SUM(polLean = 'FR')
+        FROM Likes
+        WHERE reaction <> 'needs_source'
+        GROUP BY entityType, entityID;
+
+        DELETE FROM ReactionCounts;
+
+        INSERT INTO ReactionCounts (entityType, entityID, reaction, FL, L, SL, M, SR, R, FR)
+        SELECT
+            entityType,
+            entityID,
+            reaction,
+            SUM(polLean = 'FL'), SUM(polLean = 'L'), SUM(polLean = 'SL'),
+            SUM(polLean = 'M'),
+            SUM(polLean = 'SR'), SUM(polLean = 'R'), SUM(polLean = 'FR')
+        FROM Likes
+        GROUP BY entityType, entityID, reaction;
+
+        COMMIT;
     END IF;
+
+    SELECT
+        IF(p_dryRun, 'Like Counts Checked', 'Like Counts Rebuilt') AS message,
+        v_drifted AS driftedEntities,
+        (SELECT COUNT(*) FROM LikeCounts) AS countedEntities;
 END $$
 
 DELIMITER ;
@@ -198,14 +784,14 @@ BEGIN
     ELSE
         -- Retrieve the count of likes for each political leaning
         SELECT 
-            SUM(CASE WHEN polLean = 'FR' THEN 1 ELSE 0 END) AS FR,
-            SUM(CASE WHEN polLean = 'R' THEN 1 ELSE 0 END) AS R,
-            SUM(CASE WHEN polLean = 'SR' THEN 1 ELSE 0 END) AS SR,
-            SUM(CASE WHEN polLean = 'M' THEN 1 ELSE 0 END) AS M,
-            SUM(CASE WHEN polLean = 'SL' THEN 1 ELSE 0 END) AS SL,
-            SUM(CASE WHEN polLean = 'L' THEN 1 ELSE 0 END) AS L,
-            SUM(CASE WHEN polLean = 'FL' THEN 1 ELSE 0 END) AS FL
-        FROM Likes
+            COALESCE(MAX(FR), 0) AS FR,
+            COALESCE(MAX(R), 0) AS R,
+            COALESCE(MAX(SR), 0) AS SR,
+            COALESCE(MAX(M), 0) AS M,
+            COALESCE(MAX(SL), 0) AS SL,
+            COALESCE(MAX(L), 0) AS L,
+            COALESCE(MAX(FL), 0) AS FL
+        FROM LikeCounts
         WHERE entityType = p_entityType AND entityID = p_entityID;
     END IF;
 END $$
@@ -272,6 +858,683 @@ END $$
 DELIMITER ;
 
 
+-- PROCEDURE: Update a post, keeping the replaced version in PostRevisions
+-- Doesn't start its own transaction: the API runs it in one together with the post's new topics and sources
+-- Example: CALL updatePost(5, 'Abortion', 'Law: updated text...', 'https://ai-news.com');
+DELIMITER $$
+
+CREATE PROCEDURE updatePost(
+    IN p_postID INT,
+    IN p_title VARCHAR(255),
+    IN p_body TEXT,
+    IN p_sources TEXT
+)
+BEGIN
+    -- Validate that the post exists
+    IF NOT EXISTS (SELECT 1 FROM PostsData WHERE postID = p_postID) THEN
+        SIGNAL SQLSTATE '45000'
+        SET MESSAGE_TEXT = 'Invalid Post ID';
+    ELSE
+        -- Store the current version before it is overwritten
+        INSERT INTO PostRevisions (postID, revisionNumber, title, body, sources, likesAtRevision)
+        SELECT
+            p.postID,
+            (SELECT COUNT(*) FROM PostRevisions WHERE postID = p_postID) + 1,
+            p.title,
+            p.body,
+            p.sources,
+            (SELECT COALESCE(MAX(totalLikes), 0) FROM LikeCounts WHERE entityType = 'POST' AND entityID = p_postID)
+        FROM PostsData p
+        WHERE p.postID = p_postID;
+
+        -- Apply the edit
+        UPDATE PostsData
+        SET title = p_title, body = p_body, sources = p_sources, dateEdited = CURRENT_TIMESTAMP
+        WHERE postID = p_postID;
+
+        -- Return success message
+        SELECT 'Post Updated' AS message;
+    END IF;
+END $$
+
+DELIMITER ;
+
+
+-- PROCEDURE: Delete a post along with its comment thread and likes
+-- Example: CALL deletePost(5); -- Delete post with ID 5
+DELIMITER $$
+
+CREATE PROCEDURE deletePost(
+    IN p_postID INT
+)
+BEGIN
+    -- Validate that the post exists
+    IF NOT EXISTS (SELECT 1 FROM PostsData WHERE postID = p_postID) THEN
+        SIGNAL SQLSTATE '45000'
+        SET MESSAGE_TEXT = 'Invalid Post ID';
+    ELSE
+        START TRANSACTION;
+
+        -- Collect every comment in the thread, including nested replies
+        DROP TEMPORARY TABLE IF EXISTS threadComments;
+        CREATE TEMPORARY TABLE threadComments (commentID INT PRIMARY KEY)
+        WITH RECURSIVE thread AS (
+            SELECT commentID FROM Comments WHERE entityType = 'POST' AND entityID = p_postID
+            UNION ALL
+            SELECT c.commentID FROM Comments c JOIN thread t ON c.entityType = 'COMMENT' AND c.entityID = t.commentID
+        )
+        SELECT commentID FROM thread;
+
+        -- Remove likes on the thread and on the post itself, with their counters
+        DELETE FROM Likes
+        WHERE entityType = 'COMMENT' AND entityID IN (SELECT commentID FROM threadComments);
+        DELETE FROM LikeCounts
+        WHERE entityType = 'COMMENT' AND entityID IN (SELECT commentID FROM threadComments);
+        DELETE FROM ReactionCounts
+        WHERE entityType = 'COMMENT' AND entityID IN (SELECT commentID FROM threadComments);
+        DELETE FROM Likes WHERE entityType = 'POST' AND entityID = p_postID;
+        DELETE FROM LikeCounts WHERE entityType = 'POST' AND entityID = p_postID;
+        DELETE FROM ReactionCounts WHERE entityType = 'POST' AND entityID = p_postID;
+
+        -- Remove the sources cited by the thread and the post
+        DELETE FROM Sources
+        WHERE entityType = 'COMMENT' AND entityID IN (SELECT commentID FROM threadComments);
+        DELETE FROM Sources WHERE entityType = 'POST' AND entityID = p_postID;
+
+        -- Nobody can come back to deleted content
+        DELETE FROM SavedItems
+        WHERE entityType = 'COMMENT' AND entityID IN (SELECT commentID FROM threadComments);
+        DELETE FROM SavedItems WHERE entityType = 'POST' AND entityID = p_postID;
+
+        -- Reports and brigade alerts on deleted content can't be acted on anymore
+        DELETE FROM Reports
+        WHERE entityType = 'COMMENT' AND entityID IN (SELECT commentID FROM threadComments);
+        DELETE FROM Reports WHERE entityType = 'POST' AND entityID = p_postID;
+        DELETE FROM BrigadeAlerts
+        WHERE entityType = 'COMMENT' AND entityID IN (SELECT commentID FROM threadComments);
+        DELETE FROM BrigadeAlerts WHERE entityType = 'POST' AND entityID = p_postID;
+
+        -- Remove the thread, then the post (revisions, notifications and views cascade)
+        DELETE FROM Comments WHERE commentID IN (SELECT commentID FROM threadComments);
+        DELETE FROM PostsData WHERE postID = p_postID;
+
+        DROP TEMPORARY TABLE threadComments;
+
+        COMMIT;
+
+        -- Return success message
+        SELECT 'Post Deleted' AS message;
+    END IF;
+END $$
+
+DELIMITER ;
+
+
+-- PROCEDURE: Update the body of a comment
+-- Example: CALL updateComment(3, 'Edited reply text');
+DELIMITER $$
+
+CREATE PROCEDURE updateComment(
+    IN p_commentID INT,
+    IN p_body TEXT
+)
+BEGIN
+    -- Validate that the comment exists and was not deleted
+    IF NOT EXISTS (SELECT 1 FROM Comments WHERE commentID = p_commentID AND isDeleted = FALSE) THEN
+        SIGNAL SQLSTATE '45000'
+        SET MESSAGE_TEXT = 'Invalid Comment ID';
+    ELSE
+        UPDATE Comments
+        SET body = p_body, dateEdited = CURRENT_TIMESTAMP
+        WHERE commentID = p_commentID;
+
+        -- Return success message
+        SELECT 'Comment Updated' AS message;
+    END IF;
+END $$
+
+DELIMITER ;
+
+
+-- PROCEDURE: Delete a comment
+-- Comments with replies are replaced by a '[deleted]' placeholder so the thread stays intact,
+-- comments without replies are removed together with their likes, and so are the placeholders
+-- above them that were only kept for that reply
+-- Example: CALL deleteComment(3);
+DELIMITER $$
+
+CREATE PROCEDURE deleteComment(
+    IN p_commentID INT
+)
+BEGIN
+    DECLARE v_parentID INT DEFAULT NULL;
+    DECLARE v_nextID INT DEFAULT NULL;
+
+    -- Validate that the comment exists and was not deleted
+    IF NOT EXISTS (SELECT 1 FROM Comments WHERE commentID = p_commentID AND isDeleted = FALSE) THEN
+        SIGNAL SQLSTATE '45000'
+        SET MESSAGE_TEXT = 'Invalid Comment ID';
+    ELSE
+        START TRANSACTION;
+
+        -- Likes on deleted content no longer count towards any leaning
+        DELETE FROM Likes WHERE entityType = 'COMMENT' AND entityID = p_commentID;
+        DELETE FROM LikeCounts WHERE entityType = 'COMMENT' AND entityID = p_commentID;
+        DELETE FROM ReactionCounts WHERE entityType = 'COMMENT' AND entityID = p_commentID;
+        DELETE FROM Sources WHERE entityType = 'COMMENT' AND entityID = p_commentID;
+        DELETE FROM SavedItems WHERE entityType = 'COMMENT' AND entityID = p_commentID;
+
+        -- Reports and brigade alerts on deleted content can't be acted on anymore
+        DELETE FROM Reports WHERE entityType = 'COMMENT' AND entityID = p_commentID;
+        DELETE FROM BrigadeAlerts WHERE entityType = 'COMMENT' AND entityID = p_commentID;
+
+        -- Notifications about the comment point to content that is gone
+        DELETE FROM Notifications WHERE entityType = 'COMMENT' AND entityID = p_commentID;
+
+        IF EXISTS (SELECT 1 FROM Comments WHERE entityType = 'COMMENT' AND entityID = p_commentID) THEN
+            -- Keep a placeholder so the replies stay attached to the thread
+            UPDATE Comments
+            SET body = '[deleted]', isDeleted = TRUE
+            WHERE commentID = p_commentID;
+
+            COMMIT;
+
+            SELECT 'Comment Deleted' AS message, TRUE AS tombstone;
+        ELSE
+            SELECT entityID INTO v_parentID
+            FROM Comments
+            WHERE commentID = p_commentID AND entityType = 'COMMENT';
+
+            DELETE FROM Comments WHERE commentID = p_commentID;
+
+            -- Walk up the thread and remove the placeholders that have no replies left
+            WHILE v_parentID IS NOT NULL DO
+                IF EXISTS (SELECT 1 FROM Comments WHERE commentID = v_parentID AND isDeleted = TRUE)
+                AND NOT EXISTS (SELECT 1 FROM Comments WHERE entityType = 'COMMENT' AND entityID = v_parentID) THEN
+                    SET v_nextID = NULL;
+
+                    SELECT entityID INTO v_nextID
+                    FROM Comments
+                    WHERE commentID = v_parentID AND entityType = 'COMMENT';
+
+                    DELETE FROM Comments WHERE commentID = v_parentID;
+
+                    SET v_parentID = v_nextID;
+                ELSE
+                    SET v_parentID = NULL;
+                END IF;
+            END WHILE;
+
+            COMMIT;
+
+            SELECT 'Comment Deleted' AS message, FALSE AS tombstone;
+        END IF;
+    END IF;
+END $$
+
+DELIMITER ;
+
+
+-- PROCEDURE: Report a post or comment
+-- Example: CALL insertReport('janedoe', 'POST', 2, 'misinformation', 'The cited study says the opposite');
+DELIMITER $$
+
+CREATE PROCEDURE insertReport(
+    IN p_reporter VARCHAR(50),
+    IN p_entityType ENUM('POST', 'COMMENT'),
+    IN p_entityID INT,
+    IN p_reason ENUM('misinformation', 'harassment', 'spam'),
+    IN p_details VARCHAR(500)
+)
+BEGIN
+    -- Check if the user already reported this content
+    IF EXISTS (
+        SELECT 1 FROM Reports
+        WHERE reporter = p_reporter
+        AND entityType = p_entityType
+        AND entityID = p_entityID
+    ) THEN
+        SIGNAL SQLSTATE '45000'
+        SET MESSAGE_TEXT = 'Report Already Exists';
+    ELSE
+        INSERT INTO Reports (reporter, entityType, entityID, reason, details)
+        VALUES (p_reporter, p_entityType, p_entityID, p_reason, p_details);
+
+        -- Return success message with the new report ID
+        SELECT 'Report Created' AS message, LAST_INSERT_ID() AS reportID;
+    END IF;
+END $$
+
+DELIMITER ;
+
+
+-- PROCEDURE: Apply a moderator action, close the open reports on the content and write the audit log
+-- p_entityType/p_entityID are NULL for actions on a user only (suspend, unsuspend)
+-- Example: CALL moderate('johndoe', 'hide', 'COMMENT', 3, 'tomGOP', 'Personal attack', NULL);
+DELIMITER $$
+
+CREATE PROCEDURE moderate(
+    IN p_moderator VARCHAR(50),
+    IN p_action ENUM('dismiss', 'hide', 'unhide', 'lock', 'unlock', 'suspend', 'unsuspend'),
+    IN p_entityType ENUM('POST', 'COMMENT'),
+    IN p_entityID INT,
+    IN p_targetUser VARCHAR(50),
+    IN p_reason VARCHAR(500),
+    IN p_suspendedUntil TIMESTAMP
+)
+BEGIN
+    DECLARE v_resolved INT DEFAULT 0;
+
+    -- Content actions need content, user actions need a user
+    IF p_action IN ('hide', 'unhide', 'lock', 'unlock', 'dismiss') AND p_entityID IS NULL THEN
+        SIGNAL SQLSTATE '45000'
+        SET MESSAGE_TEXT = 'Invalid Moderation Target';
+    ELSEIF p_action IN ('suspend', 'unsuspend') AND p_targetUser IS NULL THEN
+        SIGNAL SQLSTATE '45000'
+        SET MESSAGE_TEXT = 'Invalid Moderation Target';
+    ELSEIF p_action IN ('lock', 'unlock') AND p_entityType <> 'POST' THEN
+        SIGNAL SQLSTATE '45000'
+        SET MESSAGE_TEXT = 'Only Posts Can Be Locked';
+    ELSE
+        START TRANSACTION;
+
+        CASE p_action
+            WHEN 'hide' THEN
+                IF p_entityType = 'POST' THEN
+                    UPDATE PostsData SET isHidden = TRUE WHERE postID = p_entityID;
+                ELSE
+                    UPDATE Comments SET isHidden = TRUE WHERE commentID = p_entityID;
+                END IF;
+            WHEN 'unhide' THEN
+                IF p_entityType = 'POST' THEN
+                    UPDATE PostsData SET isHidden = FALSE WHERE postID = p_entityID;
+                ELSE
+                    UPDATE Comments SET isHidden = FALSE WHERE commentID = p_entityID;
+                END IF;
+            WHEN 'lock' THEN
+                UPDATE PostsData SET isLocked = TRUE WHERE postID = p_entityID;
+            WHEN 'unlock' THEN
+                UPDATE PostsData SET isLocked = FALSE WHERE postID = p_entityID;
+            WHEN 'suspend' THEN
+                UPDATE Users SET suspendedUntil = p_suspendedUntil WHERE username = p_targetUser;
+            WHEN 'unsuspend' THEN
+                UPDATE Users SET suspendedUntil = NULL WHERE username = p_targetUser;
+            ELSE
+                -- 'dismiss' only closes the reports
+                BEGIN END;
+        END CASE;
+
+        -- Close the open reports on the content
+        IF p_entityID IS NOT NULL THEN
+            UPDATE Reports
+            SET status = IF(p_action = 'dismiss', 'dismissed', 'actioned'),
+                reviewedBy = p_moderator,
+                dateReviewed = CURRENT_TIMESTAMP
+            WHERE entityType = p_entityType AND entityID = p_entityID AND status = 'open';
+
+            SET v_resolved = ROW_COUNT();
+        END IF;
+
+        INSERT INTO ModerationLog (moderator, action, entityType, entityID, targetUser, reason, suspendedUntil, reportsResolved)
+        VALUES (p_moderator, p_action, p_entityType, p_entityID, p_targetUser, p_reason, p_suspendedUntil, v_resolved);
+
+        COMMIT;
+
+        -- Return success message with the audit log entry
+        SELECT 'Moderation Done' AS message, LAST_INSERT_ID() AS logID, v_resolved AS reportsResolved;
+    END IF;
+END $$
+
+DELIMITER ;
+
+
+-- PROCEDURE: Flag a burst of likes from new accounts of one leaning on the same post or comment
+-- Counts the likes of p_polLean in the last p_windowMinutes from accounts younger than p_accountAgeDays;
+-- at p_threshold or more they are attached to the open alert for the burst (created if needed)
+-- Example: CALL flagBrigade('POST', 2, 'FR', 10, 7, 5);
+DELIMITER $$
+
+CREATE PROCEDURE flagBrigade(
+    IN p_entityType ENUM('POST', 'COMMENT'),
+    IN p_entityID INT,
+    IN p_polLean ENUM('FL', 'L', 'SL', 'M', 'SR', 'R', 'FR'),
+    IN p_windowMinutes INT,
+    IN p_accountAgeDays INT,
+    IN p_threshold INT
+)
+BEGIN
+    DECLARE v_count INT DEFAULT 0;
+    DECLARE v_alertID INT DEFAULT NULL;
+
+    SELECT COUNT(*) INTO v_count
+    FROM Likes l
+    JOIN Users u ON u.username = l.username
+    WHERE l.entityType = p_entityType
+    AND l.entityID = p_entityID
+    AND l.polLean = p_polLean
+    AND l.dateLiked >= NOW() - INTERVAL p_windowMinutes MINUTE
+    AND u.dateCreate >= NOW() - INTERVAL p_accountAgeDays DAY;
+
+    IF v_count < p_threshold THEN
+        SELECT 'No Brigade' AS message, NULL AS alertID, v_count AS likeCount;
+    ELSE
+        START TRANSACTION;
+
+        -- Keep adding to the open alert while the burst goes on
+        SELECT alertID INTO v_alertID
+        FROM BrigadeAlerts
+        WHERE entityType = p_entityType AND entityID = p_entityID AND polLean = p_polLean AND status = 'open'
+        LIMIT 1;
+
+        IF v_alertID IS NULL THEN
+            INSERT INTO BrigadeAlerts (entityType, entityID, polLean)
+            VALUES (p_entityType, p_entityID, p_polLean);
+
+            SET v_alertID = LAST_INSERT_ID();
+        END IF;
+
+        -- Likes already reviewed with an earlier alert are not flagged again
+        UPDATE Likes l
+        JOIN Users u ON u.username = l.username
+        SET l.brigadeAlertID = v_alertID
+        WHERE l.entityType = p_entityType
+        AND l.entityID = p_entityID
+        AND l.polLean = p_polLean
+        AND l.dateLiked >= NOW() - INTERVAL p_windowMinutes MINUTE
+        AND u.dateCreate >= NOW() - INTERVAL p_accountAgeDays DAY
+        AND l.brigadeAlertID IS NULL;
+
+        UPDATE BrigadeAlerts
+        SET likeCount = (SELECT COUNT(*) FROM Likes WHERE brigadeAlertID = v_alertID),
+            lastFlagged = CURRENT_TIMESTAMP
+        WHERE alertID = v_alertID;
+
+        COMMIT;
+
+        -- Return the alert the likes were flagged under
+        SELECT 'Brigade Flagged' AS message, v_alertID AS alertID, v_count AS likeCount;
+    END IF;
+END $$
+
+DELIMITER ;
+
+
+-- PROCEDURE: Review a brigade alert: 'dismiss' keeps the flagged likes, 'remove' deletes them and their counts
+-- Both close the alert and write the audit log
+-- Example: CALL reviewBrigade('johndoe', 4, 'remove', 'Coordinated accounts');
+DELIMITER $$
+
+CREATE PROCEDURE reviewBrigade(
+    IN p_moderator VARCHAR(50),
+    IN p_alertID INT,
+    IN p_action ENUM('dismiss', 'remove'),
+    IN p_reason VARCHAR(500)
+)
+BEGIN
+    DECLARE v_status VARCHAR(10) DEFAULT NULL;
+    DECLARE v_entityType ENUM('POST', 'COMMENT');
+    DECLARE v_entityID INT;
+    DECLARE v_removed INT DEFAULT 0;
+
+    SELECT status, entityType, entityID INTO v_status, v_entityType, v_entityID
+    FROM BrigadeAlerts
+    WHERE alertID = p_alertID;
+
+    IF v_status IS NULL THEN
+        SIGNAL SQLSTATE '45000'
+        SET MESSAGE_TEXT = 'Invalid Alert ID';
+    ELSEIF v_status <> 'open' THEN
+        SIGNAL SQLSTATE '45000'
+        SET MESSAGE_TEXT = 'Alert Already Reviewed';
+    ELSE
+        START TRANSACTION;
+
+        IF p_action = 'remove' THEN
+            -- Take the flagged likes off the counters, then delete them
+            UPDATE LikeCounts lc
+            JOIN (
+                SELECT
+                    SUM(polLean = 'FL') AS FL, SUM(polLean = 'L') AS L, SUM(polLean = 'SL') AS SL,
+                    SUM(polLean = 'M') AS M, SUM(polLean = 'SR') AS SR, SUM(polLean = 'R') AS R,
+                    SUM(polLean = 'FR') AS FR
+                FROM Likes
+                WHERE brigadeAlertID = p_alertID AND reaction <> 'needs_source'
+            ) f
+            SET
+                lc.FL = lc.FL - COALESCE(f.FL, 0),
+                lc.L = lc.L - COALESCE(f.L, 0),
+                lc.SL = lc.SL - COALESCE(f.SL, 0),
+                lc.M = lc.M - COALESCE(f.M, 0),
+                lc.SR = lc.SR - COALESCE(f.SR, 0),
+                lc.R = lc.R - COALESCE(f.R, 0),
+                lc.FR = lc.FR - COALESCE(f.FR, 0)
+            WHERE lc.entityType = v_entityType AND lc.entityID = v_entityID;
+
+            UPDATE ReactionCounts rc
+            JOIN (
+                SELECT
+                    reaction,
+                    SUM(polLean = 'FL') AS FL, SUM(polLean = 'L') AS L, SUM(polLean = 'SL') AS SL,
+                    SUM(polLean = 'M') AS M, SUM(polLean = 'SR') AS SR, SUM(polLean = 'R') AS R,
+                    SUM(polLean = 'FR') AS FR
+                FROM Likes
+                WHERE brigadeAlertID = p_alertID
+                GROUP BY reaction
+            ) f ON f.reaction = rc.reaction
+            SET
+                rc.FL = rc.FL - f.FL,
+                rc.L = rc.L - f.L,
+                rc.SL = rc.SL - f.SL,
+                rc.M = rc.M - f.M,
+                rc.SR = rc.SR - f.SR,
+                rc.R = rc.R - f.R,
+                rc.FR = rc.FR - f.FR
+            WHERE rc.entityType = v_entityType AND rc.entityID = v_entityID;
+
+            DELETE FROM Likes WHERE brigadeAlertID = p_alertID;
+            SET v_removed = ROW_COUNT();
+        END IF;
+
+        UPDATE BrigadeAlerts
+        SET status = IF(p_action = 'remove', 'removed', 'dismissed'),
+            reviewedBy = p_moderator,
+            dateReviewed = CURRENT_TIMESTAMP
+        WHERE alertID = p_alertID;
+
+        INSERT INTO ModerationLog (moderator, action, entityType, entityID, reason)
+        VALUES (p_moderator, IF(p_action = 'remove', 'remove_likes', 'dismiss_brigade'), v_entityType, v_entityID, p_reason);
+
+        COMMIT;
+
+        -- Return success message with the audit log entry
+        SELECT 'Brigade Reviewed' AS message, LAST_INSERT_ID() AS logID, v_removed AS likesRemoved;
+    END IF;
+END $$
+
+DELIMITER ;
+
+
+-- PROCEDURE: Update the name fields and political leaning of a user
+-- NULL leaves a field unchanged. A new leaning is recorded in LeaningHistory and can't be changed again
+-- within p_cooldownDays of the last change (the leaning chosen at registration doesn't start a cooldown)
+-- Example: CALL updateProfile('janedoe', NULL, 'Smith', 'SL', 30);
+DELIMITER $$
+
+CREATE PROCEDURE updateProfile(
+    IN p_username VARCHAR(50),
+    IN p_firstName VARCHAR(50),
+    IN p_lastName VARCHAR(50),
+    IN p_polLean ENUM('FL', 'L', 'SL', 'M', 'SR', 'R', 'FR'),
+    IN p_cooldownDays INT
+)
+BEGIN
+    DECLARE v_currentLean ENUM('FL', 'L', 'SL', 'M', 'SR', 'R', 'FR') DEFAULT NULL;
+    DECLARE v_lastChange TIMESTAMP DEFAULT NULL;
+    DECLARE v_leanChanged BOOLEAN DEFAULT FALSE;
+
+    SELECT polLean INTO v_currentLean FROM Users WHERE username = p_username;
+    SET v_leanChanged = p_polLean IS NOT NULL AND p_polLean <> v_currentLean;
+
+    IF v_leanChanged THEN
+        SELECT MAX(dateChanged) INTO v_lastChange
+        FROM LeaningHistory
+        WHERE username = p_username AND previousLean IS NOT NULL;
+    END IF;
+
+    -- Validate the user and the cooldown
+    IF v_currentLean IS NULL THEN
+        SIGNAL SQLSTATE '45000'
+        SET MESSAGE_TEXT = 'Invalid Username';
+    ELSEIF v_leanChanged AND v_lastChange > NOW() - INTERVAL p_cooldownDays DAY THEN
+        SIGNAL SQLSTATE '45000'
+        SET MESSAGE_TEXT = 'Leaning Cooldown';
+    ELSE
+        START TRANSACTION;
+
+        UPDATE Users
+        SET firstName = COALESCE(p_firstName, firstName),
+            lastName = COALESCE(p_lastName, lastName),
+            polLean = COALESCE(p_polLean, polLean)
+        WHERE username = p_username;
+
+        -- Existing likes keep the leaning they were made with, only new likes use the new one
+        IF v_leanChanged THEN
+            INSERT INTO LeaningHistory (username, polLean, previousLean)
+            VALUES (p_username, p_polLean, v_currentLean);
+        END IF;
+
+        COMMIT;
+
+        -- Return success message
+        SELECT 'Profile Updated' AS message, v_leanChanged AS leanChanged;
+    END IF;
+END $$
+
+DELIMITER ;
+
+
+-- PROCEDURE: Follow a user
+-- Example: CALL followUser('janedoe', 'mark123'); -- JaneDoe follows Mark123
+DELIMITER $$
+
+CREATE PROCEDURE followUser(
+    IN p_follower VARCHAR(50),
+    IN p_followee VARCHAR(50)
+)
+BEGIN
+    IF NOT EXISTS (SELECT 1 FROM Users WHERE username = p_followee) THEN
+        SIGNAL SQLSTATE '45000'
+        SET MESSAGE_TEXT = 'Invalid Username';
+    ELSEIF p_follower = p_followee THEN
+        SIGNAL SQLSTATE '45000'
+        SET MESSAGE_TEXT = 'Cannot Follow Yourself';
+    ELSEIF EXISTS (SELECT 1 FROM Follows WHERE follower = p_follower AND followee = p_followee) THEN
+        SIGNAL SQLSTATE '45000'
+        SET MESSAGE_TEXT = 'Already Following';
+    ELSE
+        INSERT INTO Follows (follower, followee)
+        VALUES (p_follower, p_followee);
+
+        -- Return success message with the new follower count
+        SELECT 'Follow Added' AS message,
+            (SELECT COUNT(*) FROM Follows WHERE followee = p_followee) AS followerCount;
+    END IF;
+END $$
+
+DELIMITER ;
+
+
+-- PROCEDURE: Unfollow a user
+-- Example: CALL unfollowUser('janedoe', 'mark123'); -- JaneDoe stops following Mark123
+DELIMITER $$
+
+CREATE PROCEDURE unfollowUser(
+    IN p_follower VARCHAR(50),
+    IN p_followee VARCHAR(50)
+)
+BEGIN
+    IF NOT EXISTS (SELECT 1 FROM Follows WHERE follower = p_follower AND followee = p_followee) THEN
+        SIGNAL SQLSTATE '45000'
+        SET MESSAGE_TEXT = 'Not Following';
+    ELSE
+        DELETE FROM Follows
+        WHERE follower = p_follower AND followee = p_followee;
+
+        -- Return success message with the new follower count
+        SELECT 'Follow Removed' AS message,
+            (SELECT COUNT(*) FROM Follows WHERE followee = p_followee) AS followerCount;
+    END IF;
+END $$
+
+DELIMITER ;
+
+
+-- PROCEDURE: Notify a user about a reply, like or mention
+-- Nothing is added for the user's own actions, for users that don't exist, for types the user
+-- turned off, or for a reply or mention that was already notified (e.g. when a post is edited).
+-- Likes on the same post or comment join the unread like notification if there is one.
+-- Example: CALL addNotification('janedoe', 'like', 'POST', 1, 1, 'mark123'); -- Mark123 liked JaneDoe's post
+DELIMITER $$
+
+CREATE PROCEDURE addNotification(
+    IN p_recipient VARCHAR(50),
+    IN p_type ENUM('reply', 'like', 'mention'),
+    IN p_entityType ENUM('POST', 'COMMENT'),
+    IN p_entityID INT,
+    IN p_postID INT,
+    IN p_actor VARCHAR(50)
+)
+BEGIN
+    DECLARE v_notificationID INT DEFAULT NULL;
+
+    IF p_recipient = p_actor
+        OR NOT EXISTS (SELECT 1 FROM Users WHERE username = p_recipient)
+        OR EXISTS (
+            SELECT 1 FROM NotificationPreferences
+            WHERE username = p_recipient AND type = p_type AND enabled = FALSE
+        )
+        OR (p_type <> 'like' AND EXISTS (
+            SELECT 1 FROM Notifications
+            WHERE recipient = p_recipient AND type = p_type AND entityType = p_entityType AND entityID = p_entityID
+        )) THEN
+        SELECT 'Notification Skipped' AS message, NULL AS notificationID;
+    ELSE
+        START TRANSACTION;
+
+        IF p_type = 'like' THEN
+            SELECT notificationID INTO v_notificationID
+            FROM Notifications
+            WHERE recipient = p_recipient AND type = 'like' AND entityType = p_entityType
+                AND entityID = p_entityID AND isRead = FALSE
+            ORDER BY notificationID DESC
+            LIMIT 1
+            FOR UPDATE;
+        END IF;
+
+        IF v_notificationID IS NULL THEN
+            INSERT INTO Notifications (recipient, type, entityType, entityID, postID, actor)
+            VALUES (p_recipient, p_type, p_entityType, p_entityID, p_postID, p_actor);
+
+            SET v_notificationID = LAST_INSERT_ID();
+        ELSE
+            UPDATE Notifications
+            SET actor = p_actor, dateUpdated = CURRENT_TIMESTAMP
+            WHERE notificationID = v_notificationID;
+        END IF;
+
+        INSERT IGNORE INTO NotificationActors (notificationID, username, polLean)
+        SELECT v_notificationID, username, polLean FROM Users WHERE username = p_actor;
+
+        COMMIT;
+
+        -- Return success message
+        SELECT 'Notification Added' AS message, v_notificationID AS notificationID;
+    END IF;
+END $$
+
+DELIMITER ;
+
+
 -- Insert Users for testing
 INSERT INTO Users (username, firstName, lastName, email, passHash, polLean, accVerify)
 VALUES
@@ -281,6 +1544,22 @@ VALUES
     ('sarahX', 'Sarah', 'Xavier', 'sarahx@example.com', 'hashedpass111', 'FL', TRUE),
     ('tomGOP', 'Tom', 'Greene', 'tomgop@example.com', 'hashedpass222', 'FR', TRUE);
 
+-- Start the leaning history of the test users
+INSERT INTO LeaningHistory (username, polLean)
+SELECT username, polLean FROM Users;
+
+-- Grant roles
+INSERT INTO UserRoles (username, role)
+VALUES
+    ('johndoe', 'admin');
+
+-- Follow users from the other side
+INSERT INTO Follows (follower, followee)
+VALUES
+    ('janedoe', 'mark123'),
+    ('mark123', 'janedoe'),
+    ('johndoe', 'sarahX');
+
 -- Insert Posts
 INSERT INTO PostsData (username, title, body, sources)
 VALUES
@@ -296,6 +1575,40 @@ VALUES
 SET @post1 = (SELECT postID FROM PostsData WHERE title = 'The Green Energy Investment Act');
 SET @post2 = (SELECT postID FROM PostsData WHERE title = 'National Voter ID Requirement');
 
+-- Insert Topics and tag the posts
+INSERT INTO Topics (name, slug)
+VALUES
+    ('Energy', 'energy'),
+    ('Elections', 'elections');
+
+INSERT INTO PostTopics (postID, topicID)
+VALUES
+    (@post1, (SELECT topicID FROM Topics WHERE slug = 'energy')),
+    (@post2, (SELECT topicID FROM Topics WHERE slug = 'elections'));
+
+-- Insert the sources of the posts
+INSERT INTO Sources (entityType, entityID, position, url, domain)
+VALUES
+    ('POST', @post1, 1, 'https://energynews.com/', 'energynews.com'),
+    ('POST', @post2, 1, 'https://govtrack.org/', 'govtrack.org');
+
+-- Seed the source domain registry
+INSERT INTO SourceDomains (domain, category, name)
+VALUES
+    ('gov', 'primary', 'U.S. government'),
+    ('mil', 'primary', 'U.S. military'),
+    ('gov.uk', 'primary', 'UK government'),
+    ('europa.eu', 'primary', 'European Union'),
+    ('congress.gov', 'primary', 'U.S. Congress'),
+    ('apnews.com', 'news', 'Associated Press'),
+    ('reuters.com', 'news', 'Reuters'),
+    ('bbc.co.uk', 'news', 'BBC'),
+    ('npr.org', 'news', 'NPR'),
+    ('medium.com', 'blog', 'Medium'),
+    ('substack.com', 'blog', 'Substack'),
+    ('blogspot.com', 'blog', 'Blogger'),
+    ('wordpress.com', 'blog', 'WordPress.com');
+
 -- Insert Comments for Post 1
 INSERT INTO Comments (entityType, entityID, username, body)
 VALUES
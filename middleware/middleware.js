@@ -1,38 +1,57 @@
 const jwt = require('jsonwebtoken');
 const dotenv = require('dotenv');
+const db = require('../config/db');
+const { SERVER_ERROR, sendError } = require('../utils/errors');
 
 dotenv.config();
 
 // Middleware to verify JWT token
-const auth = (req, res, next) => {
+const auth = async (req, res, next) => {
     // Get token from header
     const token = req.header('x-auth-token');
 
     // Check if no token
     if (!token) {
-        return res.status(401).json({
-            success: false,
-            message: 'No token, authorization denied'
-        });
+        return sendError(res, 401, 'TOKEN_MISSING', 'No token, authorization denied');
     }
 
+    let decoded;
     try {
         // Verify token
-        const decoded = jwt.verify(token, process.env.JWT_SECRET);
-        
-        // Add user info to request
-        req.user = {
-            username: decoded.username
-        };
-        
-        next();
+        decoded = jwt.verify(token, process.env.JWT_SECRET);
     } catch (error) {
         console.error('Token verification error:', error);
-        res.status(401).json({
-            success: false,
-            message: 'Token is not valid'
-        });
+        return sendError(res, 401, 'TOKEN_INVALID', 'Token is not valid');
     }
+
+    // Tokens without a session can't be revoked, so they are not accepted
+    if (!decoded.sid) {
+        return sendError(res, 401, 'TOKEN_INVALID', 'Token is not valid');
+    }
+
+    try {
+        // The session must still be active and the token from its current generation
+        const [sessions] = await db.query(
+            'SELECT generation FROM Sessions WHERE sessionID = ? AND username = ? AND revokedAt IS NULL AND expiresAt > NOW()',
+            [decoded.sid, decoded.username]
+        );
+
+        if (sessions.length === 0 || sessions[0].generation !== decoded.gen) {
+            return sendError(res, 401, 'TOKEN_REVOKED', 'Token has been revoked');
+        }
+    } catch (error) {
+        console.error('Session check error:', error);
+        return sendError(res, 500, SERVER_ERROR, 'Server error while checking session');
+    }
+
+    // Add user info to request
+    req.user = {
+        username: decoded.username,
+        sessionID: decoded.sid,
+        roles: decoded.roles || ['user']
+    };
+
+    next();
 };
 
-module.exports = auth; 
\ No newline at end of file
+module.exports = auth; 
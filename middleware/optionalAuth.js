@@ -0,0 +1,14 @@
+const auth = require('./middleware');
+
+// Middleware for public routes that show more to signed-in users
+// Requests with a token are authenticated as usual (so an invalid token is still a 401),
+// requests without one continue anonymously with req.user undefined
+const optionalAuth = (req, res, next) => {
+    if (!req.header('x-auth-token')) {
+        return next();
+    }
+
+    return auth(req, res, next);
+};
+
+module.exports = optionalAuth;
@@ -0,0 +1,49 @@
+const { getStore, limits } = require('../config/rateLimit');
+const { sendError } = require('../utils/errors');
+
+// What each rule counts requests by
+const subjects = {
+    user: (req) => req.user && req.user.username,
+    ip: (req) => req.ip,
+    account: (req) => req.body && typeof req.body.username === 'string' && req.body.username.toLowerCase()
+};
+
+// Middleware factory limiting a route to the rules configured under `name` in config/rateLimit.js
+// Rules counted by user must run after the auth middleware
+const rateLimit = (name) => {
+    const rules = limits[name];
+    if (!rules) {
+        throw new Error(`Unknown rate limit: ${name}`);
+    }
+
+    return async (req, res, next) => {
+        if (process.env.RATE_LIMIT_DISABLED === 'true') {
+            return next();
+        }
+
+        try {
+            for (const { by, max, windowMs } of rules) {
+                const subject = subjects[by](req);
+                if (!subject) {
+                    continue;
+                }
+
+                const { count, resetAt } = await getStore().increment(`${name}:${by}:${subject}`, windowMs);
+
+                if (count > max) {
+                    const retryAfter = Math.max(1, Math.ceil((resetAt - Date.now()) / 1000));
+                    res.set('Retry-After', String(retryAfter));
+
+                    return sendError(res, 429, 'RATE_LIMITED', 'Too many requests, please try again later', { retryAfter });
+                }
+            }
+        } catch (error) {
+            // A broken store shouldn't take the site down, let the request through
+            console.error('Rate limit error:', error);
+        }
+
+        next();
+    };
+};
+
+module.exports = rateLimit;
@@ -0,0 +1,24 @@
+const db = require('../config/db');
+const { SERVER_ERROR, sendError } = require('../utils/errors');
+
+// Middleware to only allow users with a verified email address
+// Must run after the auth middleware, which sets req.user
+const requireVerified = async (req, res, next) => {
+    try {
+        const [users] = await db.query(
+            'SELECT accVerify FROM Users WHERE username = ?',
+            [req.user.username]
+        );
+
+        if (users.length === 0 || !users[0].accVerify) {
+            return sendError(res, 403, 'EMAIL_NOT_VERIFIED', 'Please verify your email address first');
+        }
+
+        next();
+    } catch (error) {
+        console.error('Verification check error:', error);
+        sendError(res, 500, SERVER_ERROR, 'Server error while checking account verification');
+    }
+};
+
+module.exports = requireVerified;
@@ -0,0 +1,32 @@
+const { hasPermission } = require('../utils/roles');
+const { sendError } = require('../utils/errors');
+
+// Middleware factories for role and permission checks
+// Must run after the auth middleware, which sets req.user.roles
+
+// Only allow users holding at least one of the given roles
+const requireRole = (...roles) => (req, res, next) => {
+    const userRoles = (req.user && req.user.roles) || [];
+
+    if (!roles.some(role => userRoles.includes(role))) {
+        return sendError(res, 403, 'FORBIDDEN', 'You do not have permission to do this');
+    }
+
+    next();
+};
+
+// Only allow users whose roles grant the permission
+const requirePermission = (permission) => (req, res, next) => {
+    const userRoles = (req.user && req.user.roles) || [];
+
+    if (!hasPermission(userRoles, permission)) {
+        return sendError(res, 403, 'FORBIDDEN', 'You do not have permission to do this');
+    }
+
+    next();
+};
+
+module.exports = {
+    requireRole,
+    requirePermission
+};
@@ -0,0 +1,12 @@
+// Middleware for event streams, to run before auth or optionalAuth
+// Browsers can't set headers on an EventSource, so stream routes also take the JWT as ?token=
+// Only stream routes accept it: tokens in URLs end up in access logs
+const streamToken = (req, res, next) => {
+    if (!req.header('x-auth-token') && typeof req.query.token === 'string') {
+        req.headers['x-auth-token'] = req.query.token;
+    }
+
+    next();
+};
+
+module.exports = streamToken;
@@ -0,0 +1,19 @@
+const { VALIDATION_FAILED, validateRequest } = require('../utils/validation');
+const { sendError } = require('../utils/errors');
+
+// Middleware factory checking the route params, query string and body against a schema (see utils/validation.js)
+// Invalid requests get a 400 listing every failing field, `message` repeats the first one so clients that
+// only show a message still have something to show. Valid ones continue with the clean values
+// on req.params, req.query and req.body, so controllers don't parse them again
+const validate = (schema) => (req, res, next) => {
+    const { errors, values } = validateRequest(schema, req);
+
+    if (errors.length > 0) {
+        return sendError(res, 400, VALIDATION_FAILED, errors[0].message, { errors });
+    }
+
+    Object.assign(req, values);
+    next();
+};
+
+module.exports = validate;
@@ -0,0 +1,26 @@
+const express = require('express');
+const router = express.Router();
+const adminController = require('../controllers/adminController');
+const sourceController = require('../controllers/sourceController');
+const auth = require('../middleware/middleware');
+const { requirePermission } = require('../middleware/roles');
+
+// Every admin route needs a signed-in user
+router.use(auth);
+
+// Get the roles of a user (requires roles:manage)
+router.get('/users/:username/roles', requirePermission('roles:manage'), adminController.getUserRoles);
+
+// Grant a role to a user (requires roles:manage)
+router.post('/users/:username/roles', requirePermission('roles:manage'), adminController.grantRole);
+
+// Revoke a role from a user (requires roles:manage)
+router.delete('/users/:username/roles/:role', requirePermission('roles:manage'), adminController.revokeRole);
+
+// Add or change a source domain registry entry (requires sources:manage)
+router.put('/source-domains/:domain', requirePermission('sources:manage'), sourceController.setDomain);
+
+// Remove a source domain registry entry (requires sources:manage)
+router.delete('/source-domains/:domain', requirePermission('sources:manage'), sourceController.removeDomain);
+
+module.exports = router;
@@ -4,15 +4,52 @@ const bcrypt = require('bcrypt');
 const jwt = require('jsonwebtoken');
 const pool = require('../config/db');
 const authController = require('../controllers/authController');
+const sessionController = require('../controllers/sessionController');
 const auth = require('../middleware/middleware');
+const rateLimit = require('../middleware/rateLimit');
+const validate = require('../middleware/validate');
+const schemas = require('../schemas/auth');
 
 // Register a new user
-router.post('/register', authController.register);
+router.post('/register', validate(schemas.register), authController.register);
 
-// Login user
-router.post('/login', authController.login);
+// Login user (rate limited per IP and per username)
+router.post('/login', rateLimit('login'), validate(schemas.login), authController.login);
+
+// Exchange a refresh token for new tokens
+router.post('/refresh', validate(schemas.refresh), sessionController.refresh);
+
+// Log out of the current session
+router.post('/logout', auth, validate(schemas.logout), sessionController.logout);
+
+// Log out of every session
+router.post('/logout-all', auth, validate(schemas.logoutAll), sessionController.logoutAll);
+
+// List active sessions
+router.get('/sessions', auth, validate(schemas.getSessions), sessionController.getSessions);
+
+// Revoke one session
+router.delete('/sessions/:id', auth, validate(schemas.revokeSession), sessionController.revokeSession);
 
 // Get current user profile
-router.get('/profile', auth, authController.getProfile);
+router.get('/profile', auth, validate(schemas.getProfile), authController.getProfile);
+
+// Update name fields and political leaning (leaning changes have a cooldown)
+router.patch('/profile', auth, validate(schemas.updateProfile), authController.updateProfile);
+
+// Get the current user's leaning history
+router.get('/profile/leanings', auth, validate(schemas.getLeaningHistory), authController.getLeaningHistory);
+
+// Verify email address with the token from the verification email
+router.get('/verify', validate(schemas.verifyEmail), authController.verifyEmail);
+
+// Send a new verification email
+router.post('/verify/resend', auth, validate(schemas.resendVerification), authController.resendVerification);
+
+// Request a password reset email
+router.post('/forgot-password', validate(schemas.forgotPassword), authController.forgotPassword);
+
+// Set a new password with a reset token
+router.post('/reset-password', validate(schemas.resetPassword), authController.resetPassword);
 
 module.exports = router;
@@ -1,27 +1,100 @@
 const express = require('express');
 const router = express.Router();
 const feedController = require('../controllers/feedController');
+const searchController = require('../controllers/searchController');
+const topicController = require('../controllers/topicController');
+const moderationController = require('../controllers/moderationController');
+const analyticsController = require('../controllers/analyticsController');
+const sourceController = require('../controllers/sourceController');
+const streamController = require('../controllers/streamController');
+const savedController = require('../controllers/savedController');
 const auth = require('../middleware/middleware');
+const optionalAuth = require('../middleware/optionalAuth');
+const rateLimit = require('../middleware/rateLimit');
+const requireVerified = require('../middleware/requireVerified');
+const streamToken = require('../middleware/streamToken');
+const validate = require('../middleware/validate');
+const schemas = require('../schemas/feed');
 
-// Create a new post (requires auth)
-router.post('/posts', auth, feedController.createPost);
+// Create a new post (requires auth and a verified account, rate limited)
+router.post('/posts', auth, rateLimit('posts'), requireVerified, validate(schemas.createPost), feedController.createPost);
 
-// Get all posts with pagination and sorting (public)
-router.get('/posts', feedController.getPosts);
+// Get all posts with pagination and sorting (public, authors also see their hidden posts)
+router.get('/posts', optionalAuth, validate(schemas.getPosts), feedController.getPosts);
 
-// Get comments for a post (public)
-router.get('/posts/comments', feedController.getComments);
+// Search posts and comments (public)
+router.get('/search', validate(schemas.search), searchController.search);
 
-// Get a single post by ID (public)
-router.get('/posts/:id', feedController.getPostById);
+// List topics with post counts (public)
+router.get('/topics', validate(schemas.getTopics), topicController.getTopics);
 
-// Add a comment to a post (requires auth)
-router.post('/comments', auth, feedController.addComment);
+// Get a topic with its leaning breakdown (public)
+router.get('/topics/:slug', validate(schemas.getTopic), topicController.getTopic);
 
-// Add a like to a post or comment (requires auth)
-router.post('/likes', auth, feedController.addLike);
+// List the source domain registry (public)
+router.get('/source-domains', validate(schemas.getDomains), sourceController.getDomains);
+
+// Get comments for a post (public, authors also see their hidden comments)
+router.get('/posts/comments', optionalAuth, validate(schemas.getComments), feedController.getComments);
+
+// Get a single post by ID (public, authors also see their hidden posts and comments)
+router.get('/posts/:id', optionalAuth, validate(schemas.getPostById), feedController.getPostById);
+
+// Get the full comment tree for a post (public, authors also see their hidden comments)
+router.get('/posts/:id/thread', optionalAuth, validate(schemas.getCommentTree), feedController.getCommentTree);
+
+// Stream new comments and like counts of a post as Server-Sent Events (public, the token may also be sent as ?token=)
+router.get('/posts/:id/stream', streamToken, optionalAuth, validate(schemas.streamPost), streamController.streamPost);
+
+// Get earlier versions of an edited post (public, authors also see their hidden posts)
+router.get('/posts/:id/revisions', optionalAuth, validate(schemas.getPostRevisions), feedController.getPostRevisions);
+
+// Get engagement analytics of a post (requires auth, author or analytics:view permission)
+router.get('/posts/:id/analytics', auth, validate(schemas.getPostAnalytics), analyticsController.getPostAnalytics);
+
+// Edit a post (requires auth, author only)
+router.put('/posts/:id', auth, validate(schemas.replacePost), feedController.updatePost);
+router.patch('/posts/:id', auth, validate(schemas.patchPost), feedController.updatePost);
+
+// Delete a post (requires auth, author only)
+router.delete('/posts/:id', auth, validate(schemas.deletePost), feedController.deletePost);
+
+// Add a comment to a post (requires auth and a verified account, rate limited)
+router.post('/comments', auth, rateLimit('comments'), requireVerified, validate(schemas.addComment), feedController.addComment);
+
+// Edit a comment (requires auth, author only)
+router.put('/comments/:id', auth, validate(schemas.updateComment), feedController.updateComment);
+router.patch('/comments/:id', auth, validate(schemas.updateComment), feedController.updateComment);
+
+// Delete a comment, keeping a placeholder if it has replies (requires auth, author only)
+router.delete('/comments/:id', auth, validate(schemas.deleteComment), feedController.deleteComment);
+
+// Add a like to a post or comment (requires auth and a verified account, rate limited)
+router.post('/likes', auth, rateLimit('likes'), requireVerified, validate(schemas.addLike), feedController.addLike);
 
 // Remove a like (requires auth)
-router.delete('/likes', auth, feedController.removeLike);
+router.delete('/likes', auth, validate(schemas.removeLike), feedController.removeLike);
+
+// React to a post or comment or change the reaction, the same as likes with a reaction (requires auth and a verified account, rate limited)
+router.post('/reactions', auth, rateLimit('likes'), requireVerified, validate(schemas.addLike), feedController.addLike);
+
+// Remove a reaction (requires auth)
+router.delete('/reactions', auth, validate(schemas.removeLike), feedController.removeLike);
+
+// Save or unsave a post or comment, optionally in a collection (requires auth)
+router.post('/saved', auth, validate(schemas.save), savedController.save);
+router.delete('/saved', auth, validate(schemas.unsave), savedController.unsave);
+
+// Get saved posts or comments with pagination (requires auth)
+router.get('/saved', auth, validate(schemas.getSaved), savedController.getSaved);
+
+// List, create, rename and delete collections of saved items (requires auth)
+router.get('/collections', auth, validate(schemas.getCollections), savedController.getCollections);
+router.post('/collections', auth, validate(schemas.createCollection), savedController.createCollection);
+router.patch('/collections/:id', auth, validate(schemas.renameCollection), savedController.renameCollection);
+router.delete('/collections/:id', auth, validate(schemas.deleteCollection), savedController.deleteCollection);
+
+// Report a post or comment to the moderators (requires auth and a verified account)
+router.post('/reports', auth, requireVerified, validate(schemas.createReport), moderationController.createReport);
 
 module.exports = router;
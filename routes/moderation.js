@@ -0,0 +1,28 @@
+const express = require('express');
+const router = express.Router();
+const moderationController = require('../controllers/moderationController');
+const auth = require('../middleware/middleware');
+const { requirePermission } = require('../middleware/roles');
+
+// Every moderation route needs a signed-in user
+router.use(auth);
+
+// Get the queue of reported content (moderators)
+router.get('/reports', requirePermission('reports:review'), moderationController.getQueue);
+
+// Get the reports and moderation history of a post or comment (moderators)
+router.get('/reports/:entityType/:entityID', requirePermission('reports:review'), moderationController.getContentReports);
+
+// Dismiss reports, hide content, lock a thread or suspend a user (permission depends on the action)
+router.post('/actions', moderationController.takeAction);
+
+// Get alerts for bursts of likes from new accounts of one leaning (moderators)
+router.get('/brigades', requirePermission('content:moderate'), moderationController.getBrigades);
+
+// Dismiss a brigade alert or remove its flagged likes (moderators)
+router.post('/brigades/:id', requirePermission('content:moderate'), moderationController.reviewBrigade);
+
+// Get the moderation audit log (moderators)
+router.get('/log', requirePermission('reports:review'), moderationController.getLog);
+
+module.exports = router;
@@ -0,0 +1,27 @@
+const express = require('express');
+const router = express.Router();
+const notificationController = require('../controllers/notificationController');
+const streamController = require('../controllers/streamController');
+const auth = require('../middleware/middleware');
+const streamToken = require('../middleware/streamToken');
+
+// Stream new notifications as Server-Sent Events (the token may also be sent as ?token=)
+router.get('/stream', streamToken, auth, streamController.streamNotifications);
+
+// Every other notification route works on the signed-in user's own notifications
+router.use(auth);
+
+// Get notifications with pagination
+router.get('/', notificationController.getNotifications);
+
+// Get the number of unread notifications
+router.get('/unread-count', notificationController.getUnreadCount);
+
+// Mark some or all notifications as read
+router.post('/read', notificationController.markRead);
+
+// Get and change which notification types are on
+router.get('/preferences', notificationController.getPreferences);
+router.put('/preferences', notificationController.updatePreferences);
+
+module.exports = router;
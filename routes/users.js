@@ -0,0 +1,28 @@
+const express = require('express');
+const router = express.Router();
+const userController = require('../controllers/userController');
+const auth = require('../middleware/middleware');
+const optionalAuth = require('../middleware/optionalAuth');
+
+// Get the public profile of a user (public, signed-in users also see whether they follow the user)
+router.get('/:username', optionalAuth, userController.getUser);
+
+// Get the posts of a user (public, authors and moderators also see hidden posts)
+router.get('/:username/posts', optionalAuth, userController.getUserPosts);
+
+// Get the comments of a user (public, authors and moderators also see hidden comments)
+router.get('/:username/comments', optionalAuth, userController.getUserComments);
+
+// List the followers of a user (public)
+router.get('/:username/followers', userController.getFollowers);
+
+// List the users a user follows (public)
+router.get('/:username/following', userController.getFollowing);
+
+// Follow a user (requires auth)
+router.post('/:username/follow', auth, userController.follow);
+
+// Stop following a user (requires auth)
+router.delete('/:username/follow', auth, userController.unfollow);
+
+module.exports = router;
@@ -0,0 +1,111 @@
+/**
+ * Request schemas of the routes in routes/auth.js, checked by the validate middleware.
+ */
+const { NO_INPUT, string, oneOf } = require('../utils/validation');
+const { POL_LEANS } = require('../utils/likes');
+
+// Same characters as a mention (see utils/notifications.js), so every user can be mentioned
+const USERNAME_PATTERN = /^[\w.-]+$/;
+const EMAIL_PATTERN = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+const UUID_PATTERN = /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i;
+
+const MIN_PASSWORD_LENGTH = 8;
+
+// bcrypt ignores everything after 72 bytes
+const MAX_PASSWORD_LENGTH = 72;
+
+// Tokens we issue are 64 hex characters; anything else is rejected by the lookup itself
+const MAX_TOKEN_LENGTH = 128;
+
+const name = (options = {}) => string({ max: 50, ...options });
+const email = () => string({ max: 100, pattern: EMAIL_PATTERN, description: 'a valid email address' });
+const newPassword = () => string({ min: MIN_PASSWORD_LENGTH, max: MAX_PASSWORD_LENGTH, trim: false });
+const token = () => string({ max: MAX_TOKEN_LENGTH });
+
+const register = {
+    body: {
+        username: string({ max: 50, pattern: USERNAME_PATTERN, description: 'letters, numbers, dots, dashes and underscores' }),
+        firstName: name(),
+        lastName: name(),
+        email: email(),
+        password: newPassword(),
+        polLean: oneOf(POL_LEANS)
+    }
+};
+
+// Passwords of existing accounts aren't held to the current rules
+const login = {
+    body: {
+        username: string({ max: 50 }),
+        password: string({ trim: false })
+    }
+};
+
+const refresh = {
+    body: {
+        refreshToken: token()
+    }
+};
+
+// Routes that act on the signed-in user only
+const logout = NO_INPUT;
+const logoutAll = NO_INPUT;
+const getSessions = NO_INPUT;
+const getProfile = NO_INPUT;
+const getLeaningHistory = NO_INPUT;
+const resendVerification = NO_INPUT;
+
+const revokeSession = {
+    params: {
+        id: string({ pattern: UUID_PATTERN, description: 'a session ID' })
+    }
+};
+
+const updateProfile = {
+    body: {
+        firstName: name({ optional: true }),
+        lastName: name({ optional: true }),
+        polLean: oneOf(POL_LEANS, { optional: true })
+    },
+    atLeastOne: {
+        body: ['firstName', 'lastName', 'polLean']
+    }
+};
+
+const verifyEmail = {
+    query: {
+        token: token()
+    }
+};
+
+const forgotPassword = {
+    body: {
+        email: email()
+    }
+};
+
+const resetPassword = {
+    body: {
+        token: token(),
+        password: newPassword()
+    }
+};
+
+module.exports = {
+    MIN_PASSWORD_LENGTH,
+    MAX_PASSWORD_LENGTH,
+    register,
+    login,
+    refresh,
+    logout,
+    logoutAll,
+    getSessions,
+    revokeSession,
+    getProfile,
+    updateProfile,
+    getLeaningHistory,
+    verifyEmail,
+    resendVerification,
+    forgotPassword,
+    resetPassword
+};
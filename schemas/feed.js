@@ -0,0 +1,292 @@
+/**
+ * Request schemas of the routes in routes/feed.js, checked by the validate middleware.
+ */
+const { NO_INPUT, string, integer, id, oneOf, list, date, custom } = require('../utils/validation');
+const { POL_LEANS, REACTIONS } = require('../utils/likes');
+const { TIME_WINDOWS, PERSPECTIVE_DISTANCES } = require('../utils/ranking');
+const { MAX_SOURCES, SOURCE_CATEGORIES, normalizeSources } = require('../utils/sources');
+const { MAX_TOPICS_PER_POST, normalizeTopics } = require('../utils/topics');
+const { REPORT_REASONS, MAX_DETAILS_LENGTH } = require('../utils/moderation');
+const { MAX_COLLECTION_NAME_LENGTH, normalizeCollectionName } = require('../utils/saved');
+
+// Longest title PostsData.title holds
+const MAX_TITLE_LENGTH = 255;
+
+// Longest post or comment body, well within a TEXT column
+const MAX_BODY_LENGTH = 10000;
+
+const POST_SORTS = ['recent', 'following', 'perspective', 'hot', 'rising', 'consensus', 'respected', 'balanced', 'controversial', 'right', 'left', 'moderate'];
+const COMMENT_SORTS = ['recent', 'consensus', 'controversial', 'balanced', 'oldest'];
+const THREAD_SORTS = ['oldest', 'recent', 'consensus', 'respected', 'controversial', 'balanced'];
+const SEARCH_TYPES = ['all', 'posts', 'comments'];
+const LIKE_SIDES = ['total', 'left', 'right', 'moderate', ...POL_LEANS];
+const ANALYTICS_BUCKETS = ['hour', 'day'];
+
+const ENTITY_TYPES = ['POST', 'COMMENT'];
+
+const postID = { id: id() };
+
+// Offset pagination with an optional cursor, which takes precedence over page
+const pagination = (defaultLimit, maxLimit) => ({
+    cursor: string({ optional: true }),
+    page: integer({ min: 1, default: 1 }),
+    limit: integer({ min: 1, max: maxLimit, default: defaultLimit })
+});
+
+const title = (options = {}) => string({ max: MAX_TITLE_LENGTH, ...options });
+const body = (options = {}) => string({ max: MAX_BODY_LENGTH, ...options });
+
+const sources = () => custom(
+    normalizeSources,
+    `Sources must be a list of up to ${MAX_SOURCES} http(s) links, each a URL or { url, title }`,
+    { optional: true, nullable: true }
+);
+
+const topics = () => custom(
+    normalizeTopics,
+    `Topics must be a list of up to ${MAX_TOPICS_PER_POST} names`,
+    { optional: true }
+);
+
+const collectionName = () => custom(
+    normalizeCollectionName,
+    `Collection name is required (up to ${MAX_COLLECTION_NAME_LENGTH} characters)`
+);
+
+// A post or comment to like, save or report
+const entity = {
+    entityType: oneOf(ENTITY_TYPES),
+    entityID: id()
+};
+
+const createPost = {
+    body: {
+        title: title(),
+        body: body(),
+        sources: sources(),
+        topics: topics()
+    }
+};
+
+const getPosts = {
+    query: {
+        ...pagination(10, 50),
+        sortBy: oneOf(POST_SORTS, { default: 'recent' }),
+        t: oneOf([...Object.keys(TIME_WINDOWS), 'all'], { default: 'all' }),
+        distance: oneOf(PERSPECTIVE_DISTANCES, { default: 'adjacent' }),
+        topic: list({ optional: true }),
+        sourcedBy: oneOf(SOURCE_CATEGORIES, { optional: true })
+    }
+};
+
+const search = {
+    query: {
+        q: string({ max: 200 }),
+        type: oneOf(SEARCH_TYPES, { default: 'all' }),
+        authorLean: list({ allowed: POL_LEANS, optional: true }),
+        from: date({ optional: true }),
+        to: date({ optional: true }),
+        minLikes: integer({ min: 0, optional: true }),
+        likesFrom: oneOf(LIKE_SIDES, { default: 'total' }),
+        page: integer({ min: 1, default: 1 }),
+        limit: integer({ min: 1, max: 50, default: 10 })
+    }
+};
+
+const getTopics = NO_INPUT;
+
+const getTopic = {
+    params: {
+        slug: string({ max: 100 })
+    }
+};
+
+const getDomains = {
+    query: {
+        category: oneOf(SOURCE_CATEGORIES, { optional: true })
+    }
+};
+
+const getComments = {
+    query: {
+        id: id(),
+        ...pagination(20, 50),
+        sortBy: oneOf(COMMENT_SORTS, { default: 'recent' }),
+        parentID: id({ optional: true })
+    }
+};
+
+const getPostById = {
+    params: postID
+};
+
+const getCommentTree = {
+    params: postID,
+    query: {
+        depth: integer({ min: 1, max: 10, default: 5 }),
+        limit: integer({ min: 1, max: 100, default: 20 }),
+        sortBy: oneOf(THREAD_SORTS, { default: 'oldest' })
+    }
+};
+
+const streamPost = {
+    params: postID
+};
+
+const getPostRevisions = {
+    params: postID
+};
+
+const getPostAnalytics = {
+    params: postID,
+    query: {
+        bucket: oneOf(ANALYTICS_BUCKETS, { default: 'day' }),
+        minReplies: integer({ min: 1, optional: true })
+    }
+};
+
+// PUT replaces the whole post
+const replacePost = {
+    params: postID,
+    body: {
+        title: title(),
+        body: body(),
+        sources: sources(),
+        topics: topics()
+    }
+};
+
+// PATCH changes some fields, but cannot blank out required ones
+const patchPost = {
+    params: postID,
+    body: {
+        title: title({ optional: true }),
+        body: body({ optional: true }),
+        sources: sources(),
+        topics: topics()
+    },
+    atLeastOne: {
+        body: ['title', 'body', 'sources', 'topics']
+    }
+};
+
+const deletePost = {
+    params: postID
+};
+
+const addComment = {
+    body: {
+        body: body(),
+        postID: id({ optional: true }),
+        parentCommentID: id({ optional: true }),
+        sources: sources()
+    },
+    atLeastOne: {
+        body: ['postID', 'parentCommentID']
+    }
+};
+
+const updateComment = {
+    params: { id: id() },
+    body: {
+        body: body(),
+        sources: sources()
+    }
+};
+
+const deleteComment = {
+    params: { id: id() }
+};
+
+const addLike = {
+    body: {
+        ...entity,
+        reaction: oneOf(REACTIONS, { optional: true })
+    }
+};
+
+const removeLike = {
+    body: entity
+};
+
+const save = {
+    body: {
+        ...entity,
+        collectionID: id({ optional: true, nullable: true })
+    }
+};
+
+const unsave = {
+    body: entity
+};
+
+const getSaved = {
+    query: {
+        type: oneOf(['posts', 'comments'], { default: 'posts' }),
+        collection: string({ optional: true, pattern: /^(none|[1-9]\d*)$/, description: 'a collection ID or none' }),
+        ...pagination(10, 50)
+    }
+};
+
+const getCollections = NO_INPUT;
+
+const createCollection = {
+    body: {
+        name: collectionName()
+    }
+};
+
+const renameCollection = {
+    params: { id: id() },
+    body: {
+        name: collectionName()
+    }
+};
+
+const deleteCollection = {
+    params: { id: id() }
+};
+
+const createReport = {
+    body: {
+        ...entity,
+        reason: oneOf(REPORT_REASONS),
+        details: string({ min: 0, max: MAX_DETAILS_LENGTH, optional: true, nullable: true })
+    }
+};
+
+module.exports = {
+    MAX_TITLE_LENGTH,
+    MAX_BODY_LENGTH,
+    POST_SORTS,
+    COMMENT_SORTS,
+    THREAD_SORTS,
+    createPost,
+    getPosts,
+    search,
+    getTopics,
+    getTopic,
+    getDomains,
+    getComments,
+    getPostById,
+    getCommentTree,
+    streamPost,
+    getPostRevisions,
+    getPostAnalytics,
+    replacePost,
+    patchPost,
+    deletePost,
+    addComment,
+    updateComment,
+    deleteComment,
+    addLike,
+    removeLike,
+    save,
+    unsave,
+    getSaved,
+    getCollections,
+    createCollection,
+    renameCollection,
+    deleteCollection,
+    createReport
+};
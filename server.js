@@ -1,6 +1,7 @@
 const express = require('express');
 const cors = require('cors');
 const dotenv = require('dotenv');
+const { SERVER_ERROR, sendError } = require('./utils/errors');
 
 // Load environment variables
 dotenv.config();
@@ -8,10 +9,20 @@ dotenv.config();
 // Import routes
 const authRoutes = require('./routes/auth');
 const feedRoutes = require('./routes/feed');
+const adminRoutes = require('./routes/admin');
+const moderationRoutes = require('./routes/moderation');
+const userRoutes = require('./routes/users');
+const notificationRoutes = require('./routes/notifications');
 
 // Initialize express app
 const app = express();
 
+// Behind a reverse proxy, TRUST_PROXY (hop count or address list) makes req.ip the client address for rate limits
+if (process.env.TRUST_PROXY) {
+  const trustProxy = process.env.TRUST_PROXY;
+  app.set('trust proxy', /^\d+$/.test(trustProxy) ? Number(trustProxy) : trustProxy);
+}
+
 // Middleware
 app.use(cors());
 
@@ -20,14 +31,23 @@ app.use(express.json());
 // Routes
 app.use('/api/auth', authRoutes);
 app.use('/api/feed', feedRoutes);
+app.use('/api/admin', adminRoutes);
+app.use('/api/moderation', moderationRoutes);
+app.use('/api/users', userRoutes);
+app.use('/api/notifications', notificationRoutes);
 
 // Error handling middleware
 app.use((err, req, res, next) => {
+  // Bodies that can't be read are the client's mistake, answered like other invalid requests
+  if (err.type === 'entity.parse.failed') {
+    return sendError(res, 400, 'INVALID_JSON', 'Request body must be valid JSON');
+  }
+  if (err.type === 'entity.too.large') {
+    return sendError(res, 413, 'PAYLOAD_TOO_LARGE', 'Request body is too large');
+  }
+
   console.error(err.stack);
-  res.status(500).json({
-    success: false,
-    message: err.message || 'Something went wrong!'
-  });
+  sendError(res, 500, SERVER_ERROR, err.message || 'Something went wrong!');
 });
 
 // Start server
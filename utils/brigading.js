@@ -0,0 +1,41 @@
+/**
+ * Detection of like brigades: many new accounts of one leaning liking the same post or comment
+ * within minutes. Suspicious likes are flagged under a BrigadeAlert for moderators to review.
+ */
+const db = require('../config/db');
+
+const dotenv = require('dotenv');
+dotenv.config();
+
+// Likes counted towards a burst are at most this old
+const BRIGADE_WINDOW_MINUTES = parseInt(process.env.BRIGADE_WINDOW_MINUTES) || 10;
+
+// Only accounts younger than this count towards a burst
+const BRIGADE_ACCOUNT_AGE_DAYS = parseInt(process.env.BRIGADE_ACCOUNT_AGE_DAYS) || 7;
+
+// Number of such likes that makes a burst
+const BRIGADE_THRESHOLD = parseInt(process.env.BRIGADE_THRESHOLD) || 5;
+
+/**
+ * Check the likes of one leaning on a post or comment for a burst and flag them
+ *
+ * @param {string} entityType - POST or COMMENT
+ * @param {number} entityID - ID of the liked post or comment
+ * @param {string} polLean - Leaning of the like that was just added
+ * @returns {Promise<number|null>} ID of the alert the likes were flagged under, or null
+ */
+const checkForBrigade = async (entityType, entityID, polLean) => {
+    const [result] = await db.query(
+        'CALL flagBrigade(?, ?, ?, ?, ?, ?)',
+        [entityType, entityID, polLean, BRIGADE_WINDOW_MINUTES, BRIGADE_ACCOUNT_AGE_DAYS, BRIGADE_THRESHOLD]
+    );
+
+    return result[0][0].alertID;
+};
+
+module.exports = {
+    BRIGADE_WINDOW_MINUTES,
+    BRIGADE_ACCOUNT_AGE_DAYS,
+    BRIGADE_THRESHOLD,
+    checkForBrigade
+};
@@ -0,0 +1,67 @@
+/**
+ * Helpers for counting the comments in the thread of a post. Replies are stored against their
+ * parent comment, so a thread is walked down from the post's top-level comments.
+ */
+const db = require('../config/db');
+
+/**
+ * SQL query counting the comments in the threads of posts, replies at any depth included.
+ * Deleted placeholders aren't counted, and hidden comments are left out together with their
+ * replies, the same way the comment tree cuts them off.
+ *
+ * @param {string} postCondition - SQL condition on c.entityID choosing the posts
+ * @returns {string} SQL query with the columns postID and commentCount
+ */
+const threadCommentCountsSql = (postCondition) => `
+    WITH RECURSIVE thread AS (
+        SELECT c.entityID AS postID, c.commentID, c.isDeleted
+        FROM Comments c
+        WHERE c.entityType = 'POST' AND ${postCondition} AND c.isHidden = FALSE
+        UNION ALL
+        SELECT t.postID, c.commentID, c.isDeleted
+        FROM thread t
+        JOIN Comments c ON c.entityType = 'COMMENT' AND c.entityID = t.commentID
+        WHERE c.isHidden = FALSE
+    )
+    SELECT postID, COUNT(*) AS commentCount
+    FROM thread
+    WHERE isDeleted = FALSE
+    GROUP BY postID`;
+
+/**
+ * LEFT JOIN adding the number of comments in the thread of every post as `<alias>.commentCount`
+ * (NULL for posts without comments), for ranking by discussion
+ *
+ * @param {string} postAlias - Alias of the PostsData table
+ * @param {string} [alias=threadComments] - Alias of the joined counts
+ * @returns {string} SQL join
+ */
+const threadCommentsJoin = (postAlias, alias = 'threadComments') => `
+    LEFT JOIN (${threadCommentCountsSql('TRUE')}) ${alias} ON ${alias}.postID = ${postAlias}.postID`;
+
+/**
+ * Set `commentCount` on every post to the number of comments in its thread, using a single query
+ *
+ * @param {Array<object>} posts - Posts with postID
+ * @returns {Promise<void>}
+ */
+const attachCommentCounts = async (posts) => {
+    if (posts.length === 0) {
+        return;
+    }
+
+    const [rows] = await db.query(
+        threadCommentCountsSql('c.entityID IN (?)'),
+        [posts.map(post => post.postID)]
+    );
+
+    const counts = new Map(rows.map(row => [row.postID, Number(row.commentCount)]));
+    posts.forEach(post => {
+        post.commentCount = counts.get(post.postID) || 0;
+    });
+};
+
+module.exports = {
+    threadCommentsJoin,
+    attachCommentCounts
+};
@@ -0,0 +1,32 @@
+/**
+ * Error responses. Every failure has the same envelope:
+ *   { "success": false, "code": "POST_NOT_FOUND", "message": "Post not found" }
+ * plus extra fields for some errors (e.g. retryAfter, or errors for validation failures).
+ * `code` is stable and meant for clients to branch on; `message` is for people and may change.
+ * The codes are listed in feed_api_docs.txt.
+ */
+
+// Code of every unexpected failure (500)
+const SERVER_ERROR = 'SERVER_ERROR';
+
+/**
+ * Send an error response
+ *
+ * @param {object} res - Express response
+ * @param {number} status - HTTP status
+ * @param {string} code - Machine-readable error code, e.g. POST_NOT_FOUND
+ * @param {string} message - Human-readable message
+ * @param {object} [details] - Extra fields of the response body
+ * @returns {object} Express response
+ */
+const sendError = (res, status, code, message, details = {}) => res.status(status).json({
+    success: false,
+    code,
+    message,
+    ...details
+});
+
+module.exports = {
+    SERVER_ERROR,
+    sendError
+};
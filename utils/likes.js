@@ -0,0 +1,165 @@
+/**
+ * Helpers for reading the per-leaning like counters stored in LikeCounts.
+ */
+
+// Political leanings from far left to far right
+const POL_LEANS = ['FL', 'L', 'SL', 'M', 'SR', 'R', 'FR'];
+
+// Reactions a user can give a post or comment, one at a time; 'respect' means "I disagree, but this is a fair point"
+const REACTIONS = ['agree', 'respect', 'insightful', 'needs_source'];
+
+// Reactions that count as a like, in LikeCounts and every like-based metric and sort
+const LIKE_REACTIONS = ['agree', 'respect', 'insightful'];
+
+// Reaction given by clients that only know likes
+const DEFAULT_REACTION = 'agree';
+
+/**
+ * SQL condition limiting a Likes query to the reactions that count as a like
+ *
+ * @param {string} [alias=l] - Alias of the Likes table
+ * @returns {string} SQL condition
+ */
+const likeReactionCondition = (alias = 'l') => `${alias}.reaction IN (${LIKE_REACTIONS.map(reaction => `'${reaction}'`).join(', ')})`;
+
+// Weight of a like in the consensus score. The further a liker is from the centre, the stronger the
+// like is as evidence of cross-spectrum appeal.
+const CONSENSUS_WEIGHTS = {
+    left: { FL: 2, L: 1.5, SL: 1 },
+    right: { FR: 2, R: 1.5, SR: 1 }
+};
+
+// M likes count this much towards each side, but only once both sides liked the content,
+// so moderates alone can't make something look bridging
+const CONSENSUS_MODERATE_WEIGHT = 0.5;
+
+// Pseudo-likes added to the denominator, so a handful of likes can't outrank broad support
+const CONSENSUS_SMOOTHING = 5;
+
+/**
+ * SQL select list for the per-leaning counters of a LikeCounts join.
+ * Entities that were never liked have no LikeCounts row, so every counter defaults to 0.
+ *
+ * @param {string} [alias=lc] - Alias of the joined LikeCounts table
+ * @returns {string} Columns likeFL ... likeFR
+ */
+const likeCountColumns = (alias = 'lc') => POL_LEANS
+    .map(lean => `COALESCE(${alias}.${lean}, 0) AS like${lean}`)
+    .join(', ');
+
+/**
+ * Move the columns selected with likeCountColumns into a likes object
+ *
+ * @param {object} row - Query row, the likeXX columns are removed from it
+ * @returns {object} Like counts keyed by political leaning
+ */
+const takeLikes = (row) => {
+    const likes = {};
+    POL_LEANS.forEach(lean => {
+        likes[lean] = Number(row[`like${lean}`]) || 0;
+        delete row[`like${lean}`];
+    });
+    return likes;
+};
+
+/**
+ * Bridging score of a likes object: a smoothed harmonic mean of the weighted left and right support,
+ * 2 * left * right / (left + right + CONSENSUS_SMOOTHING). It is 0 without likes from both sides,
+ * grows with the support of the weaker side and stays low for small samples.
+ * Must match consensusScoreSql.
+ *
+ * @param {object} likes - Like counts keyed by political leaning
+ * @returns {number} Score rounded to 4 decimals
+ */
+const consensusScore = (likes) => {
+    const side = (weights) => Object.entries(weights)
+        .reduce((sum, [lean, weight]) => sum + weight * likes[lean], 0);
+    const leftLeans = side(CONSENSUS_WEIGHTS.left);
+    const rightLeans = side(CONSENSUS_WEIGHTS.right);
+
+    if (leftLeans === 0 || rightLeans === 0) {
+        return 0;
+    }
+
+    const left = leftLeans + CONSENSUS_MODERATE_WEIGHT * likes.M;
+    const right = rightLeans + CONSENSUS_MODERATE_WEIGHT * likes.M;
+
+    return Math.round(2 * left * right / (left + right + CONSENSUS_SMOOTHING) * 10000) / 10000;
+};
+
+/**
+ * SQL expression computing consensusScore from the counters of a LikeCounts join
+ *
+ * @param {string} [alias=lc] - Alias of the joined LikeCounts table
+ * @returns {string} SQL expression
+ */
+const consensusScoreSql = (alias = 'lc') => {
+    const side = (weights) => `(${Object.entries(weights)
+        .map(([lean, weight]) => `${weight} * COALESCE(${alias}.${lean}, 0)`)
+        .join(' + ')})`;
+    const leftLeans = side(CONSENSUS_WEIGHTS.left);
+    const rightLeans = side(CONSENSUS_WEIGHTS.right);
+    const moderate = `${CONSENSUS_MODERATE_WEIGHT} * COALESCE(${alias}.M, 0)`;
+    const left = `(${leftLeans} + ${moderate})`;
+    const right = `(${rightLeans} + ${moderate})`;
+
+    return `(CASE WHEN ${leftLeans} = 0 OR ${rightLeans} = 0 THEN 0
+        ELSE ROUND(2 * ${left} * ${right} / (${left} + ${right} + ${CONSENSUS_SMOOTHING}), 4) END)`;
+};
+
+/**
+ * Aggregate metrics for a likes object
+ *
+ * @param {object} likes - Like counts keyed by political leaning
+ * @returns {object} totalLikes, rightLikes, leftLikes, moderateLikes, polarizationScore and consensusScore
+ */
+const likeTotals = (likes) => {
+    const rightLikes = likes['FR'] + likes['R'] + likes['SR'];
+    const leftLikes = likes['FL'] + likes['L'] + likes['SL'];
+
+    return {
+        totalLikes: Object.values(likes).reduce((sum, count) => sum + count, 0),
+        rightLikes,
+        leftLikes,
+        moderateLikes: likes['M'],
+        polarizationScore: Math.abs(rightLikes - leftLikes),
+        consensusScore: consensusScore(likes)
+    };
+};
+
+/**
+ * The leanings most likes come from: the fewest leanings (at most 3) that together gave at least half
+ * of the likes, e.g. ['SL', 'SR'] for "liked mostly by SL and SR"
+ *
+ * @param {object} likes - Like counts keyed by political leaning
+ * @returns {Array<string>} Leanings with the most likes first, empty without likes
+ */
+const likedMostlyBy = (likes) => {
+    const total = Object.values(likes).reduce((sum, count) => sum + count, 0);
+    const ranked = POL_LEANS.filter(lean => likes[lean] > 0).sort((a, b) => likes[b] - likes[a]);
+
+    const leans = [];
+    let covered = 0;
+    for (const lean of ranked) {
+        if (covered * 2 >= total || leans.length === 3) {
+            break;
+        }
+        leans.push(lean);
+        covered += likes[lean];
+    }
+    return leans;
+};
+
+module.exports = {
+    POL_LEANS,
+    REACTIONS,
+    LIKE_REACTIONS,
+    DEFAULT_REACTION,
+    likeReactionCondition,
+    likeCountColumns,
+    takeLikes,
+    consensusScore,
+    consensusScoreSql,
+    likeTotals,
+    likedMostlyBy
+};
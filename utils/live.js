@@ -0,0 +1,126 @@
+/**
+ * Live updates over Server-Sent Events: publishing events for a post or a user on the event bus
+ * (config/events.js) and streaming them to subscribed clients.
+ */
+const { getBus } = require('../config/events');
+
+const dotenv = require('dotenv');
+dotenv.config();
+
+// A comment line is sent this often so proxies don't close idle streams
+const HEARTBEAT_SECONDS = parseInt(process.env.LIVE_HEARTBEAT_SECONDS) || 25;
+
+// Like counts of a busy thread change many times a second; each stream gets the latest counts
+// of an entity at most once per interval
+const LIKES_INTERVAL_MS = parseInt(process.env.LIVE_LIKES_INTERVAL_MS) || 1000;
+
+// Clients reconnect after this delay when a stream drops
+const RETRY_MS = 5000;
+
+// Usernames compare case-insensitively in the database, so channels do too
+const postChannel = (postID) => `post:${Number(postID)}`;
+const userChannel = (username) => `user:${username.toLowerCase()}`;
+
+/**
+ * Publish an event on the bus. Live updates are best effort, so errors are logged and never
+ * fail the request that caused them.
+ *
+ * @param {string} channel - Channel, see postChannel and userChannel
+ * @param {string} type - Event type, e.g. 'comment'
+ * @param {object} data - Event data, sent as JSON
+ * @returns {Promise<void>}
+ */
+const publish = async (channel, type, data) => {
+    try {
+        await getBus().publish(channel, type, data);
+    } catch (error) {
+        console.error('Live update error:', error);
+    }
+};
+
+/**
+ * Publish an event to the streams of a post
+ *
+ * @param {number} postID - Post ID (the post of the thread for events about comments)
+ * @param {string} type - comment or likes
+ * @param {object} data - Event data
+ * @returns {Promise<void>}
+ */
+const publishPostEvent = (postID, type, data) => publish(postChannel(postID), type, data);
+
+/**
+ * Publish an event to the streams of a user
+ *
+ * @param {string} username - Username
+ * @param {string} type - notification or unread-count
+ * @param {object} data - Event data
+ * @returns {Promise<void>}
+ */
+const publishUserEvent = (username, type, data) => publish(userChannel(username), type, data);
+
+/**
+ * Turn the response into an event stream of a channel until the client disconnects.
+ * `likes` events are coalesced per entity (see LIKES_INTERVAL_MS), other events are sent right away.
+ *
+ * @param {object} req - Express request
+ * @param {object} res - Express response
+ * @param {string} channel - Channel to subscribe to
+ * @returns {void}
+ */
+const openStream = (req, res, channel) => {
+    res.set({
+        'Content-Type': 'text/event-stream',
+        'Cache-Control': 'no-cache',
+        'Connection': 'keep-alive',
+        'X-Accel-Buffering': 'no' // Keep nginx from buffering the stream
+    });
+    res.flushHeaders();
+    res.write(`retry: ${RETRY_MS}\n\n`);
+
+    const send = (type, data) => {
+        res.write(`event: ${type}\ndata: ${JSON.stringify(data)}\n\n`);
+    };
+
+    // Latest like counts per entity that haven't been sent yet
+    const pendingLikes = new Map();
+    let likesTimer = null;
+
+    const flushLikes = () => {
+        likesTimer = null;
+        for (const data of pendingLikes.values()) {
+            send('likes', data);
+        }
+        pendingLikes.clear();
+    };
+
+    const unsubscribe = getBus().subscribe(channel, (type, data) => {
+        if (type !== 'likes') {
+            return send(type, data);
+        }
+
+        pendingLikes.set(`${data.entityType}:${data.entityID}`, data);
+        if (!likesTimer) {
+            likesTimer = setTimeout(flushLikes, LIKES_INTERVAL_MS);
+        }
+    });
+
+    const heartbeat = setInterval(() => res.write(': ping\n\n'), HEARTBEAT_SECONDS * 1000);
+
+    req.on('close', () => {
+        clearInterval(heartbeat);
+        clearTimeout(likesTimer);
+        unsubscribe();
+    });
+
+    send('ready', { channel });
+};
+
+module.exports = {
+    HEARTBEAT_SECONDS,
+    LIKES_INTERVAL_MS,
+    postChannel,
+    userChannel,
+    publishPostEvent,
+    publishUserEvent,
+    openStream
+};
@@ -0,0 +1,117 @@
+/**
+ * Helpers for reports and moderator actions (Reports and ModerationLog tables).
+ */
+const db = require('../config/db');
+const { hasPermission } = require('./roles');
+
+const REPORT_REASONS = ['misinformation', 'harassment', 'spam'];
+
+// Longest note on a report or a moderator action
+const MAX_DETAILS_LENGTH = 500;
+
+// Actions a moderator can take and the permission each one needs
+const ACTION_PERMISSIONS = {
+    dismiss: 'reports:review',
+    hide: 'content:moderate',
+    unhide: 'content:moderate',
+    lock: 'content:moderate',
+    unlock: 'content:moderate',
+    suspend: 'users:suspend',
+    unsuspend: 'users:suspend'
+};
+
+// Every action that can show up in the audit log, including brigade reviews
+const LOG_ACTIONS = [...Object.keys(ACTION_PERMISSIONS), 'dismiss_brigade', 'remove_likes'];
+
+const MAX_SUSPENSION_DAYS = 365;
+
+/**
+ * Check whether a user may see hidden posts and comments of other users
+ *
+ * @param {object} [user] - req.user, undefined for anonymous requests
+ * @returns {boolean} True for moderators
+ */
+const canSeeHidden = (user) => Boolean(user) && hasPermission(user.roles, 'content:moderate');
+
+/**
+ * Build the condition that leaves out hidden content, except for its author and moderators
+ *
+ * @param {string} alias - Alias of the PostsData or Comments table in the query
+ * @param {object} [user] - req.user, undefined for anonymous requests
+ * @returns {{clause: string, params: Array}} SQL condition and its parameters
+ */
+const visibilityCondition = (alias, user) => {
+    if (canSeeHidden(user)) {
+        return { clause: 'TRUE', params: [] };
+    }
+    if (user) {
+        return { clause: `(${alias}.isHidden = FALSE OR ${alias}.username = ?)`, params: [user.username] };
+    }
+    return { clause: `${alias}.isHidden = FALSE`, params: [] };
+};
+
+/**
+ * Find the post a comment belongs to, walking up through its parent comments
+ *
+ * @param {number} commentID - Comment ID
+ * @returns {Promise<number|null>} Post ID, or null if the comment doesn't exist
+ */
+const getRootPostID = async (commentID) => {
+    const [rows] = await db.query(`
+        WITH RECURSIVE ancestry AS (
+            SELECT entityType, entityID
+            FROM Comments
+            WHERE commentID = ?
+            UNION ALL
+            SELECT c.entityType, c.entityID
+            FROM ancestry a
+            JOIN Comments c ON a.entityType = 'COMMENT' AND c.commentID = a.entityID
+        )
+        SELECT entityID AS postID
+        FROM ancestry
+        WHERE entityType = 'POST'
+    `, [commentID]);
+
+    return rows.length > 0 ? rows[0].postID : null;
+};
+
+/**
+ * Find the posts several comments belong to, using a single query
+ *
+ * @param {Array<number>} commentIDs - Comment IDs
+ * @returns {Promise<Map<number, number>>} Post ID by comment ID, comments that don't exist are left out
+ */
+const getRootPostIDs = async (commentIDs) => {
+    if (commentIDs.length === 0) {
+        return new Map();
+    }
+
+    const [rows] = await db.query(`
+        WITH RECURSIVE ancestry AS (
+            SELECT commentID AS startID, entityType, entityID
+            FROM Comments
+            WHERE commentID IN (?)
+            UNION ALL
+            SELECT a.startID, c.entityType, c.entityID
+            FROM ancestry a
+            JOIN Comments c ON a.entityType = 'COMMENT' AND c.commentID = a.entityID
+        )
+        SELECT startID AS commentID, entityID AS postID
+        FROM ancestry
+        WHERE entityType = 'POST'
+    `, [commentIDs]);
+
+    return new Map(rows.map(row => [row.commentID, row.postID]));
+};
+
+module.exports = {
+    REPORT_REASONS,
+    MAX_DETAILS_LENGTH,
+    ACTION_PERMISSIONS,
+    LOG_ACTIONS,
+    MAX_SUSPENSION_DAYS,
+    canSeeHidden,
+    visibilityCondition,
+    getRootPostID,
+    getRootPostIDs
+};
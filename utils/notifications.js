@@ -0,0 +1,154 @@
+/**
+ * Helpers for notifying users about replies, likes and mentions (Notifications, NotificationActors
+ * and NotificationPreferences tables).
+ */
+const db = require('../config/db');
+const { POL_LEANS } = require('./likes');
+const { otherSide } = require('./reactions');
+const { publishUserEvent } = require('./live');
+
+const NOTIFICATION_TYPES = ['reply', 'like', 'mention'];
+
+// Only the first mentions of a post or comment notify anyone, so a body can't page the whole site
+const MAX_MENTIONS = 10;
+
+/**
+ * Find the users mentioned in a post or comment body, e.g. "@janedoe"
+ *
+ * @param {string} body - Post or comment body
+ * @returns {Array<string>} Mentioned usernames, each once, in order of appearance (at most MAX_MENTIONS)
+ */
+const parseMentions = (body) => {
+    const usernames = [];
+
+    // An @ inside a word (e.g. an email address) isn't a mention
+    for (const match of String(body || '').matchAll(/(?:^|[^\w@])@([\w.-]{1,50})/g)) {
+        const username = match[1].replace(/[.-]+$/, '');
+        if (username && !usernames.some(existing => existing.toLowerCase() === username.toLowerCase())) {
+            usernames.push(username);
+        }
+    }
+
+    return usernames.slice(0, MAX_MENTIONS);
+};
+
+/**
+ * Notify a user, and tell their open notification streams. Skipped for the user's own actions,
+ * unknown users and types the user turned off.
+ *
+ * @param {string} recipient - User to notify
+ * @param {string} type - reply, like or mention
+ * @param {string} entityType - POST or COMMENT: the reply, the liked content or the content with the mention
+ * @param {number} entityID - ID of that post or comment
+ * @param {number} postID - Post of the thread
+ * @param {string} actor - User who replied, liked or mentioned
+ * @returns {Promise<number|null>} ID of the notification, or null if skipped
+ */
+const notify = async (recipient, type, entityType, entityID, postID, actor) => {
+    const [result] = await db.query(
+        'CALL addNotification(?, ?, ?, ?, ?, ?)',
+        [recipient, type, entityType, entityID, postID, actor]
+    );
+
+    const { notificationID } = result[0][0];
+    if (notificationID) {
+        await publishUserEvent(recipient, 'notification', { notificationID, type, entityType, entityID, postID, actor });
+    }
+
+    return notificationID;
+};
+
+/**
+ * Notify the users mentioned in a post or comment. Users already notified about it are skipped,
+ * so this can run again after an edit.
+ *
+ * @param {string} body - Post or comment body
+ * @param {string} entityType - POST or COMMENT
+ * @param {number} entityID - ID of the post or comment
+ * @param {number} postID - Post of the thread
+ * @param {string} actor - Author of the post or comment
+ * @param {Array<string>} [skip=[]] - Users not to notify, e.g. the author of the comment being replied to
+ * @returns {Promise<void>}
+ */
+const notifyMentions = async (body, entityType, entityID, postID, actor, skip = []) => {
+    const skipped = skip.map(username => username.toLowerCase());
+
+    for (const username of parseMentions(body)) {
+        if (!skipped.includes(username.toLowerCase())) {
+            await notify(username, 'mention', entityType, entityID, postID, actor);
+        }
+    }
+};
+
+/**
+ * Add the users behind each notification: `actorCount`, `leanings` (users per leaning) and
+ * `fromOtherSide` (users from the other side of the recipient), using a single query
+ *
+ * @param {Array<object>} notifications - Notifications with notificationID
+ * @param {string} recipientLean - Leaning of the recipient
+ * @returns {Promise<Array<object>>} The same notifications
+ */
+const attachActors = async (notifications, recipientLean) => {
+    notifications.forEach(notification => {
+        notification.leanings = Object.fromEntries(POL_LEANS.map(lean => [lean, 0]));
+    });
+
+    if (notifications.length > 0) {
+        const [rows] = await db.query(`
+            SELECT notificationID, polLean, COUNT(*) AS actors
+            FROM NotificationActors
+            WHERE notificationID IN (?)
+            GROUP BY notificationID, polLean
+        `, [notifications.map(notification => notification.notificationID)]);
+
+        const byID = {};
+        notifications.forEach(notification => {
+            byID[notification.notificationID] = notification;
+        });
+
+        rows.forEach(row => {
+            byID[row.notificationID].leanings[row.polLean] = row.actors;
+        });
+    }
+
+    const otherLeans = otherSide(recipientLean);
+    notifications.forEach(notification => {
+        const counts = Object.values(notification.leanings);
+        notification.actorCount = counts.reduce((sum, count) => sum + count, 0);
+        notification.fromOtherSide = otherLeans.reduce((sum, lean) => sum + notification.leanings[lean], 0);
+    });
+
+    return notifications;
+};
+
+/**
+ * Describe a notification, e.g. "12 people across 5 leanings liked your post"
+ *
+ * @param {object} notification - Notification with actor, actorCount and leanings (see attachActors)
+ * @returns {string} Message
+ */
+const describeNotification = (notification) => {
+    const content = notification.entityType === 'POST' ? 'post' : 'comment';
+
+    if (notification.type === 'reply') {
+        return `${notification.actor} replied to your ${notification.replyTo === 'POST' ? 'post' : 'comment'}`;
+    }
+    if (notification.type === 'mention') {
+        return `${notification.actor} mentioned you in a ${content}`;
+    }
+    if (notification.actorCount > 1) {
+        const leanCount = Object.values(notification.leanings).filter(count => count > 0).length;
+        return `${notification.actorCount} people across ${leanCount} ${leanCount === 1 ? 'leaning' : 'leanings'} liked your ${content}`;
+    }
+    return `${notification.actor} liked your ${content}`;
+};
+
+module.exports = {
+    NOTIFICATION_TYPES,
+    MAX_MENTIONS,
+    parseMentions,
+    notify,
+    notifyMentions,
+    attachActors,
+    describeNotification
+};
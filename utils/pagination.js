@@ -0,0 +1,112 @@
+/**
+ * Keyset (cursor) pagination helpers for the feed queries.
+ *
+ * A sort is described as an ordered list of keys, e.g.
+ *   [{ column: 'sortKey', dir: 'DESC' }, { column: 'datePosted', dir: 'DESC', type: 'date' }, { column: 'postID', dir: 'DESC' }]
+ * The last key must be unique so every row has a stable position, which is what keeps
+ * pages from shifting when new rows arrive.
+ */
+
+/**
+ * Encode the position of a row as an opaque cursor token
+ *
+ * @param {string} sortBy - Sort mode the cursor belongs to
+ * @param {string} direction - 'next' to continue after the row, 'prev' to go back before it
+ * @param {Array<object>} keys - Sort keys
+ * @param {object} row - Row whose position is encoded
+ * @param {*} [context] - Extra state the next request needs to continue the same sort, e.g. its reference time
+ * @returns {string} Base64url cursor token
+ */
+const encodeCursor = (sortBy, direction, keys, row, context) => {
+    const values = keys.map(key => row[key.column]);
+    const cursor = { s: sortBy, d: direction, v: values };
+    if (context !== undefined) {
+        cursor.c = context;
+    }
+    return Buffer.from(JSON.stringify(cursor)).toString('base64url');
+};
+
+/**
+ * Decode a cursor token produced by encodeCursor
+ *
+ * @param {string} token - Cursor token from the client
+ * @param {string} sortBy - Sort mode of the current request
+ * @param {Array<object>} keys - Sort keys of the current request
+ * @returns {object|null} { direction, values, context } or null if the token is invalid or belongs to another sort
+ */
+const decodeCursor = (token, sortBy, keys) => {
+    let cursor;
+    try {
+        cursor = JSON.parse(Buffer.from(String(token), 'base64url').toString('utf8'));
+    } catch (error) {
+        return null;
+    }
+
+    if (!cursor || cursor.s !== sortBy || !['next', 'prev'].includes(cursor.d) ||
+        !Array.isArray(cursor.v) || cursor.v.length !== keys.length) {
+        return null;
+    }
+
+    const values = [];
+    for (let i = 0; i < keys.length; i++) {
+        let value = cursor.v[i];
+        if (keys[i].type === 'date') {
+            value = new Date(value);
+            if (isNaN(value.getTime())) {
+                return null;
+            }
+        } else if (typeof value !== 'number' && typeof value !== 'string') {
+            return null;
+        }
+        values.push(value);
+    }
+
+    return { direction: cursor.d, values, context: cursor.c };
+};
+
+/**
+ * Build the WHERE condition selecting the rows after (or before) a cursor position
+ *
+ * @param {Array<object>} keys - Sort keys
+ * @param {Array} values - Decoded cursor values
+ * @param {string} direction - 'next' or 'prev'
+ * @returns {{ clause: string, params: Array }} SQL condition and its parameters
+ */
+const keysetCondition = (keys, values, direction) => {
+    const conditions = [];
+    const params = [];
+
+    keys.forEach((key, i) => {
+        const ascending = key.dir === 'ASC';
+        const operator = ascending === (direction === 'next') ? '>' : '<';
+        const parts = keys.slice(0, i).map(previous => `${previous.column} = ?`);
+        parts.push(`${key.column} ${operator} ?`);
+
+        conditions.push(`(${parts.join(' AND ')})`);
+        params.push(...values.slice(0, i), values[i]);
+    });
+
+    return { clause: `(${conditions.join(' OR ')})`, params };
+};
+
+/**
+ * Build the ORDER BY list for the sort keys. Going backwards the order is flipped,
+ * and the fetched rows must be reversed afterwards.
+ *
+ * @param {Array<object>} keys - Sort keys
+ * @param {string} [direction=next] - 'next' or 'prev'
+ * @returns {string} SQL ORDER BY list
+ */
+const keysetOrderBy = (keys, direction = 'next') => keys
+    .map(key => {
+        const dir = direction === 'prev' ? (key.dir === 'ASC' ? 'DESC' : 'ASC') : key.dir;
+        return `${key.column} ${dir}`;
+    })
+    .join(', ');
+
+module.exports = {
+    encodeCursor,
+    decodeCursor,
+    keysetCondition,
+    keysetOrderBy
+};
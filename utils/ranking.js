@@ -0,0 +1,187 @@
+/**
+ * Time-based feed rankings computed from the Likes table (LikeCounts only holds all-time totals).
+ * Only reactions that count as a like are ranked.
+ *
+ * Every time-based query is evaluated as of a fixed reference time (asOf), so the ranking doesn't
+ * move between pages; the reference time travels in the cursor.
+ */
+const { likeReactionCondition } = require('./likes');
+const { sourceCategorySql } = require('./sources');
+
+const dotenv = require('dotenv');
+dotenv.config();
+
+// Leanings grouped for the per-group settings
+const LEAN_GROUPS = {
+    left: ['FL', 'L', 'SL'],
+    moderate: ['M'],
+    right: ['SR', 'R', 'FR']
+};
+
+// Hours after which a like counts half in the hot and rising sorts, per leaning group
+const HALF_LIFE_HOURS = {
+    left: parseFloat(process.env.HOT_HALF_LIFE_LEFT_HOURS) || 12,
+    moderate: parseFloat(process.env.HOT_HALF_LIFE_MODERATE_HOURS) || 12,
+    right: parseFloat(process.env.HOT_HALF_LIFE_RIGHT_HOURS) || 12
+};
+
+// Likes older than this many half-lives add less than 0.1% and are skipped
+const HALF_LIVES_CONSIDERED = 10;
+
+// Rising only considers posts younger than this
+const RISING_MAX_AGE_HOURS = parseFloat(process.env.RISING_MAX_AGE_HOURS) || 24;
+
+// Time windows for the like-count sorts, in days
+const TIME_WINDOWS = {
+    day: 1,
+    week: 7,
+    month: 30
+};
+
+// How far across the spectrum the perspective sort looks from the viewer: the nearest leaning
+// on the other side, or the rest of it
+const PERSPECTIVE_DISTANCES = ['adjacent', 'far'];
+
+// Share of a post's likes that must come from those leanings
+const PERSPECTIVE_MIN_SHARE = 0.5;
+
+// The perspective score is multiplied by the best category among the sources of a post
+const PERSPECTIVE_SOURCE_WEIGHTS = {
+    primary: 1.5,
+    news: 1.25,
+    other: 1, // blogs and domains that aren't in the registry
+    none: 0.75 // no sources at all
+};
+
+/**
+ * LEFT JOIN adding the time-decayed like score of every post as `decayed.score`
+ *
+ * Each like counts 0.5^(age / half-life of the liker's group), measured at asOf.
+ *
+ * @param {Date} asOf - Reference time
+ * @returns {{clause: string, params: Array}} SQL join and its parameters
+ */
+const decayedLikesJoin = (asOf) => {
+    const longestHalfLife = Math.max(...Object.values(HALF_LIFE_HOURS));
+    const since = new Date(asOf.getTime() - longestHalfLife * HALF_LIVES_CONSIDERED * 60 * 60 * 1000);
+
+    const halfLife = `CASE ${Object.entries(LEAN_GROUPS)
+        .map(([group, leans]) => `WHEN l.polLean IN (${leans.map(lean => `'${lean}'`).join(', ')}) THEN ${HALF_LIFE_HOURS[group]}`)
+        .join(' ')} END`;
+
+    return {
+        clause: `
+            LEFT JOIN (
+                SELECT l.entityID, ROUND(SUM(POW(0.5, TIMESTAMPDIFF(SECOND, l.dateLiked, ?) / 3600 / ${halfLife})), 6) AS score
+                FROM Likes l
+                WHERE l.entityType = 'POST' AND l.dateLiked > ? AND l.dateLiked <= ? AND ${likeReactionCondition('l')}
+                GROUP BY l.entityID
+            ) decayed ON decayed.entityID = p.postID`,
+        params: [asOf, since, asOf]
+    };
+};
+
+/**
+ * LEFT JOIN adding the number of likes from some leanings within a time window as `windowed.likes`
+ *
+ * @param {Array<string>|null} leans - Leanings to count, null for all
+ * @param {string} window - Key of TIME_WINDOWS
+ * @param {Date} asOf - Reference time (end of the window)
+ * @returns {{clause: string, params: Array}} SQL join and its parameters
+ */
+const windowedLikesJoin = (leans, window, asOf) => {
+    const since = new Date(asOf.getTime() - TIME_WINDOWS[window] * 24 * 60 * 60 * 1000);
+
+    return {
+        clause: `
+            LEFT JOIN (
+                SELECT l.entityID, COUNT(*) AS likes
+                FROM Likes l
+                WHERE l.entityType = 'POST' AND l.dateLiked > ? AND l.dateLiked <= ? AND ${likeReactionCondition('l')}
+                ${leans ? 'AND l.polLean IN (?)' : ''}
+                GROUP BY l.entityID
+            ) windowed ON windowed.entityID = p.postID`,
+        params: leans ? [since, asOf, leans] : [since, asOf]
+    };
+};
+
+/**
+ * Leanings the perspective sort shows a viewer. Left viewers see SR (adjacent) or R and FR (far),
+ * right viewers SL or FL and L. Moderate viewers have no single other side and see both.
+ *
+ * @param {string} polLean - Leaning of the viewer
+ * @param {string} distance - adjacent or far
+ * @returns {Array<string>} Leanings
+ */
+const perspectiveLeans = (polLean, distance) => {
+    const adjacent = distance === 'adjacent';
+
+    if (LEAN_GROUPS.left.includes(polLean)) {
+        return adjacent ? ['SR'] : ['R', 'FR'];
+    }
+    if (LEAN_GROUPS.right.includes(polLean)) {
+        return adjacent ? ['SL'] : ['FL', 'L'];
+    }
+    return adjacent ? ['SL', 'SR'] : ['FL', 'L', 'R', 'FR'];
+};
+
+/**
+ * SQL expression summing the likes of some leanings
+ *
+ * @param {string} likesAlias - Alias of the LikeCounts join
+ * @param {Array<string>} leans - Leanings
+ * @returns {string} SQL expression
+ */
+const leanLikesSql = (likesAlias, leans) => `(${leans.map(lean => `COALESCE(${likesAlias}.${lean}, 0)`).join(' + ')})`;
+
+/**
+ * SQL condition keeping the posts liked mainly by some leanings (see PERSPECTIVE_MIN_SHARE)
+ *
+ * @param {string} likesAlias - Alias of the LikeCounts join
+ * @param {Array<string>} leans - Leanings from perspectiveLeans
+ * @returns {string} SQL condition
+ */
+const perspectiveConditionSql = (likesAlias, leans) => {
+    const likes = leanLikesSql(likesAlias, leans);
+    return `${likes} > 0 AND ${likes} >= ${PERSPECTIVE_MIN_SHARE} * COALESCE(${likesAlias}.totalLikes, 0)`;
+};
+
+/**
+ * SQL expression of the perspective score: likes from the chosen leanings, boosted by the
+ * discussion (log of the comments in the whole thread) and by the best source the post cites
+ *
+ * @param {string} postAlias - Alias of the PostsData table
+ * @param {string} likesAlias - Alias of the LikeCounts join
+ * @param {string} commentsAlias - Alias of the threadComments join (see utils/comments.js)
+ * @param {Array<string>} leans - Leanings from perspectiveLeans
+ * @returns {string} SQL expression
+ */
+const perspectiveScoreSql = (postAlias, likesAlias, commentsAlias, leans) => {
+    const comments = `COALESCE(${commentsAlias}.commentCount, 0)`;
+    const sourceWeight = `COALESCE((
+        SELECT MAX(CASE ${sourceCategorySql('s.domain')}
+            WHEN 'primary' THEN ${PERSPECTIVE_SOURCE_WEIGHTS.primary}
+            WHEN 'news' THEN ${PERSPECTIVE_SOURCE_WEIGHTS.news}
+            ELSE ${PERSPECTIVE_SOURCE_WEIGHTS.other}
+        END)
+        FROM Sources s
+        WHERE s.entityType = 'POST' AND s.entityID = ${postAlias}.postID
+    ), ${PERSPECTIVE_SOURCE_WEIGHTS.none})`;
+
+    return `ROUND(${leanLikesSql(likesAlias, leans)} * (1 + LN(1 + ${comments})) * ${sourceWeight}, 6)`;
+};
+
+module.exports = {
+    LEAN_GROUPS,
+    HALF_LIFE_HOURS,
+    RISING_MAX_AGE_HOURS,
+    TIME_WINDOWS,
+    PERSPECTIVE_DISTANCES,
+    PERSPECTIVE_MIN_SHARE,
+    PERSPECTIVE_SOURCE_WEIGHTS,
+    decayedLikesJoin,
+    windowedLikesJoin,
+    perspectiveLeans,
+    perspectiveConditionSql,
+    perspectiveScoreSql
+};
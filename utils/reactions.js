@@ -0,0 +1,124 @@
+/**
+ * Helpers for reading the per-reaction, per-leaning counters stored in ReactionCounts.
+ */
+const db = require('../config/db');
+const { POL_LEANS, REACTIONS } = require('./likes');
+const { LEAN_GROUPS } = require('./ranking');
+
+/**
+ * Reaction counts of zero: { agree: { FL: 0, ..., FR: 0 }, ... }
+ *
+ * @returns {object} Counts keyed by reaction, then by political leaning
+ */
+const emptyReactions = () => Object.fromEntries(
+    REACTIONS.map(reaction => [reaction, Object.fromEntries(POL_LEANS.map(lean => [lean, 0]))])
+);
+
+/**
+ * Leanings on the other side of an author. Moderate authors have no single other side,
+ * so both sides count for them.
+ *
+ * @param {string} polLean - Leaning of the author
+ * @returns {Array<string>} Leanings of the other side
+ */
+const otherSide = (polLean) => {
+    if (LEAN_GROUPS.left.includes(polLean)) {
+        return LEAN_GROUPS.right;
+    }
+    if (LEAN_GROUPS.right.includes(polLean)) {
+        return LEAN_GROUPS.left;
+    }
+    return [...LEAN_GROUPS.left, ...LEAN_GROUPS.right];
+};
+
+/**
+ * Number of 'respect' reactions ("I disagree, but this is a fair point") from the other side of the author.
+ * Must match respectedByOtherSideSql.
+ *
+ * @param {string} polLean - Leaning of the author
+ * @param {object} reactions - Counts keyed by reaction, then by political leaning
+ * @returns {number} Respect from the other side
+ */
+const respectedByOtherSide = (polLean, reactions) => otherSide(polLean)
+    .reduce((sum, lean) => sum + reactions.respect[lean], 0);
+
+/**
+ * SQL expression computing respectedByOtherSide
+ *
+ * @param {string} authorAlias - Alias of the author's Users row
+ * @param {string} respectAlias - Alias of a ReactionCounts join on reaction = 'respect'
+ * @returns {string} SQL expression
+ */
+const respectedByOtherSideSql = (authorAlias, respectAlias) => {
+    const leans = (group) => LEAN_GROUPS[group].map(lean => `'${lean}'`).join(', ');
+    return `CASE
+        WHEN ${authorAlias}.polLean IN (${leans('left')}) THEN COALESCE(${respectAlias}.rightCount, 0)
+        WHEN ${authorAlias}.polLean IN (${leans('right')}) THEN COALESCE(${respectAlias}.leftCount, 0)
+        ELSE COALESCE(${respectAlias}.leftCount + ${respectAlias}.rightCount, 0)
+    END`;
+};
+
+/**
+ * Load the reaction counts of several posts or comments at once
+ *
+ * @param {string} entityType - POST or COMMENT
+ * @param {Array<number>} entityIDs - IDs of the posts or comments
+ * @returns {Promise<Map<number, object>>} Reaction counts by entity ID, missing entities have none
+ */
+const getReactionCounts = async (entityType, entityIDs) => {
+    const counts = new Map();
+    if (entityIDs.length === 0) {
+        return counts;
+    }
+
+    const [rows] = await db.query(`
+        SELECT entityID, reaction, ${POL_LEANS.join(', ')}
+        FROM ReactionCounts
+        WHERE entityType = ? AND entityID IN (?)
+    `, [entityType, entityIDs]);
+
+    rows.forEach(row => {
+        if (!counts.has(row.entityID)) {
+            counts.set(row.entityID, emptyReactions());
+        }
+        POL_LEANS.forEach(lean => {
+            counts.get(row.entityID)[row.reaction][lean] = Number(row[lean]);
+        });
+    });
+
+    return counts;
+};
+
+/**
+ * Attach reactions (counts by reaction and leaning), reactionTotals (counts by reaction)
+ * and respectedByOtherSide to posts or comments
+ *
+ * @param {string} entityType - POST or COMMENT
+ * @param {Array<object>} items - Posts or comments with the author's polLean
+ * @param {string} idKey - Name of the ID field, postID or commentID
+ * @returns {Promise<Array<object>>} The same items
+ */
+const attachReactions = async (entityType, items, idKey) => {
+    const counts = await getReactionCounts(entityType, items.map(item => item[idKey]));
+
+    items.forEach(item => {
+        const reactions = counts.get(item[idKey]) || emptyReactions();
+        item.reactions = reactions;
+        item.reactionTotals = Object.fromEntries(REACTIONS.map(reaction => [
+            reaction,
+            Object.values(reactions[reaction]).reduce((sum, count) => sum + count, 0)
+        ]));
+        item.respectedByOtherSide = respectedByOtherSide(item.polLean, reactions);
+    });
+
+    return items;
+};
+
+module.exports = {
+    emptyReactions,
+    otherSide,
+    respectedByOtherSide,
+    respectedByOtherSideSql,
+    getReactionCounts,
+    attachReactions
+};
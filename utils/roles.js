@@ -0,0 +1,48 @@
+/**
+ * Roles and the permissions they grant.
+ *
+ * Every user has the 'user' role; 'researcher', 'moderator' and 'admin' are stored in UserRoles
+ * and carried in the access token, so checks don't need a database round trip.
+ */
+const db = require('../config/db');
+
+const ROLES = ['user', 'researcher', 'moderator', 'admin'];
+
+// Roles that can be granted and revoked (stored in UserRoles)
+const GRANTABLE_ROLES = ['researcher', 'moderator', 'admin'];
+
+const PERMISSIONS = {
+    user: [],
+    researcher: ['analytics:view'],
+    moderator: ['content:moderate', 'reports:review', 'users:suspend'],
+    admin: ['content:moderate', 'reports:review', 'users:suspend', 'roles:manage', 'analytics:view', 'sources:manage']
+};
+
+/**
+ * Get the roles of a user
+ *
+ * @param {string} username - Username
+ * @returns {Promise<Array<string>>} Roles, always including 'user'
+ */
+const getUserRoles = async (username) => {
+    const [rows] = await db.query('SELECT role FROM UserRoles WHERE username = ?', [username]);
+    return ['user', ...rows.map(row => row.role)];
+};
+
+/**
+ * Check whether any of the roles grants a permission
+ *
+ * @param {Array<string>} roles - Roles of the user
+ * @param {string} permission - Permission, e.g. 'roles:manage'
+ * @returns {boolean} True if the permission is granted
+ */
+const hasPermission = (roles, permission) => roles
+    .some(role => (PERMISSIONS[role] || []).includes(permission));
+
+module.exports = {
+    ROLES,
+    GRANTABLE_ROLES,
+    PERMISSIONS,
+    getUserRoles,
+    hasPermission
+};
@@ -0,0 +1,59 @@
+/**
+ * Helpers for the posts and comments users save (SavedItems table) and the collections
+ * they organize them in (Collections table).
+ */
+const db = require('../config/db');
+
+const MAX_COLLECTION_NAME_LENGTH = 50;
+
+/**
+ * Validate a collection name: trimmed, inner whitespace collapsed
+ *
+ * @param {*} name - Value of req.body.name
+ * @returns {string|null} Normalized name, or null if invalid
+ */
+const normalizeCollectionName = (name) => {
+    if (typeof name !== 'string') {
+        return null;
+    }
+
+    const normalized = name.trim().replace(/\s+/g, ' ');
+    return normalized.length > 0 && normalized.length <= MAX_COLLECTION_NAME_LENGTH ? normalized : null;
+};
+
+/**
+ * Add `saved` (whether the viewer saved it) to posts or comments, using a single query
+ *
+ * @param {string} entityType - POST or COMMENT
+ * @param {Array<object>} items - Posts or comments
+ * @param {string} idKey - Name of the ID field, postID or commentID
+ * @param {object} [user] - req.user, undefined for anonymous requests (nothing is saved then)
+ * @returns {Promise<Array<object>>} The same items
+ */
+const attachSaved = async (entityType, items, idKey, user) => {
+    items.forEach(item => {
+        item.saved = false;
+    });
+
+    if (!user || items.length === 0) {
+        return items;
+    }
+
+    const [rows] = await db.query(
+        'SELECT entityID FROM SavedItems WHERE username = ? AND entityType = ? AND entityID IN (?)',
+        [user.username, entityType, items.map(item => item[idKey])]
+    );
+
+    const savedIDs = new Set(rows.map(row => row.entityID));
+    items.forEach(item => {
+        item.saved = savedIDs.has(item[idKey]);
+    });
+
+    return items;
+};
+
+module.exports = {
+    MAX_COLLECTION_NAME_LENGTH,
+    normalizeCollectionName,
+    attachSaved
+};
@@ -0,0 +1,114 @@
+/**
+ * Login sessions: short-lived access tokens (JWT) plus rotating refresh tokens.
+ *
+ * Every access token carries the session ID (sid), the session generation (gen) and the user's roles.
+ * Refreshing bumps the generation, so the auth middleware rejects access tokens
+ * from before the rotation as well as tokens of revoked sessions.
+ */
+const crypto = require('crypto');
+const jwt = require('jsonwebtoken');
+const db = require('../config/db');
+const { generateToken } = require('./tokens');
+const { getUserRoles } = require('./roles');
+
+const ACCESS_TOKEN_TTL = process.env.ACCESS_TOKEN_TTL || '15m';
+const SESSION_DAYS = 30;
+
+/**
+ * Sign an access token for a session generation
+ *
+ * @param {string} username - User the token authenticates
+ * @param {string} sessionID - Session ID
+ * @param {number} generation - Current generation of the session
+ * @param {Array<string>} roles - Roles of the user
+ * @returns {string} JWT
+ */
+const signAccessToken = (username, sessionID, generation, roles) => jwt.sign(
+    { username, sid: sessionID, gen: generation, roles },
+    process.env.JWT_SECRET,
+    { expiresIn: ACCESS_TOKEN_TTL }
+);
+
+/**
+ * Store a new refresh token for a session
+ *
+ * @param {string} sessionID - Session ID
+ * @returns {Promise<string>} Raw refresh token for the client
+ */
+const issueRefreshToken = async (sessionID) => {
+    const { token, tokenHash } = generateToken();
+
+    await db.query(
+        'INSERT INTO RefreshTokens (tokenHash, sessionID) VALUES (?, ?)',
+        [tokenHash, sessionID]
+    );
+
+    return token;
+};
+
+/**
+ * Start a new session for a user, e.g. on login or registration
+ *
+ * @param {string} username - User logging in
+ * @param {object} req - Express request, used for the user agent and IP address
+ * @returns {Promise<{ sessionID: string, token: string, refreshToken: string }>} Session ID and its tokens
+ */
+const createSession = async (username, req) => {
+    const sessionID = crypto.randomUUID();
+
+    await db.query(`
+        INSERT INTO Sessions (sessionID, username, userAgent, ipAddress, expiresAt)
+        VALUES (?, ?, ?, ?, DATE_ADD(NOW(), INTERVAL ? DAY))
+    `, [sessionID, username, (req.get('user-agent') || '').slice(0, 255) || null, req.ip || null, SESSION_DAYS]);
+
+    const refreshToken = await issueRefreshToken(sessionID);
+    const roles = await getUserRoles(username);
+
+    return {
+        sessionID,
+        token: signAccessToken(username, sessionID, 1, roles),
+        refreshToken,
+        roles
+    };
+};
+
+/**
+ * Revoke active sessions of a user
+ *
+ * @param {string} username - Owner of the sessions
+ * @param {string} reason - Why the sessions are revoked
+ * @param {string} [sessionID] - Only revoke this session; all sessions of the user when omitted
+ * @returns {Promise<number>} Number of sessions revoked
+ */
+const revokeSessions = async (username, reason, sessionID) => {
+    const [result] = await db.query(`
+        UPDATE Sessions
+        SET revokedAt = NOW(), revokeReason = ?
+        WHERE username = ? AND revokedAt IS NULL ${sessionID ? 'AND sessionID = ?' : ''}
+    `, sessionID ? [reason, username, sessionID] : [reason, username]);
+
+    return result.affectedRows;
+};
+
+/**
+ * Make every current access token of a user invalid without ending the sessions,
+ * e.g. after a role change. Clients pick up fresh tokens with their refresh token.
+ *
+ * @param {string} username - User whose access tokens are invalidated
+ * @returns {Promise<void>}
+ */
+const invalidateAccessTokens = async (username) => {
+    await db.query(
+        'UPDATE Sessions SET generation = generation + 1 WHERE username = ? AND revokedAt IS NULL',
+        [username]
+    );
+};
+
+module.exports = {
+    SESSION_DAYS,
+    signAccessToken,
+    issueRefreshToken,
+    createSession,
+    revokeSessions,
+    invalidateAccessTokens
+};
@@ -0,0 +1,208 @@
+/**
+ * Helpers for the sources cited by posts and comments (Sources table) and the
+ * domain registry that rates them (SourceDomains table).
+ */
+const db = require('../config/db');
+
+const MAX_SOURCES = 10;
+const MAX_URL_LENGTH = 2048;
+const MAX_TITLE_LENGTH = 200;
+
+// Categories of the domain registry, from the most to the least authoritative.
+// Domains that aren't in the registry are 'unknown'.
+const SOURCE_CATEGORIES = ['primary', 'news', 'blog'];
+const UNKNOWN_CATEGORY = 'unknown';
+
+/**
+ * Normalize a domain name: lowercase, without a leading "www."
+ *
+ * @param {string} domain - Domain or hostname
+ * @returns {string} Normalized domain
+ */
+const normalizeDomain = (domain) => domain.trim().toLowerCase().replace(/^www\./, '').replace(/\.$/, '');
+
+/**
+ * Check a registry entry: a domain like "census.gov" or a suffix like "gov", which covers every domain under it
+ *
+ * @param {string} domain - Normalized domain
+ * @returns {boolean} True if valid
+ */
+const isValidDomain = (domain) => domain.length <= 255 && /^[a-z0-9-]+(\.[a-z0-9-]+)*$/.test(domain);
+
+/**
+ * Validate a single source
+ *
+ * @param {*} source - A URL string or { url, title }
+ * @returns {{url: string, domain: string, title: string|null}|null} Normalized source, or null if invalid
+ */
+const normalizeSource = (source) => {
+    const { url: raw, title: rawTitle } = typeof source === 'string' ? { url: source } : (source || {});
+
+    if (typeof raw !== 'string' || raw.trim().length > MAX_URL_LENGTH) {
+        return null;
+    }
+    if (rawTitle !== undefined && rawTitle !== null && typeof rawTitle !== 'string') {
+        return null;
+    }
+
+    let parsed;
+    try {
+        parsed = new URL(raw.trim());
+    } catch {
+        return null;
+    }
+
+    // Only web links to a real host, and no credentials in the link
+    if (!['http:', 'https:'].includes(parsed.protocol) || !parsed.hostname.includes('.') ||
+        parsed.username || parsed.password) {
+        return null;
+    }
+
+    const title = rawTitle ? rawTitle.trim().replace(/\s+/g, ' ') : '';
+    if (title.length > MAX_TITLE_LENGTH) {
+        return null;
+    }
+
+    return {
+        url: parsed.href,
+        domain: normalizeDomain(parsed.hostname),
+        title: title || null
+    };
+};
+
+/**
+ * Validate the sources sent with a post or comment and remove duplicates
+ *
+ * Accepts a list of URLs or { url, title } objects, or a string of URLs separated by commas,
+ * spaces or new lines (the format older clients send).
+ *
+ * @param {*} sources - Value of req.body.sources; null, undefined and '' mean no sources
+ * @returns {Array<{url: string, domain: string, title: string|null}>|null} Normalized sources, or null if invalid
+ */
+const normalizeSources = (sources) => {
+    if (sources === undefined || sources === null || sources === '') {
+        return [];
+    }
+
+    const list = typeof sources === 'string' ? sources.split(/[\s,]+/).filter(Boolean) : sources;
+    if (!Array.isArray(list) || list.length > MAX_SOURCES) {
+        return null;
+    }
+
+    const normalized = [];
+    for (const source of list) {
+        const valid = normalizeSource(source);
+        if (!valid) {
+            return null;
+        }
+
+        if (!normalized.some(existing => existing.url === valid.url)) {
+            normalized.push(valid);
+        }
+    }
+
+    return normalized;
+};
+
+/**
+ * The sources as the plain text stored in PostsData.sources, for full-text search and older clients
+ *
+ * @param {Array<{url: string}>} sources - Normalized sources
+ * @returns {string|null} Comma-separated URLs, null without sources
+ */
+const sourcesText = (sources) => (sources.length > 0 ? sources.map(source => source.url).join(', ') : null);
+
+/**
+ * SQL expression looking up the registry category of a domain. The most specific entry wins,
+ * so "census.gov" can be rated apart from "gov".
+ *
+ * @param {string} domainExpr - SQL expression holding a normalized domain, e.g. s.domain
+ * @returns {string} SQL expression, NULL for domains that aren't in the registry
+ */
+const sourceCategorySql = (domainExpr) => `(
+    SELECT d.category
+    FROM SourceDomains d
+    WHERE ${domainExpr} = d.domain OR ${domainExpr} LIKE CONCAT('%.', d.domain)
+    ORDER BY LENGTH(d.domain) DESC
+    LIMIT 1
+)`;
+
+/**
+ * Replace the sources of a post or comment
+ *
+ * @param {string} entityType - POST or COMMENT
+ * @param {number} entityID - ID of the post or comment
+ * @param {Array<{url: string, domain: string, title: string|null}>} sources - Normalized sources
+ * @param {object} [connection=db] - Connection of a running transaction, the pool by default
+ * @returns {Promise<void>}
+ */
+const saveSources = async (entityType, entityID, sources, connection = db) => {
+    await connection.query('DELETE FROM Sources WHERE entityType = ? AND entityID = ?', [entityType, entityID]);
+
+    if (sources.length === 0) {
+        return;
+    }
+
+    await connection.query(
+        'INSERT INTO Sources (entityType, entityID, position, url, domain, title) VALUES ?',
+        [sources.map((source, index) => [entityType, entityID, index + 1, source.url, source.domain, source.title])]
+    );
+};
+
+/**
+ * Add `sourceList` (the sources with the category of their domain) and `sourcedBy`
+ * (the best category among them, null without sources) to posts or comments, using a single query
+ *
+ * @param {string} entityType - POST or COMMENT
+ * @param {Array<object>} items - Posts or comments
+ * @param {string} idKey - Name of the ID field, postID or commentID
+ * @returns {Promise<Array<object>>} The same items
+ */
+const attachSources = async (entityType, items, idKey) => {
+    items.forEach(item => {
+        item.sourceList = [];
+        item.sourcedBy = null;
+    });
+
+    if (items.length === 0) {
+        return items;
+    }
+
+    const [rows] = await db.query(`
+        SELECT s.entityID, s.url, s.domain, s.title, ${sourceCategorySql('s.domain')} AS category
+        FROM Sources s
+        WHERE s.entityType = ? AND s.entityID IN (?)
+        ORDER BY s.entityID, s.position
+    `, [entityType, items.map(item => item[idKey])]);
+
+    const byID = {};
+    items.forEach(item => {
+        byID[item[idKey]] = item;
+    });
+
+    const rank = [...SOURCE_CATEGORIES, UNKNOWN_CATEGORY];
+    rows.forEach(row => {
+        const item = byID[row.entityID];
+        const category = row.category || UNKNOWN_CATEGORY;
+
+        item.sourceList.push({ url: row.url, domain: row.domain, title: row.title, category });
+        if (item.sourcedBy === null || rank.indexOf(category) < rank.indexOf(item.sourcedBy)) {
+            item.sourcedBy = category;
+        }
+    });
+
+    return items;
+};
+
+module.exports = {
+    MAX_SOURCES,
+    SOURCE_CATEGORIES,
+    UNKNOWN_CATEGORY,
+    normalizeDomain,
+    isValidDomain,
+    normalizeSources,
+    sourcesText,
+    sourceCategorySql,
+    saveSources,
+    attachSources
+};
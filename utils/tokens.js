@@ -0,0 +1,28 @@
+/**
+ * Helpers for single-use tokens sent to users (email verification, password reset, ...).
+ * Only the SHA-256 hash of a token is stored, the raw token only ever exists in the email.
+ */
+const crypto = require('crypto');
+
+/**
+ * Hash a token for storage or lookup
+ *
+ * @param {string} token - Raw token
+ * @returns {string} Hex SHA-256 hash
+ */
+const hashToken = (token) => crypto.createHash('sha256').update(String(token)).digest('hex');
+
+/**
+ * Create a new random token
+ *
+ * @returns {{ token: string, tokenHash: string }} Raw token for the user and its hash for the database
+ */
+const generateToken = () => {
+    const token = crypto.randomBytes(32).toString('hex');
+    return { token, tokenHash: hashToken(token) };
+};
+
+module.exports = {
+    hashToken,
+    generateToken
+};
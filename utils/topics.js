@@ -0,0 +1,120 @@
+/**
+ * Helpers for the topics attached to posts (Topics and PostTopics tables).
+ */
+const db = require('../config/db');
+
+const MAX_TOPICS_PER_POST = 5;
+const MAX_TOPIC_LENGTH = 50;
+
+/**
+ * Turn a topic name into its URL slug, e.g. "Green Energy" -> "green-energy"
+ *
+ * @param {string} name - Topic name
+ * @returns {string} Slug
+ */
+const slugify = (name) => name
+    .toLowerCase()
+    .normalize('NFKD')
+    .replace(/[\u0300-\u036f]/g, '')
+    .replace(/[^a-z0-9]+/g, '-')
+    .replace(/^-+|-+$/g, '');
+
+/**
+ * Validate the topics sent with a post and remove duplicates
+ *
+ * @param {*} topics - Value of req.body.topics, expected to be an array of names
+ * @returns {Array<{name: string, slug: string}>|null} Normalized topics, or null if invalid
+ */
+const normalizeTopics = (topics) => {
+    if (!Array.isArray(topics) || topics.length > MAX_TOPICS_PER_POST) {
+        return null;
+    }
+
+    const normalized = [];
+    for (const topic of topics) {
+        if (typeof topic !== 'string') {
+            return null;
+        }
+
+        const name = topic.trim().replace(/\s+/g, ' ');
+        const slug = slugify(name);
+        if (!slug || name.length > MAX_TOPIC_LENGTH) {
+            return null;
+        }
+
+        if (!normalized.some(existing => existing.slug === slug)) {
+            normalized.push({ name, slug });
+        }
+    }
+
+    return normalized;
+};
+
+/**
+ * Replace the topics of a post, creating topics that don't exist yet
+ *
+ * @param {number} postID - Post ID
+ * @param {Array<{name: string, slug: string}>} topics - Normalized topics
+ * @param {object} [connection=db] - Connection of a running transaction, the pool by default
+ * @returns {Promise<void>}
+ */
+const savePostTopics = async (postID, topics, connection = db) => {
+    await connection.query('DELETE FROM PostTopics WHERE postID = ?', [postID]);
+
+    if (topics.length === 0) {
+        return;
+    }
+
+    // Existing topics keep their original name, only new ones are inserted
+    await connection.query(
+        'INSERT IGNORE INTO Topics (name, slug) VALUES ?',
+        [topics.map(topic => [topic.name, topic.slug])]
+    );
+
+    await connection.query(`
+        INSERT INTO PostTopics (postID, topicID)
+        SELECT ?, topicID FROM Topics WHERE slug IN (?)
+    `, [postID, topics.map(topic => topic.slug)]);
+};
+
+/**
+ * Add a `topics` array to every post, using a single query
+ *
+ * @param {Array<object>} posts - Post rows with postID
+ * @returns {Promise<Array<object>>} The same posts
+ */
+const attachTopics = async (posts) => {
+    posts.forEach(post => {
+        post.topics = [];
+    });
+
+    if (posts.length === 0) {
+        return posts;
+    }
+
+    const [rows] = await db.query(`
+        SELECT pt.postID, t.name, t.slug
+        FROM PostTopics pt
+        JOIN Topics t ON t.topicID = pt.topicID
+        WHERE pt.postID IN (?)
+        ORDER BY t.name ASC
+    `, [posts.map(post => post.postID)]);
+
+    const byPost = {};
+    posts.forEach(post => {
+        byPost[post.postID] = post;
+    });
+    rows.forEach(row => {
+        byPost[row.postID].topics.push({ name: row.name, slug: row.slug });
+    });
+
+    return posts;
+};
+
+module.exports = {
+    MAX_TOPICS_PER_POST,
+    slugify,
+    normalizeTopics,
+    savePostTopics,
+    attachTopics
+};
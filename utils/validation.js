@@ -0,0 +1,271 @@
+/**
+ * Declarative request validation. A schema lists the rules for the route params, query string
+ * and body of a request, e.g.
+ *   { params: { id: id() }, query: { limit: integer({ min: 1, max: 50, default: 10 }) } }
+ * Every rule checks one field and returns its clean value (trimmed text, numbers for numeric
+ * query parameters, defaults for missing fields), which the validate middleware puts back on
+ * the request. Failures are collected per field with a machine-readable code.
+ */
+
+const LOCATIONS = ['params', 'query', 'body'];
+
+// Codes of the field errors, see feed_api_docs.txt
+const ERROR_CODES = {
+    required: 'REQUIRED',
+    invalidType: 'INVALID_TYPE',
+    invalidFormat: 'INVALID_FORMAT',
+    invalidValue: 'INVALID_VALUE',
+    notAllowed: 'NOT_ALLOWED',
+    tooShort: 'TOO_SHORT',
+    tooLong: 'TOO_LONG',
+    tooSmall: 'TOO_SMALL',
+    tooLarge: 'TOO_LARGE',
+    oneRequired: 'ONE_REQUIRED',
+    unknownField: 'UNKNOWN_FIELD'
+};
+
+// Code of the whole response when any field fails
+const VALIDATION_FAILED = 'VALIDATION_FAILED';
+
+// Schema of routes that take no input: any query or body field is rejected
+const NO_INPUT = Object.freeze({ query: {}, body: {}, strict: true });
+
+const fail = (code, message, details = {}) => ({ error: { code, message, ...details } });
+const pass = (value) => ({ value });
+
+/**
+ * Build a rule from its check. Fields are required unless `optional` or a `default` is given;
+ * null is only accepted with `nullable`.
+ *
+ * @param {object} options - Rule options
+ * @param {function(*, string): object} check - Checks a value, returns pass(value) or fail(...)
+ * @returns {object} Rule
+ */
+const rule = (options, check) => ({
+    optional: Boolean(options.optional) || options.default !== undefined,
+    default: options.default,
+    check: (value, field) => (value === null && options.nullable ? pass(null) : check(value, field))
+});
+
+/**
+ * Text, trimmed unless `trim: false`
+ *
+ * @param {object} [options]
+ * @param {number} [options.min=1] - Minimum length
+ * @param {number} [options.max] - Maximum length
+ * @param {RegExp} [options.pattern] - Format the text must match
+ * @param {string} [options.description] - What the pattern stands for, e.g. 'a valid email address'
+ * @param {boolean} [options.trim=true] - Trim surrounding whitespace
+ * @returns {object} Rule
+ */
+const string = (options = {}) => rule(options, (value, field) => {
+    const { min = 1, max, pattern, description } = options;
+
+    if (typeof value !== 'string') {
+        return fail(ERROR_CODES.invalidType, `${field} must be text`);
+    }
+
+    const text = options.trim === false ? value : value.trim();
+
+    if (text.length < min) {
+        return min === 1
+            ? fail(ERROR_CODES.tooShort, `${field} cannot be empty`, { min })
+            : fail(ERROR_CODES.tooShort, `${field} must be at least ${min} characters`, { min });
+    }
+    if (max !== undefined && text.length > max) {
+        return fail(ERROR_CODES.tooLong, `${field} must be at most ${max} characters`, { max });
+    }
+    if (pattern && !pattern.test(text)) {
+        return fail(ERROR_CODES.invalidFormat, `${field} must be ${description || 'in a valid format'}`);
+    }
+
+    return pass(text);
+});
+
+/**
+ * Whole number; numeric strings (route params and query strings) are converted
+ *
+ * @param {object} [options]
+ * @param {number} [options.min] - Smallest allowed value
+ * @param {number} [options.max] - Largest allowed value
+ * @returns {object} Rule
+ */
+const integer = (options = {}) => rule(options, (value, field) => {
+    const { min, max } = options;
+    const number = typeof value === 'string' && /^-?\d+$/.test(value.trim()) ? Number(value) : value;
+
+    if (!Number.isSafeInteger(number)) {
+        return fail(ERROR_CODES.invalidType, `${field} must be a whole number`);
+    }
+    if (min !== undefined && number < min) {
+        return fail(ERROR_CODES.tooSmall, `${field} must be at least ${min}`, { min });
+    }
+    if (max !== undefined && number > max) {
+        return fail(ERROR_CODES.tooLarge, `${field} must be at most ${max}`, { max });
+    }
+
+    return pass(number);
+});
+
+/**
+ * ID of a row (positive whole number)
+ *
+ * @param {object} [options] - Same as integer
+ * @returns {object} Rule
+ */
+const id = (options = {}) => integer({ ...options, min: 1 });
+
+/**
+ * One of a fixed list of values
+ *
+ * @param {Array<string>} allowed - Allowed values
+ * @param {object} [options]
+ * @returns {object} Rule
+ */
+const oneOf = (allowed, options = {}) => rule(options, (value, field) => (
+    allowed.includes(value)
+        ? pass(value)
+        : fail(ERROR_CODES.notAllowed, `${field} must be one of: ${allowed.join(', ')}`, { allowed })
+));
+
+/**
+ * Comma-separated list in a query string, e.g. "FL,L", converted to an array
+ *
+ * @param {object} [options]
+ * @param {Array<string>} [options.allowed] - Allowed items
+ * @returns {object} Rule
+ */
+const list = (options = {}) => rule(options, (value, field) => {
+    const { allowed } = options;
+
+    if (typeof value !== 'string') {
+        return fail(ERROR_CODES.invalidType, `${field} must be a comma-separated list`);
+    }
+
+    const items = value.split(',').map(item => item.trim()).filter(Boolean);
+
+    if (items.length === 0) {
+        return fail(ERROR_CODES.tooShort, `${field} cannot be empty`, { min: 1 });
+    }
+    if (allowed && items.some(item => !allowed.includes(item))) {
+        return fail(ERROR_CODES.notAllowed, `${field} must only contain: ${allowed.join(', ')}`, { allowed });
+    }
+
+    return pass(items);
+});
+
+/**
+ * Date or date and time (ISO 8601), converted to a Date
+ *
+ * @param {object} [options]
+ * @returns {object} Rule
+ */
+const date = (options = {}) => rule(options, (value, field) => {
+    const parsed = typeof value === 'string' ? new Date(value) : null;
+
+    if (!parsed || isNaN(parsed.getTime())) {
+        return fail(ERROR_CODES.invalidFormat, `${field} must be a date (ISO 8601)`);
+    }
+
+    return pass(parsed);
+});
+
+/**
+ * A field checked by a normalize function of the repo, e.g. normalizeSources
+ *
+ * @param {function(*): *} normalize - Returns the clean value, or null if invalid
+ * @param {string} message - Error message when the value is invalid
+ * @param {object} [options]
+ * @returns {object} Rule
+ */
+const custom = (normalize, message, options = {}) => rule(options, (value) => {
+    const normalized = normalize(value);
+    return normalized === null ? fail(ERROR_CODES.invalidValue, message) : pass(normalized);
+});
+
+/**
+ * Check a request against a schema
+ *
+ * Missing fields are undefined, or an empty string in route params and query strings (`?sortBy=`).
+ * Fields the schema doesn't list are kept as they are, unless the schema is `strict`.
+ *
+ * @param {object} schema - Rules by location (params, query, body), plus `atLeastOne`:
+ *   field names by location of which at least one must be present, e.g. { body: ['title', 'body'] },
+ *   and `strict`: reject fields the schema doesn't list in the locations it checks
+ * @param {object} req - Express request
+ * @returns {{ errors: Array<object>, values: object }} Field errors, and the clean params, query and body
+ */
+const validateRequest = (schema, req) => {
+    const errors = [];
+    const values = {};
+
+    for (const location of LOCATIONS) {
+        if (!schema[location]) {
+            continue;
+        }
+
+        const input = req[location] && typeof req[location] === 'object' && !Array.isArray(req[location])
+            ? req[location]
+            : {};
+        const clean = { ...input };
+
+        if (schema.strict) {
+            for (const field of Object.keys(input).filter(field => !(field in schema[location]))) {
+                errors.push({ location, field, code: ERROR_CODES.unknownField, message: `${field} is not a known field` });
+            }
+        }
+
+        for (const [field, fieldRule] of Object.entries(schema[location])) {
+            const value = input[field];
+
+            if (value === undefined || (location !== 'body' && value === '')) {
+                delete clean[field];
+
+                if (fieldRule.default !== undefined) {
+                    clean[field] = fieldRule.default;
+                } else if (!fieldRule.optional) {
+                    errors.push({ location, field, code: ERROR_CODES.required, message: `${field} is required` });
+                }
+                continue;
+            }
+
+            const result = fieldRule.check(value, field);
+            if (result.error) {
+                errors.push({ location, field, ...result.error });
+            } else {
+                clean[field] = result.value;
+            }
+        }
+
+        values[location] = clean;
+    }
+
+    for (const [location, fields] of Object.entries(schema.atLeastOne || {})) {
+        const input = values[location] || {};
+
+        if (!fields.some(field => input[field] !== undefined)) {
+            errors.push({
+                location,
+                fields,
+                code: ERROR_CODES.oneRequired,
+                message: `Provide at least one of: ${fields.join(', ')}`
+            });
+        }
+    }
+
+    return { errors, values };
+};
+
+module.exports = {
+    ERROR_CODES,
+    VALIDATION_FAILED,
+    NO_INPUT,
+    string,
+    integer,
+    id,
+    oneOf,
+    list,
+    date,
+    custom,
+    validateRequest
+};